@@ -0,0 +1,78 @@
+import AudioFormat from 'c/audioFormat';
+
+describe('c-audio-format', () => {
+    const bytesOf = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+    describe('detectContentType', () => {
+        it('detects each supported header signature', () => {
+            expect(AudioFormat.detectContentType(bytesOf('ID3\u0004\u0000'))).toBe('audio/mpeg');
+            expect(AudioFormat.detectContentType([0xff, 0xfb, 0x90, 0x64])).toBe('audio/mpeg');
+            expect(AudioFormat.detectContentType([0xff, 0xf1, 0x50, 0x80])).toBe('audio/aac');
+            expect(AudioFormat.detectContentType(bytesOf('RIFF$\u0000\u0000\u0000WAVEfmt '))).toBe('audio/wav');
+            expect(AudioFormat.detectContentType(bytesOf('OggS\u0000\u0002'))).toBe('audio/ogg');
+            expect(AudioFormat.detectContentType(bytesOf('fLaC\u0000\u0000'))).toBe('audio/flac');
+            expect(AudioFormat.detectContentType([0x1a, 0x45, 0xdf, 0xa3, 0x9f])).toBe('audio/webm');
+            expect(AudioFormat.detectContentType(bytesOf('\u0000\u0000\u0000 ftypisom'))).toBe('audio/mp4');
+            expect(AudioFormat.detectContentType(bytesOf('ADIF\u0000'))).toBe('audio/aac');
+        });
+
+        it('detects Opus in the first Ogg page', () => {
+            const header = bytesOf('OggS' + '\u0000'.repeat(24) + 'OpusHead');
+
+            expect(AudioFormat.detectContentType(new Uint8Array(header))).toBe('audio/ogg; codecs=opus');
+        });
+
+        it('returns null for unrecognised or short content', () => {
+            expect(AudioFormat.detectContentType(bytesOf('fake audio content'))).toBeNull();
+            expect(AudioFormat.detectContentType([0xff])).toBeNull();
+            expect(AudioFormat.detectContentType(null)).toBeNull();
+        });
+    });
+
+    describe('isAudioFile', () => {
+        it('recognises audio by FileType or file extension', () => {
+            expect(AudioFormat.isAudioFile({ fileType: 'MP3' })).toBe(true);
+            expect(AudioFormat.isAudioFile({ fileType: 'flac' })).toBe(true);
+            expect(AudioFormat.isAudioFile({ fileType: 'UNKNOWN', fileExtension: 'opus' })).toBe(true);
+            expect(AudioFormat.isAudioFile({ fileType: 'TEXT', fileExtension: 'txt' })).toBe(false);
+            expect(AudioFormat.isAudioFile(null)).toBe(false);
+        });
+
+        it('maps file types to content types', () => {
+            expect(AudioFormat.getContentTypeForFileType('webm')).toBe('audio/webm');
+            expect(AudioFormat.getContentTypeForFileType('PDF')).toBe(AudioFormat.UNKNOWN_CONTENT_TYPE);
+        });
+    });
+
+    describe('canPlay', () => {
+        it('asks the audio element about the format', () => {
+            const audio = { canPlayType: jest.fn((type) => (type === 'audio/flac' ? '' : 'maybe')) };
+
+            expect(AudioFormat.canPlay(audio, 'audio/mpeg')).toBe(true);
+            expect(AudioFormat.canPlay(audio, 'audio/flac')).toBe(false);
+            expect(audio.canPlayType).toHaveBeenCalledWith('audio/flac');
+        });
+
+        it('never plays unknown formats', () => {
+            const audio = { canPlayType: jest.fn(() => 'maybe') };
+
+            expect(AudioFormat.canPlay(audio, AudioFormat.UNKNOWN_CONTENT_TYPE)).toBe(false);
+            expect(AudioFormat.canPlay(audio, null)).toBe(false);
+        });
+
+        it('assumes support when the audio element is not rendered yet', () => {
+            expect(AudioFormat.canPlay(undefined, 'audio/ogg')).toBe(true);
+        });
+    });
+
+    describe('getUnsupportedMessage', () => {
+        it('names known formats', () => {
+            expect(AudioFormat.getUnsupportedMessage('audio/ogg; codecs=opus')).toContain('Opus codec');
+            expect(AudioFormat.getFormatLabel('AUDIO/WEBM')).toBe('WebM');
+        });
+
+        it('describes unknown formats as unrecognised', () => {
+            expect(AudioFormat.getUnsupportedMessage('application/octet-stream')).toContain('unrecognised audio format');
+        });
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * AudioFormat - Audio format detection and codec support checks
+ *
+ * Mirrors the Apex AudioFormatDetector: the format is read from the file header
+ * ("magic bytes") and the Salesforce FileType is only used when the header is not
+ * recognised. Supported formats: MP3, WAV, M4A, OGG, OPUS, WEBM, FLAC and AAC.
+ *
+ * Not every browser decodes every format (e.g. Safari and Ogg/Opus), so
+ * canPlay() asks the audio element before playback is attempted, and
+ * getUnsupportedMessage() names the format in the error shown to the user.
+ *
+ * Usage:
+ *   import AudioFormat from 'c/audioFormat';
+ *   const contentType = AudioFormat.detectContentType(bytes) || audioData.contentType;
+ *   if (!AudioFormat.canPlay(audioElement, contentType)) {
+ *       error = AudioFormat.getUnsupportedMessage(contentType);
+ *   }
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const UNKNOWN_CONTENT_TYPE = 'application/octet-stream';
+
+// Keep in step with AudioFormatDetector.FILE_TYPE_CONTENT_TYPES in Apex
+const FILE_TYPE_CONTENT_TYPES = {
+    MP3: 'audio/mpeg',
+    WAV: 'audio/wav',
+    M4A: 'audio/mp4',
+    OGG: 'audio/ogg',
+    OPUS: 'audio/ogg; codecs=opus',
+    WEBM: 'audio/webm',
+    FLAC: 'audio/flac',
+    AAC: 'audio/aac'
+};
+
+// Names shown to users, by content type
+const FORMAT_LABELS = {
+    'audio/mpeg': 'MP3',
+    'audio/wav': 'WAV',
+    'audio/mp4': 'M4A',
+    'audio/ogg': 'Ogg Vorbis',
+    'audio/ogg; codecs=opus': 'Opus',
+    'audio/webm': 'WebM',
+    'audio/flac': 'FLAC',
+    'audio/aac': 'AAC'
+};
+
+// Byte signatures checked at the start of the file, in order
+const SIGNATURES = [
+    { bytes: [0x49, 0x44, 0x33], contentType: 'audio/mpeg' },      // "ID3"
+    { bytes: [0x66, 0x4c, 0x61, 0x43], contentType: 'audio/flac' }, // "fLaC"
+    { bytes: [0x1a, 0x45, 0xdf, 0xa3], contentType: 'audio/webm' }, // EBML (WebM/Matroska)
+    { bytes: [0x41, 0x44, 0x49, 0x46], contentType: 'audio/aac' }   // "ADIF"
+];
+
+const RIFF = [0x52, 0x49, 0x46, 0x46];
+const WAVE = [0x57, 0x41, 0x56, 0x45];
+const OGGS = [0x4f, 0x67, 0x67, 0x53];
+const OPUS_HEAD = [0x4f, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64];
+const FTYP = [0x66, 0x74, 0x79, 0x70];
+
+// Bytes inspected when looking for the Opus header in the first Ogg page
+const HEADER_LENGTH = 48;
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+/**
+ * Check whether the bytes at an offset equal a signature
+ */
+const bytesAt = (bytes, offset, signature) =>
+    bytes.length >= offset + signature.length && signature.every((value, index) => bytes[offset + index] === value);
+
+/**
+ * Check whether a signature occurs anywhere in the header
+ */
+function containsBytes(bytes, signature) {
+    const limit = Math.min(bytes.length, HEADER_LENGTH) - signature.length;
+    for (let offset = 0; offset <= limit; offset++) {
+        if (bytesAt(bytes, offset, signature)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Get the content type for a FileType or file extension
+ */
+const contentTypeForFileType = (fileType) => FILE_TYPE_CONTENT_TYPES[(fileType || '').trim().toUpperCase()] || null;
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const AudioFormat = {
+    UNKNOWN_CONTENT_TYPE,
+
+    /**
+     * Detect the content type from the leading bytes of a file
+     * @param {Uint8Array|Array<number>} bytes - The file content, or at least its first 48 bytes
+     * @returns {string|null} The content type, or null when no signature matches
+     */
+    detectContentType(bytes) {
+        if (!bytes || bytes.length < 4) {
+            return null;
+        }
+
+        const signature = SIGNATURES.find((candidate) => bytesAt(bytes, 0, candidate.bytes));
+        if (signature) {
+            return signature.contentType;
+        }
+        if (bytesAt(bytes, 0, RIFF) && bytesAt(bytes, 8, WAVE)) {
+            return 'audio/wav';
+        }
+        if (bytesAt(bytes, 0, OGGS)) {
+            return containsBytes(bytes, OPUS_HEAD) ? 'audio/ogg; codecs=opus' : 'audio/ogg';
+        }
+        if (bytesAt(bytes, 4, FTYP)) {
+            return 'audio/mp4';
+        }
+        if (bytes[0] === 0xff) {
+            // MPEG frame sync: ADTS (AAC) frames use layer 0, MP3 frames do not
+            const layerBits = bytes[1] & 0x06;
+            if ((bytes[1] & 0xf0) === 0xf0 && layerBits === 0) {
+                return 'audio/aac';
+            }
+            if ((bytes[1] & 0xe0) === 0xe0 && layerBits !== 0) {
+                return 'audio/mpeg';
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Check whether a session document is an audio recording
+     * @param {Object} doc - Document with fileType and, optionally, fileExtension
+     * @returns {boolean} True for the supported audio formats
+     */
+    isAudioFile(doc) {
+        return !!doc && (!!contentTypeForFileType(doc.fileType) || !!contentTypeForFileType(doc.fileExtension));
+    },
+
+    /**
+     * Get the content type for a FileType or file extension
+     * @param {string} fileType - e.g. 'MP3' or 'opus'
+     * @returns {string} The content type, or UNKNOWN_CONTENT_TYPE
+     */
+    getContentTypeForFileType(fileType) {
+        return contentTypeForFileType(fileType) || UNKNOWN_CONTENT_TYPE;
+    },
+
+    /**
+     * Get the user-facing name of a format
+     * @param {string} contentType - The content type
+     * @returns {string|null} e.g. 'Opus', or null for unknown formats
+     */
+    getFormatLabel(contentType) {
+        return FORMAT_LABELS[(contentType || '').toLowerCase()] || null;
+    },
+
+    /**
+     * Ask the browser whether it can decode a format
+     * @param {HTMLAudioElement} audioElement - The audio element that will play the file
+     * @param {string} contentType - The content type
+     * @returns {boolean} False for unknown formats and formats the browser reports it cannot play
+     */
+    canPlay(audioElement, contentType) {
+        if (!contentType || contentType === UNKNOWN_CONTENT_TYPE) {
+            return false;
+        }
+        if (!audioElement || typeof audioElement.canPlayType !== 'function') {
+            return true;
+        }
+        return audioElement.canPlayType(contentType) !== '';
+    },
+
+    /**
+     * Build the error shown when the browser cannot decode a recording
+     * @param {string} contentType - The content type
+     * @returns {string} A message naming the format when it is known
+     */
+    getUnsupportedMessage(contentType) {
+        const label = this.getFormatLabel(contentType);
+        if (!label) {
+            return 'This recording is in an unrecognised audio format and cannot be played in the browser. Download the recording to play it in a desktop player.';
+        }
+        return `This recording uses the ${label} codec, which this browser cannot play. Try a different browser, or download the recording to play it in a desktop player.`;
+    }
+};
+
+export default AudioFormat;
@@ -0,0 +1,127 @@
+import AudioStreaming from 'c/audioStreaming';
+
+describe('c-audio-streaming', () => {
+    const chunk = (text, isLastChunk) => ({ base64Data: btoa(text), isLastChunk });
+
+    afterEach(() => {
+        delete window.MediaSource;
+        jest.restoreAllMocks();
+    });
+
+    describe('base64ToBytes', () => {
+        it('decodes base64 into bytes', () => {
+            expect(Array.from(AudioStreaming.base64ToBytes(btoa('ID3')))).toEqual([0x49, 0x44, 0x33]);
+            expect(AudioStreaming.base64ToBytes(null).length).toBe(0);
+        });
+    });
+
+    describe('fetchChunks', () => {
+        it('requests consecutive ranges until the last chunk', async () => {
+            const fetchChunk = jest.fn()
+                .mockResolvedValueOnce(chunk('abc', false))
+                .mockResolvedValueOnce(chunk('def', false))
+                .mockResolvedValueOnce(chunk('g', true));
+            const onChunk = jest.fn();
+
+            const parts = await AudioStreaming.fetchChunks(fetchChunk, onChunk, 3);
+
+            expect(fetchChunk.mock.calls).toEqual([[0, 3], [3, 3], [6, 3]]);
+            expect(parts.map((part) => part.length)).toEqual([3, 3, 1]);
+            expect(onChunk).toHaveBeenCalledTimes(3);
+            expect(onChunk.mock.calls[2][1].isLastChunk).toBe(true);
+        });
+
+        it('stops when the callback returns false', async () => {
+            const fetchChunk = jest.fn().mockResolvedValue(chunk('abc', false));
+
+            const parts = await AudioStreaming.fetchChunks(fetchChunk, () => false, 3);
+
+            expect(fetchChunk).toHaveBeenCalledTimes(1);
+            expect(parts.length).toBe(1);
+        });
+
+        it('stops on an empty response', async () => {
+            const fetchChunk = jest.fn().mockResolvedValue({ base64Data: null, isLastChunk: false });
+
+            const parts = await AudioStreaming.fetchChunks(fetchChunk);
+
+            expect(fetchChunk).toHaveBeenCalledWith(0, AudioStreaming.CHUNK_SIZE);
+            expect(parts).toEqual([]);
+        });
+
+        it('uses a chunk size that keeps offsets on base64 boundaries', () => {
+            expect(AudioStreaming.CHUNK_SIZE % 3).toBe(0);
+        });
+    });
+
+    describe('MediaSource streaming', () => {
+        // Minimal MediaSource that opens when created and finishes appends immediately
+        class FakeSourceBuffer extends EventTarget {
+            appended = [];
+
+            appendBuffer(bytes) {
+                this.appended.push(bytes);
+                Promise.resolve().then(() => this.dispatchEvent(new CustomEvent('updateend')));
+            }
+        }
+
+        class FakeMediaSource extends EventTarget {
+            static isTypeSupported = jest.fn((type) => type === 'audio/mpeg');
+            readyState = 'open';
+            sourceBuffer = null;
+
+            constructor() {
+                super();
+                FakeMediaSource.instance = this;
+                Promise.resolve().then(() => this.dispatchEvent(new CustomEvent('sourceopen')));
+            }
+
+            addSourceBuffer() {
+                this.sourceBuffer = new FakeSourceBuffer();
+                return this.sourceBuffer;
+            }
+
+            endOfStream() {
+                this.readyState = 'ended';
+            }
+        }
+
+        beforeEach(() => {
+            global.URL.createObjectURL = jest.fn(() => 'blob:media-source');
+            global.URL.revokeObjectURL = jest.fn();
+        });
+
+        it('streams MP3 and AAC only where the browser supports it', () => {
+            expect(AudioStreaming.supportsMediaSource('audio/mpeg')).toBe(false);
+
+            window.MediaSource = FakeMediaSource;
+            expect(AudioStreaming.supportsMediaSource('audio/mpeg')).toBe(true);
+            expect(AudioStreaming.supportsMediaSource('audio/aac')).toBe(false);
+            expect(AudioStreaming.supportsMediaSource('audio/wav')).toBe(false);
+        });
+
+        it('appends chunks in order and ends the stream', async () => {
+            window.MediaSource = FakeMediaSource;
+
+            const stream = AudioStreaming.openMediaSource('audio/mpeg');
+            await stream.append(new Uint8Array([1, 2, 3]));
+            await stream.append(new Uint8Array([4]));
+            await stream.end();
+
+            const mediaSource = FakeMediaSource.instance;
+            expect(stream.url).toBe('blob:media-source');
+            expect(mediaSource.sourceBuffer.appended.map((bytes) => bytes.length)).toEqual([3, 1]);
+            expect(mediaSource.readyState).toBe('ended');
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:media-source');
+        });
+
+        it('releases the stream url when cancelled', () => {
+            window.MediaSource = FakeMediaSource;
+
+            const stream = AudioStreaming.openMediaSource('audio/mpeg');
+            stream.cancel();
+
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:media-source');
+        });
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * AudioStreaming - Chunked audio download and progressive playback
+ *
+ * Recordings are fetched from VoicecallSessionController.getAudioChunk in
+ * byte ranges instead of one base64 response. Where the browser supports
+ * MediaSource for the format (MP3 and AAC), chunks are appended to the audio
+ * element as they arrive so playback can start before the download completes.
+ * Other formats (WAV, M4A, ...) are assembled into a Blob once every chunk
+ * has arrived.
+ *
+ * Usage:
+ *   import AudioStreaming from 'c/audioStreaming';
+ *   await AudioStreaming.fetchChunks(
+ *       (offset, chunkSize) => getAudioChunk({ documentId, offset, chunkSize }),
+ *       (bytes, chunk) => { ... }
+ *   );
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Bytes requested per call. Must be a multiple of 3 so every offset starts on a
+// base64 boundary, and at most MAX_AUDIO_CHUNK_SIZE in the Apex controller.
+// Apex still loads the whole file on every call, so chunking does not raise
+// the size of recording it can serve.
+const CHUNK_SIZE = 786432;
+
+// Formats appended to MediaSource as-is. Non-fragmented MP4 (M4A) and WAV cannot be.
+const STREAMABLE_TYPES = ['audio/mpeg', 'audio/aac'];
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64Data - Base64-encoded data
+ * @returns {Uint8Array} The decoded bytes
+ */
+function base64ToBytes(base64Data) {
+    const binaryString = atob(base64Data || '');
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Wait for a SourceBuffer to finish its current update
+ */
+const whenUpdated = (sourceBuffer) =>
+    new Promise((resolve, reject) => {
+        sourceBuffer.addEventListener('updateend', resolve, { once: true });
+        sourceBuffer.addEventListener('error', reject, { once: true });
+    });
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const AudioStreaming = {
+    CHUNK_SIZE,
+
+    base64ToBytes,
+
+    /**
+     * Fetch a file chunk by chunk until the last chunk arrives
+     * @param {Function} fetchChunk - (offset, chunkSize) => Promise of an AudioChunkWrapper
+     * @param {Function} onChunk - (bytes, chunk) => called for each chunk; return false to stop
+     * @param {number} chunkSize - Bytes per request
+     * @returns {Promise<Array<Uint8Array>>} The chunks received, in order
+     */
+    async fetchChunks(fetchChunk, onChunk, chunkSize = CHUNK_SIZE) {
+        const parts = [];
+        let offset = 0;
+        let isLastChunk = false;
+
+        while (!isLastChunk) {
+            // Chunks are sequential: each offset depends on the previous response
+            // eslint-disable-next-line no-await-in-loop
+            const chunk = await fetchChunk(offset, chunkSize);
+            const bytes = base64ToBytes(chunk && chunk.base64Data);
+            if (bytes.length === 0) {
+                break;
+            }
+
+            parts.push(bytes);
+            offset += bytes.length;
+            isLastChunk = !!chunk.isLastChunk;
+
+            // eslint-disable-next-line no-await-in-loop
+            const keepGoing = onChunk ? await onChunk(bytes, chunk) : true;
+            if (keepGoing === false) {
+                break;
+            }
+        }
+        return parts;
+    },
+
+    /**
+     * Check whether a format can be streamed through MediaSource in this browser
+     * @param {string} contentType - The content type
+     * @returns {boolean} True when chunks can be appended as they arrive
+     */
+    supportsMediaSource(contentType) {
+        const MediaSourceType = typeof window !== 'undefined' ? window.MediaSource : undefined;
+        return (
+            !!MediaSourceType &&
+            typeof MediaSourceType.isTypeSupported === 'function' &&
+            STREAMABLE_TYPES.includes(contentType) &&
+            MediaSourceType.isTypeSupported(contentType)
+        );
+    },
+
+    /**
+     * Create a MediaSource to stream chunks into. Set the audio element's src to
+     * the returned url before appending; appends wait until the source opens.
+     * @param {string} contentType - A content type supportsMediaSource accepts
+     * @returns {{url: string, append: Function, end: Function, cancel: Function}} The stream
+     */
+    openMediaSource(contentType) {
+        const mediaSource = new window.MediaSource();
+        const url = URL.createObjectURL(mediaSource);
+        const ready = new Promise((resolve) => {
+            mediaSource.addEventListener('sourceopen', () => resolve(mediaSource.addSourceBuffer(contentType)), { once: true });
+        });
+
+        return {
+            url,
+
+            /**
+             * Append bytes once the previous append has finished
+             * @param {Uint8Array} bytes - The next chunk
+             */
+            async append(bytes) {
+                const sourceBuffer = await ready;
+                const updated = whenUpdated(sourceBuffer);
+                sourceBuffer.appendBuffer(bytes);
+                await updated;
+            },
+
+            /**
+             * Mark the stream complete so the audio element knows the duration
+             */
+            async end() {
+                await ready;
+                if (mediaSource.readyState === 'open') {
+                    mediaSource.endOfStream();
+                }
+                URL.revokeObjectURL(url);
+            },
+
+            /**
+             * Abandon the stream, e.g. when a newer load supersedes it
+             */
+            cancel() {
+                URL.revokeObjectURL(url);
+            }
+        };
+    }
+};
+
+export default AudioStreaming;
@@ -0,0 +1,74 @@
+import AudioWaveform from 'c/audioWaveform';
+
+describe('c-audio-waveform', () => {
+    afterEach(() => {
+        delete window.OfflineAudioContext;
+    });
+
+    describe('computePeaks', () => {
+        it('takes the loudest sample of each slice and normalises to the loudest slice', () => {
+            const samples = new Float32Array([0.1, -0.2, 0, 0.05, -0.8, 0.4, 0, 0]);
+
+            expect(AudioWaveform.computePeaks([samples], 4)).toEqual([0.25, 0.063, 1, 0]);
+        });
+
+        it('combines channels', () => {
+            const left = new Float32Array([0.5, 0]);
+            const right = new Float32Array([0, -0.25]);
+
+            expect(AudioWaveform.computePeaks([left, right], 2)).toEqual([1, 0.5]);
+        });
+
+        it('handles silence, empty input and more bars than samples', () => {
+            expect(AudioWaveform.computePeaks([new Float32Array(4)], 2)).toEqual([0, 0]);
+            expect(AudioWaveform.computePeaks([], 2)).toEqual([]);
+            expect(AudioWaveform.computePeaks([new Float32Array([0.5])], 3)).toEqual([1, 1, 1]);
+        });
+    });
+
+    describe('fromBlob', () => {
+        const blobOf = (size) => ({ size, arrayBuffer: jest.fn(() => Promise.resolve(new ArrayBuffer(8))) });
+
+        class FakeOfflineAudioContext {
+            constructor(channels, length, sampleRate) {
+                FakeOfflineAudioContext.sampleRate = sampleRate;
+            }
+
+            decodeAudioData(buffer, resolve) {
+                resolve({
+                    numberOfChannels: 1,
+                    getChannelData: () => new Float32Array([0, 0.5, 0, 1])
+                });
+            }
+        }
+
+        it('decodes the recording at a low sample rate', async () => {
+            window.OfflineAudioContext = FakeOfflineAudioContext;
+
+            const peaks = await AudioWaveform.fromBlob(blobOf(1024), 2);
+
+            expect(peaks).toEqual([0.5, 1]);
+            expect(FakeOfflineAudioContext.sampleRate).toBe(3000);
+        });
+
+        it('returns null without Web Audio or for very large files', async () => {
+            expect(AudioWaveform.isSupported()).toBe(false);
+            expect(await AudioWaveform.fromBlob(blobOf(1024))).toBeNull();
+
+            window.OfflineAudioContext = FakeOfflineAudioContext;
+            const hugeBlob = blobOf(200 * 1024 * 1024);
+            expect(await AudioWaveform.fromBlob(hugeBlob)).toBeNull();
+            expect(hugeBlob.arrayBuffer).not.toHaveBeenCalled();
+        });
+
+        it('rejects when the audio cannot be decoded', async () => {
+            window.OfflineAudioContext = class {
+                decodeAudioData() {
+                    return Promise.reject(new Error('Unable to decode audio data'));
+                }
+            };
+
+            await expect(AudioWaveform.fromBlob(blobOf(1024))).rejects.toThrow('Unable to decode audio data');
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * AudioWaveform - Waveform peaks for the player's progress bar
+ *
+ * Decodes a recording with Web Audio and reduces it to one peak per bar, so
+ * listeners can see where speech and silence are before seeking. Decoding
+ * happens at a low sample rate to keep memory use down on long calls; very
+ * large files and browsers without Web Audio get no waveform.
+ *
+ * Usage:
+ *   import AudioWaveform from 'c/audioWaveform';
+ *   const peaks = await AudioWaveform.fromBlob(blob); // null when unavailable
+ *   peaks.forEach((peak) => ...); // 0..1, one per bar
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Bars drawn across the progress bar
+const BAR_COUNT = 120;
+
+// Decode at a low rate: peaks need far less detail than playback
+const DECODE_SAMPLE_RATE = 3000;
+
+// Larger recordings are not decoded (100 MB)
+const MAX_WAVEFORM_BYTES = 104857600;
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+const getOfflineAudioContext = () =>
+    (typeof window !== 'undefined' ? window.OfflineAudioContext || window.webkitOfflineAudioContext : undefined);
+
+/**
+ * Decode audio with either the promise or the callback form of decodeAudioData
+ * (older Safari only supports callbacks)
+ */
+const decodeAudio = (context, arrayBuffer) =>
+    new Promise((resolve, reject) => {
+        const result = context.decodeAudioData(arrayBuffer, resolve, reject);
+        if (result && typeof result.then === 'function') {
+            result.then(resolve, reject);
+        }
+    });
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const AudioWaveform = {
+    BAR_COUNT,
+
+    /**
+     * Check whether this browser can decode audio for a waveform
+     * @returns {boolean} True when OfflineAudioContext is available
+     */
+    isSupported() {
+        return !!getOfflineAudioContext();
+    },
+
+    /**
+     * Reduce decoded samples to normalised peaks
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} barCount - Number of peaks to return
+     * @returns {Array<number>} The loudest sample in each slice across all channels, scaled to 0..1
+     */
+    computePeaks(channels, barCount = BAR_COUNT) {
+        const length = channels && channels.length > 0 ? channels[0].length : 0;
+        if (length === 0 || barCount <= 0) {
+            return [];
+        }
+
+        const peaks = [];
+        let loudest = 0;
+        for (let bar = 0; bar < barCount; bar++) {
+            const start = Math.floor((bar * length) / barCount);
+            const end = Math.max(start + 1, Math.floor(((bar + 1) * length) / barCount));
+            let peak = 0;
+            channels.forEach((samples) => {
+                for (let i = start; i < end && i < samples.length; i++) {
+                    const value = Math.abs(samples[i]);
+                    if (value > peak) {
+                        peak = value;
+                    }
+                }
+            });
+            peaks.push(peak);
+            loudest = Math.max(loudest, peak);
+        }
+
+        return peaks.map((peak) => (loudest > 0 ? Math.round((peak / loudest) * 1000) / 1000 : 0));
+    },
+
+    /**
+     * Decode a recording and compute its waveform
+     * @param {Blob} blob - The recording, as built by the player
+     * @param {number} barCount - Number of peaks to return
+     * @returns {Promise<Array<number>|null>} The peaks, or null when the waveform is unavailable
+     */
+    async fromBlob(blob, barCount = BAR_COUNT) {
+        const OfflineContext = getOfflineAudioContext();
+        if (!OfflineContext || !blob || blob.size > MAX_WAVEFORM_BYTES) {
+            return null;
+        }
+
+        const arrayBuffer = await blob.arrayBuffer();
+        const context = new OfflineContext(1, 1, DECODE_SAMPLE_RATE);
+        const audioBuffer = await decodeAudio(context, arrayBuffer);
+
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        return this.computePeaks(channels, barCount);
+    }
+};
+
+export default AudioWaveform;
@@ -0,0 +1,63 @@
+import CallAccessAudit from 'c/callAccessAudit';
+
+describe('c-call-access-audit', () => {
+    // Play from one time to another in 250ms steps, like timeupdate events
+    const play = (tracker, from, to, duration) => {
+        const actions = [];
+        for (let time = from; time <= to; time += 0.25) {
+            actions.push(...tracker.update({ currentTime: time, duration, isPlaying: true }));
+        }
+        return actions;
+    };
+
+    it('logs the start of playback once', () => {
+        const tracker = CallAccessAudit.createListeningTracker();
+
+        expect(tracker.update({ currentTime: 0, duration: 100, isPlaying: false })).toEqual([]);
+        expect(tracker.update({ currentTime: 0, duration: 100, isPlaying: true })).toEqual(['Playback_Started']);
+        expect(tracker.update({ currentTime: 0.25, duration: 100, isPlaying: true })).toEqual([]);
+    });
+
+    it('reaches milestones as the recording is heard', () => {
+        const tracker = CallAccessAudit.createListeningTracker();
+
+        expect(play(tracker, 0, 30, 100)).toEqual(['Playback_Started', 'Listened_25']);
+        expect(play(tracker, 30.25, 100, 100)).toEqual(['Listened_50', 'Listened_75', 'Listened_100']);
+        expect(tracker.listenedPercent()).toBe(100);
+    });
+
+    it('does not count seeking ahead as listening', () => {
+        const tracker = CallAccessAudit.createListeningTracker();
+
+        play(tracker, 0, 10, 100);
+        tracker.update({ currentTime: 95, duration: 100, isPlaying: true });
+
+        expect(play(tracker, 95.25, 99.75, 100)).toEqual([]);
+        expect(tracker.listenedPercent()).toBe(16);
+    });
+
+    it('does not count replaying the same part twice', () => {
+        const tracker = CallAccessAudit.createListeningTracker();
+
+        play(tracker, 0, 20, 80);
+        tracker.update({ currentTime: 20, duration: 80, isPlaying: false });
+
+        expect(play(tracker, 0, 20, 80)).toEqual([]);
+        expect(tracker.listenedPercent()).toBe(26);
+    });
+
+    it('tracks each recording played in a list of players separately', () => {
+        const onAction = jest.fn();
+        const onPlaybackUpdate = CallAccessAudit.createPlaybackListener(onAction);
+
+        onPlaybackUpdate({ sessionId: 'S1', documentId: 'D1', currentTime: 0, duration: 100, isPlaying: true });
+        onPlaybackUpdate({ sessionId: 'S1', documentId: 'D1', currentTime: 0.25, duration: 100, isPlaying: true });
+        onPlaybackUpdate({ sessionId: 'S2', documentId: 'D1', currentTime: 0, duration: 100, isPlaying: true });
+        onPlaybackUpdate({ sessionId: 'S2', currentTime: 0, duration: 100, isPlaying: true });
+
+        expect(onAction.mock.calls).toEqual([
+            [{ sessionId: 'S1', documentId: 'D1', action: 'Playback_Started' }],
+            [{ sessionId: 'S2', documentId: 'D1', action: 'Playback_Started' }]
+        ]);
+    });
+});
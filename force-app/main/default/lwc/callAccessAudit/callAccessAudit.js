@@ -0,0 +1,129 @@
+/**
+ * CallAccessAudit - Call Access Log actions logged by the player
+ *
+ * Apex logs audio and transcript reads itself. The player logs:
+ *   Transcript_Exported   A transcript export; the detail is the format
+ *   Playback_Started      The first time a recording plays
+ *   Listened_25/50/75/100 How much of a recording has been heard
+ *
+ * Listening is measured in whole seconds of the recording that played, so
+ * seeking ahead or replaying the same part does not count towards a milestone.
+ *
+ * Usage:
+ *   import CallAccessAudit from 'c/callAccessAudit';
+ *   const tracker = CallAccessAudit.createListeningTracker();
+ *   tracker.update({ currentTime, duration, isPlaying }).forEach(action => logCallAccess({ ... action ... }));
+ *
+ *   // Or one tracker per recording, for a list of players
+ *   const onPlaybackUpdate = CallAccessAudit.createPlaybackListener(({ sessionId, documentId, action }) => ...);
+ *   onPlaybackUpdate(event.detail);
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Call_Access_Log__c.Action__c values
+const ACTIONS = {
+    TRANSCRIPT_EXPORTED: 'Transcript_Exported',
+    PLAYBACK_STARTED: 'Playback_Started'
+};
+
+// Listening milestones in the order they are reached
+const MILESTONES = [
+    { percent: 25, action: 'Listened_25' },
+    { percent: 50, action: 'Listened_50' },
+    { percent: 75, action: 'Listened_75' },
+    { percent: 100, action: 'Listened_100' }
+];
+
+// Longest step between two playback updates that still counts as continuous
+// playback; timeupdate fires every 250ms or so, a longer step is a seek
+const MAX_PLAYBACK_STEP_SECONDS = 3;
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const CallAccessAudit = {
+    ACTIONS,
+    MILESTONES,
+
+    /**
+     * Track how much of one recording has been heard
+     * @returns {{update: Function, listenedPercent: Function}} The tracker; update takes a
+     *          playbackupdate detail and returns the actions reached by it, in order
+     */
+    createListeningTracker() {
+        const heardSeconds = new Set();
+        let lastTime = null;
+        let started = false;
+        let nextMilestone = 0;
+        let totalSeconds = 0;
+
+        const listenedPercent = () => {
+            return totalSeconds > 0 ? Math.min(100, Math.floor((heardSeconds.size * 100) / totalSeconds)) : 0;
+        };
+
+        return {
+            update({ currentTime, duration, isPlaying }) {
+                const actions = [];
+                if (!isPlaying || !(currentTime >= 0)) {
+                    lastTime = null;
+                    return actions;
+                }
+                if (!started) {
+                    started = true;
+                    actions.push(ACTIONS.PLAYBACK_STARTED);
+                }
+
+                // The final partial second is never a whole bucket, so it is left out
+                if (duration > 0 && isFinite(duration)) {
+                    totalSeconds = Math.max(1, Math.floor(duration));
+                }
+                const step = lastTime === null ? -1 : currentTime - lastTime;
+                const from = step >= 0 && step <= MAX_PLAYBACK_STEP_SECONDS ? Math.floor(lastTime) : Math.floor(currentTime);
+                for (let second = from; second <= Math.floor(currentTime); second++) {
+                    heardSeconds.add(second);
+                }
+                lastTime = currentTime;
+
+                const percent = listenedPercent();
+                while (nextMilestone < MILESTONES.length && percent >= MILESTONES[nextMilestone].percent) {
+                    actions.push(MILESTONES[nextMilestone].action);
+                    nextMilestone++;
+                }
+                return actions;
+            },
+
+            listenedPercent
+        };
+    },
+
+    /**
+     * Track every recording played in a list of players
+     * @param {Function} onAction Called with { sessionId, documentId, action } for each action reached
+     * @returns {Function} Takes a playbackupdate detail; details without a session or document are ignored
+     */
+    createPlaybackListener(onAction) {
+        // Listening trackers keyed by "sessionId:documentId"
+        const trackers = new Map();
+
+        return (detail) => {
+            const { sessionId, documentId } = detail || {};
+            if (!sessionId || !documentId) {
+                return;
+            }
+
+            const key = `${sessionId}:${documentId}`;
+            let tracker = trackers.get(key);
+            if (!tracker) {
+                tracker = CallAccessAudit.createListeningTracker();
+                trackers.set(key, tracker);
+            }
+            tracker.update(detail).forEach(action => onAction({ sessionId, documentId, action }));
+        };
+    }
+};
+
+export default CallAccessAudit;
@@ -0,0 +1,70 @@
+import CallDeepLink from 'c/callDeepLink';
+
+describe('c-call-deep-link', () => {
+    describe('parseTime', () => {
+        it('reads seconds and clock times', () => {
+            expect(CallDeepLink.parseTime('754')).toBe(754);
+            expect(CallDeepLink.parseTime('12.5')).toBe(12.5);
+            expect(CallDeepLink.parseTime('12:34')).toBe(754);
+            expect(CallDeepLink.parseTime('1:02:03')).toBe(3723);
+        });
+
+        it('treats anything else as the start', () => {
+            expect(CallDeepLink.parseTime('abc')).toBe(0);
+            expect(CallDeepLink.parseTime('-5')).toBe(0);
+            expect(CallDeepLink.parseTime('1:2:3:4')).toBe(0);
+            expect(CallDeepLink.parseTime(undefined)).toBe(0);
+        });
+    });
+
+    describe('parse', () => {
+        it('reads the moment from page state', () => {
+            expect(CallDeepLink.parse({ c__session: 'a01', c__recording: '069A', c__t: '12:00' })).toEqual({
+                sessionId: 'a01',
+                recordingId: '069A',
+                seconds: 720
+            });
+            expect(CallDeepLink.parse({ c__session: 'a01' })).toEqual({
+                sessionId: 'a01',
+                recordingId: null,
+                seconds: 0
+            });
+        });
+
+        it('ignores state without a session', () => {
+            expect(CallDeepLink.parse({ c__recording: '069A', c__t: '10' })).toBeNull();
+            expect(CallDeepLink.parse(undefined)).toBeNull();
+        });
+    });
+
+    describe('buildUrl', () => {
+        const pageUrl = 'https://example.lightning.force.com/lightning/r/Case/500A/view';
+
+        it('adds the moment to the page URL in whole seconds', () => {
+            const url = new URL(
+                CallDeepLink.buildUrl(pageUrl, { sessionId: 'a01', recordingId: '069A', seconds: 725.8 })
+            );
+
+            expect(url.pathname).toBe('/lightning/r/Case/500A/view');
+            expect(url.searchParams.get('c__session')).toBe('a01');
+            expect(url.searchParams.get('c__recording')).toBe('069A');
+            expect(url.searchParams.get('c__t')).toBe('725');
+        });
+
+        it('replaces an earlier moment and keeps other parameters', () => {
+            const url = new URL(
+                CallDeepLink.buildUrl(`${pageUrl}?c__session=old&c__recording=069B&c__t=5&c__tab=calls#top`, {
+                    sessionId: 'a02',
+                    recordingId: null,
+                    seconds: 3
+                })
+            );
+
+            expect(url.searchParams.get('c__session')).toBe('a02');
+            expect(url.searchParams.has('c__recording')).toBe(false);
+            expect(url.searchParams.get('c__t')).toBe('3');
+            expect(url.searchParams.get('c__tab')).toBe('calls');
+            expect(url.hash).toBe('');
+        });
+    });
+});
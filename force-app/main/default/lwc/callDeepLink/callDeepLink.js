@@ -0,0 +1,92 @@
+/**
+ * CallDeepLink - Links to a moment in a call
+ *
+ * A record page URL (e.g. a Case) carries the moment in its page state:
+ *   c__session    Call session Id (opens that call's accordion section)
+ *   c__recording  Audio ContentDocument Id (selects that recording pill)
+ *   c__t          Seconds from the start of the recording, or m:ss / h:mm:ss
+ *
+ * Lightning keeps c__ parameters in CurrentPageReference.state, so
+ * voicecallSessionPlayer reads them from there and callTranscriptPlayer builds
+ * the "Copy link to this moment" URL from the current page URL.
+ *
+ * Usage:
+ *   import CallDeepLink from 'c/callDeepLink';
+ *   const link = CallDeepLink.parse(pageReference.state);
+ *   const url = CallDeepLink.buildUrl(window.location.href, { sessionId, recordingId, seconds });
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const SESSION_PARAM = 'c__session';
+const RECORDING_PARAM = 'c__recording';
+const TIME_PARAM = 'c__t';
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+/**
+ * Parse seconds ("754", "754.5") or a clock time ("12:34", "1:02:03")
+ * @returns {number} Seconds, or 0 when the value is not a time
+ */
+function parseTime(value) {
+    const text = (value || '').toString().trim();
+    if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text)) {
+        return 0;
+    }
+    return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const CallDeepLink = {
+    SESSION_PARAM,
+    RECORDING_PARAM,
+    TIME_PARAM,
+
+    parseTime,
+
+    /**
+     * Read a moment from page state
+     * @param {Object} state - CurrentPageReference.state
+     * @returns {{sessionId: string, recordingId: string|null, seconds: number}|null} The moment,
+     *          or null when the state names no session
+     */
+    parse(state) {
+        const sessionId = state && state[SESSION_PARAM];
+        if (!sessionId) {
+            return null;
+        }
+        return {
+            sessionId,
+            recordingId: state[RECORDING_PARAM] || null,
+            seconds: parseTime(state[TIME_PARAM])
+        };
+    },
+
+    /**
+     * Build a link to a moment from the current page URL, replacing any earlier moment
+     * @param {string} pageUrl - The current page URL
+     * @param {{sessionId: string, recordingId: string, seconds: number}} moment - The moment
+     * @returns {string} The page URL with the moment's parameters
+     */
+    buildUrl(pageUrl, moment) {
+        const url = new URL(pageUrl);
+        url.searchParams.set(SESSION_PARAM, moment.sessionId);
+        if (moment.recordingId) {
+            url.searchParams.set(RECORDING_PARAM, moment.recordingId);
+        } else {
+            url.searchParams.delete(RECORDING_PARAM);
+        }
+        url.searchParams.set(TIME_PARAM, String(Math.floor(Math.max(0, moment.seconds || 0))));
+        url.hash = '';
+        return url.toString();
+    }
+};
+
+export default CallDeepLink;
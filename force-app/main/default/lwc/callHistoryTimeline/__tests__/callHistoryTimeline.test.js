@@ -0,0 +1,202 @@
+import { createElement } from 'lwc';
+import CallHistoryTimeline from 'c/callHistoryTimeline';
+import getCustomerCallHistory from '@salesforce/apex/VoicecallSessionController.getCustomerCallHistory';
+import logCallAccess from '@salesforce/apex/VoicecallSessionController.logCallAccess';
+import { CurrentPageReference } from 'lightning/navigation';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.getCustomerCallHistory',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.logCallAccess',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+describe('c-call-history-timeline', () => {
+    const flushPromises = () => new Promise(process.nextTick);
+
+    const mockHistory = [
+        {
+            sessionId: 'a00000000000003AAA',
+            createdDate: '2024-03-05T12:00:00.000Z',
+            duration: 125,
+            status: 'Finished',
+            agentName: 'Alex Agent',
+            callType: 'Inbound',
+            caseId: '500000000000002AAA',
+            caseNumber: '00001002',
+            caseSubject: 'Refund',
+            documents: []
+        },
+        {
+            sessionId: 'a00000000000002AAA',
+            createdDate: '2024-02-20T12:00:00.000Z',
+            duration: 60,
+            status: 'Abandoned',
+            agentName: 'Blake Agent',
+            callType: 'Outbound',
+            caseId: '500000000000001AAA',
+            caseNumber: '00001001',
+            caseSubject: 'Billing question',
+            documents: []
+        },
+        {
+            sessionId: 'a00000000000001AAA',
+            createdDate: '2024-02-10T12:00:00.000Z',
+            duration: 30,
+            status: 'Finished',
+            agentName: 'Alex Agent',
+            callType: 'Inbound',
+            documents: [
+                {
+                    documentId: '069000000000001AAA',
+                    title: 'recording',
+                    fileType: 'MP3',
+                    fileExtension: 'mp3',
+                    downloadUrl: '/sfc/servlet.shepherd/version/download/068000000000001AAA'
+                }
+            ]
+        }
+    ];
+
+    const createTimeline = () => {
+        const element = createElement('c-call-history-timeline', { is: CallHistoryTimeline });
+        element.recordId = '001000000000001AAA';
+        document.body.appendChild(element);
+        return element;
+    };
+
+    const loadTimeline = async () => {
+        const element = createTimeline();
+        getCustomerCallHistory.emit(mockHistory);
+        await flushPromises();
+        return element;
+    };
+
+    const itemIds = (element) =>
+        Array.from(element.shadowRoot.querySelectorAll('.timeline-item-toggle')).map((item) => item.dataset.sessionId);
+
+    const changeFilter = async (element, selector, value) => {
+        element.shadowRoot.querySelector(selector).dispatchEvent(new CustomEvent('change', { detail: { value } }));
+        await flushPromises();
+    };
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('shows the calls newest first, grouped by month', async () => {
+        const element = await loadTimeline();
+
+        const groups = Array.from(element.shadowRoot.querySelectorAll('.timeline-group-label'));
+        expect(groups.map((group) => group.textContent)).toEqual(['March 2024', 'February 2024']);
+        expect(itemIds(element)).toEqual(['a00000000000003AAA', 'a00000000000002AAA', 'a00000000000001AAA']);
+
+        const caseLinks = element.shadowRoot.querySelectorAll('.timeline-item-case');
+        expect(caseLinks.length).toBe(2);
+        expect(caseLinks[0].textContent).toBe('Case 00001002 • Refund');
+        expect(caseLinks[0].getAttribute('href')).toBe('/lightning/r/Case/500000000000002AAA/view');
+        expect(element.shadowRoot.querySelector('.history-summary').textContent).toContain('3 calls');
+        expect(element.shadowRoot.querySelector('c-call-transcript-player')).toBeNull();
+    });
+
+    it('filters by agent, type, status and date range', async () => {
+        const element = await loadTimeline();
+
+        const agentOptions = element.shadowRoot.querySelector('.filter-agent').options;
+        expect(agentOptions.map((option) => option.label)).toEqual(['All agents', 'Alex Agent', 'Blake Agent']);
+
+        await changeFilter(element, '.filter-agent', 'Alex Agent');
+        expect(itemIds(element)).toEqual(['a00000000000003AAA', 'a00000000000001AAA']);
+
+        await changeFilter(element, '.filter-date-to', '2024-02-29');
+        expect(itemIds(element)).toEqual(['a00000000000001AAA']);
+        expect(element.shadowRoot.querySelector('.history-summary').textContent).toContain('1 of 3 calls');
+
+        await changeFilter(element, '.filter-status', 'Abandoned');
+        expect(itemIds(element)).toEqual([]);
+        expect(element.shadowRoot.querySelector('.history-no-matches')).not.toBeNull();
+
+        element.shadowRoot.querySelector('.clear-filters').click();
+        await flushPromises();
+        expect(itemIds(element)).toHaveLength(3);
+
+        await changeFilter(element, '.filter-call-type', 'Outbound');
+        await changeFilter(element, '.filter-date-from', '2024-02-15');
+        expect(itemIds(element)).toEqual(['a00000000000002AAA']);
+    });
+
+    it('opens a call in the transcript player', async () => {
+        const element = await loadTimeline();
+
+        const toggle = element.shadowRoot.querySelector('.timeline-item-toggle[data-session-id="a00000000000001AAA"]');
+        toggle.click();
+        await flushPromises();
+
+        const player = element.shadowRoot.querySelector('c-call-transcript-player');
+        expect(player).not.toBeNull();
+        expect(player.sessionId).toBe('a00000000000001AAA');
+        expect(player.agentName).toBe('Alex Agent');
+        expect(player.documents).toHaveLength(1);
+        expect(toggle.getAttribute('aria-expanded')).toBe('true');
+
+        toggle.click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('c-call-transcript-player')).toBeNull();
+    });
+
+    it('opens the call of a deep link', async () => {
+        const element = createTimeline();
+        CurrentPageReference.emit({ state: { c__session: 'a00000000000001AAA', c__t: '12' } });
+        getCustomerCallHistory.emit(mockHistory);
+        await flushPromises();
+
+        const player = element.shadowRoot.querySelector('c-call-transcript-player[data-session-id="a00000000000001AAA"]');
+        expect(player).not.toBeNull();
+    });
+
+    it('logs listening milestones', async () => {
+        logCallAccess.mockResolvedValue();
+        const element = await loadTimeline();
+        element.shadowRoot.querySelector('.timeline-item-toggle').click();
+        await flushPromises();
+
+        const player = element.shadowRoot.querySelector('c-call-transcript-player');
+        player.dispatchEvent(
+            new CustomEvent('playbackupdate', {
+                detail: { sessionId: 'a00000000000003AAA', documentId: '069000000000003AAA', currentTime: 0, duration: 125, isPlaying: true }
+            })
+        );
+
+        expect(logCallAccess).toHaveBeenCalledWith({
+            sessionId: 'a00000000000003AAA',
+            documentId: '069000000000003AAA',
+            action: 'Playback_Started',
+            detail: null
+        });
+    });
+
+    it('shows the empty state and errors', async () => {
+        const element = createTimeline();
+        getCustomerCallHistory.emit([]);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.empty-state-title').textContent).toBe('No Call History');
+
+        getCustomerCallHistory.error({ message: 'Error retrieving call history: denied' });
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.error-alert h2').textContent).toBe('Error retrieving call history: denied');
+    });
+});
@@ -0,0 +1,329 @@
+import { LightningElement, api, wire, track } from 'lwc';
+import { CurrentPageReference } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getCustomerCallHistory from '@salesforce/apex/VoicecallSessionController.getCustomerCallHistory';
+import logCallAccess from '@salesforce/apex/VoicecallSessionController.logCallAccess';
+import Logger from 'c/loggerService';
+import CallDeepLink from 'c/callDeepLink';
+import CallAccessAudit from 'c/callAccessAudit';
+import RecordingCache from 'c/recordingCache';
+
+// Initialize component logger
+const log = Logger.create('CallHistoryTimeline');
+
+// Combobox value that matches every call
+const ALL = '';
+
+export default class CallHistoryTimeline extends LightningElement {
+    @api recordId; // Account or Contact Id from the record page
+
+    @track sessions = [];
+    @track error;
+    @track isLoading = true;
+    @track expandedSessionIds = [];
+    @track dateFrom = '';
+    @track dateTo = '';
+    @track agentFilter = ALL;
+    @track callTypeFilter = ALL;
+    @track statusFilter = ALL;
+
+    pendingDeepLink = null;
+
+    // Logs the start of playback and listening milestones of every recording played
+    onPlaybackUpdate = CallAccessAudit.createPlaybackListener(({ sessionId, documentId, action }) => {
+        log.debug('Listening milestone', { sessionId, documentId, action });
+        logCallAccess({ sessionId, documentId, action, detail: null })
+            .catch(err => log.warn('Failed to log listening milestone', err));
+    });
+
+    /**
+     * Read a deep link to a moment in a call (c__session, c__recording, c__t)
+     */
+    @wire(CurrentPageReference)
+    wiredPageReference(pageReference) {
+        const link = CallDeepLink.parse(pageReference && pageReference.state);
+        if (link) {
+            log.debug('Deep link', link);
+            this.pendingDeepLink = link;
+            this.applyDeepLink();
+        }
+    }
+
+    /**
+     * Wire adapter to fetch the customer's calls, newest first
+     */
+    @wire(getCustomerCallHistory, { recordId: '$recordId' })
+    wiredHistory({ error, data }) {
+        this.isLoading = false;
+        log.lifecycle('wire', { recordId: this.recordId });
+
+        if (data) {
+            this.sessions = this.processSessionData(data);
+            this.error = undefined;
+            log.success(`Loaded ${this.sessions.length} call(s)`);
+            this.applyDeepLink();
+        } else if (error) {
+            log.error('Failed to load call history', error);
+            this.error = error;
+            this.sessions = [];
+        }
+    }
+
+    renderedCallback() {
+        if (this.pendingDeepLink) {
+            this.applyDeepLink();
+        }
+    }
+
+    /**
+     * Expand the linked call, then select the recording and seek.
+     * Waits until the calls have loaded and the call's player has rendered.
+     */
+    applyDeepLink() {
+        const link = this.pendingDeepLink;
+        if (!link || this.sessions.length === 0) {
+            return;
+        }
+        if (!this.sessions.some((session) => session.sessionId === link.sessionId)) {
+            log.warn('Linked session is not in this call history', { sessionId: link.sessionId });
+            this.pendingDeepLink = null;
+            return;
+        }
+
+        if (!this.expandedSessionIds.includes(link.sessionId)) {
+            this.clearFilters();
+            this.expandedSessionIds = [...this.expandedSessionIds, link.sessionId];
+        }
+        const player = this.template.querySelector(`c-call-transcript-player[data-session-id="${link.sessionId}"]`);
+        if (player) {
+            this.pendingDeepLink = null;
+            player.showMoment(link.recordingId, link.seconds);
+        }
+    }
+
+    /**
+     * Process and enrich session data for display
+     */
+    processSessionData(rawSessions) {
+        return rawSessions.map((session) => {
+            const date = session.createdDate ? new Date(session.createdDate) : null;
+            return {
+                ...session,
+                callDate: date ? this.toDateValue(date) : '',
+                monthLabel: date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' }) : 'Undated',
+                formattedDate: this.formatDate(session.createdDate),
+                formattedDuration: this.formatDuration(session.duration),
+                agentName: session.agentName || 'Unknown Agent',
+                callType: session.callType || 'Voice Call',
+                caseLabel: session.caseNumber
+                    ? `Case ${session.caseNumber}${session.caseSubject ? ` • ${session.caseSubject}` : ''}`
+                    : '',
+                caseUrl: session.caseId ? `/lightning/r/Case/${session.caseId}/view` : ''
+            };
+        });
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD, the value format of date inputs
+     */
+    toDateValue(date) {
+        const pad = (value) => value.toString().padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(dateString) {
+        if (!dateString) return 'N/A';
+
+        const date = new Date(dateString);
+        const options = {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        };
+        return date.toLocaleDateString('en-US', options);
+    }
+
+    /**
+     * Format duration in seconds to MM:SS format
+     */
+    formatDuration(seconds) {
+        if (!seconds && seconds !== 0) return 'N/A';
+
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Build combobox options from the distinct values of a session field
+     */
+    buildOptions(field, allLabel) {
+        const values = [...new Set(this.sessions.map((session) => session[field]).filter((value) => value))];
+        values.sort((a, b) => a.localeCompare(b));
+        return [{ label: allLabel, value: ALL }, ...values.map((value) => ({ label: value, value }))];
+    }
+
+    // Event handlers
+    handleDateFromChange(event) {
+        this.dateFrom = event.detail.value || '';
+    }
+
+    handleDateToChange(event) {
+        this.dateTo = event.detail.value || '';
+    }
+
+    handleAgentChange(event) {
+        this.agentFilter = event.detail.value;
+    }
+
+    handleCallTypeChange(event) {
+        this.callTypeFilter = event.detail.value;
+    }
+
+    handleStatusChange(event) {
+        this.statusFilter = event.detail.value;
+    }
+
+    clearFilters() {
+        this.dateFrom = '';
+        this.dateTo = '';
+        this.agentFilter = ALL;
+        this.callTypeFilter = ALL;
+        this.statusFilter = ALL;
+    }
+
+    handleClearFilters() {
+        this.clearFilters();
+    }
+
+    /**
+     * Expand or collapse a call; an expanded call shows its transcript player
+     */
+    handleItemToggle(event) {
+        const { sessionId } = event.currentTarget.dataset;
+        this.expandedSessionIds = this.expandedSessionIds.includes(sessionId)
+            ? this.expandedSessionIds.filter((id) => id !== sessionId)
+            : [...this.expandedSessionIds, sessionId];
+    }
+
+    /**
+     * Handle playback update events from the transcript players: log the start of
+     * playback and each listening milestone to the Call Access Log
+     */
+    handlePlaybackUpdate(event) {
+        this.onPlaybackUpdate(event.detail);
+    }
+
+    /**
+     * Computed properties for template logic
+     */
+    get filteredSessions() {
+        return this.sessions.filter((session) =>
+            (!this.dateFrom || (session.callDate && session.callDate >= this.dateFrom)) &&
+            (!this.dateTo || (session.callDate && session.callDate <= this.dateTo)) &&
+            (this.agentFilter === ALL || session.agentName === this.agentFilter) &&
+            (this.callTypeFilter === ALL || session.callType === this.callTypeFilter) &&
+            (this.statusFilter === ALL || session.status === this.statusFilter)
+        );
+    }
+
+    /**
+     * Filtered calls grouped by month, newest first
+     */
+    get timelineGroups() {
+        const groups = [];
+        this.filteredSessions.forEach((session) => {
+            let group = groups[groups.length - 1];
+            if (!group || group.label !== session.monthLabel) {
+                group = { key: `${session.monthLabel}-${groups.length}`, label: session.monthLabel, items: [] };
+                groups.push(group);
+            }
+            const isExpanded = this.expandedSessionIds.includes(session.sessionId);
+            group.items.push({
+                ...session,
+                isExpanded,
+                toggleIcon: isExpanded ? 'utility:chevrondown' : 'utility:chevronright',
+                toggleExpanded: isExpanded ? 'true' : 'false'
+            });
+        });
+        return groups;
+    }
+
+    get agentOptions() {
+        return this.buildOptions('agentName', 'All agents');
+    }
+
+    get callTypeOptions() {
+        return this.buildOptions('callType', 'All types');
+    }
+
+    get statusOptions() {
+        return this.buildOptions('status', 'All statuses');
+    }
+
+    get hasNoCalls() {
+        return !this.isLoading && !this.error && this.sessions.length === 0;
+    }
+
+    get hasCalls() {
+        return !this.isLoading && !this.error && this.sessions.length > 0;
+    }
+
+    get hasFilters() {
+        return !!(this.dateFrom || this.dateTo || this.agentFilter || this.callTypeFilter || this.statusFilter);
+    }
+
+    get hasNoMatches() {
+        return this.filteredSessions.length === 0;
+    }
+
+    get sessionCount() {
+        return this.sessions.length;
+    }
+
+    get filterSummary() {
+        const total = this.sessions.length;
+        const shown = this.filteredSessions.length;
+        const calls = total === 1 ? 'call' : 'calls';
+        return shown === total ? `${total} ${calls}` : `${shown} of ${total} ${calls}`;
+    }
+
+    get errorMessage() {
+        if (!this.error) return '';
+
+        if (this.error.body && this.error.body.message) {
+            return this.error.body.message;
+        }
+        return 'An error occurred while loading the call history.';
+    }
+
+    /**
+     * Clear the recordings and transcripts cached in this browser from the card's
+     * menu; they are downloaded again the next time they are opened
+     */
+    async handleCacheMenuSelect(event) {
+        if (event.detail.value !== 'clearCache') {
+            return;
+        }
+        try {
+            await RecordingCache.clear();
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Cached recordings cleared',
+                message: 'Recordings and transcripts are downloaded again the next time they are opened.',
+                variant: 'success'
+            }));
+        } catch (err) {
+            log.error('Failed to clear cached recordings', err);
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Could not clear cached recordings',
+                message: err && err.message ? err.message : 'Try again.',
+                variant: 'error'
+            }));
+        }
+    }
+}
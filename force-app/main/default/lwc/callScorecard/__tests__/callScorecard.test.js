@@ -0,0 +1,195 @@
+import { createElement } from 'lwc';
+import CallScorecard from 'c/callScorecard';
+import getScorecardQuestions from '@salesforce/apex/VoicecallSessionController.getScorecardQuestions';
+import getEvaluation from '@salesforce/apex/VoicecallSessionController.getEvaluation';
+import saveEvaluation from '@salesforce/apex/VoicecallSessionController.saveEvaluation';
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.getScorecardQuestions',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.getEvaluation',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.saveEvaluation',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+describe('c-call-scorecard', () => {
+    const flushPromises = () => new Promise(process.nextTick);
+
+    const mockQuestions = [
+        { name: 'Greeting_Introduction', section: 'Greeting', questionText: 'Agent greeted the customer', weight: 1 },
+        { name: 'Verification_Identity', section: 'Verification', questionText: 'Agent verified identity', weight: 2 },
+        { name: 'Compliance_Disclosure', section: 'Compliance', questionText: 'Agent read the disclosure', weight: 3 }
+    ];
+
+    const mockEvaluation = {
+        evaluationId: 'eval1',
+        sessionId: 'session123',
+        score: 75,
+        lastModifiedDate: '2024-01-15T10:30:00.000Z',
+        answers: [
+            { question: 'Greeting_Introduction', answer: 'Yes' },
+            { question: 'Verification_Identity', answer: 'NA' },
+            {
+                question: 'Compliance_Disclosure',
+                answer: 'No',
+                evidenceDocumentId: 'doc1',
+                evidenceTime: 15,
+                evidenceEntryIndex: 1
+            }
+        ]
+    };
+
+    const createScorecard = async (evaluation = null) => {
+        getScorecardQuestions.mockResolvedValue(mockQuestions);
+        getEvaluation.mockResolvedValue(evaluation);
+
+        const element = createElement('c-call-scorecard', { is: CallScorecard });
+        element.sessionId = 'session123';
+        element.recordingId = 'doc1';
+        element.evidenceTime = 42;
+        element.evidenceEntryIndex = null;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.scorecard-toggle').click();
+        await flushPromises();
+        return element;
+    };
+
+    const answer = async (element, question, value) => {
+        element.shadowRoot.querySelector(`button[data-question="${question}"][data-answer="${value}"]`).click();
+        await flushPromises();
+    };
+
+    const questionElement = (element, question) =>
+        element.shadowRoot.querySelector(`.scorecard-question[data-question="${question}"]`);
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('groups questions by section and loads the saved evaluation', async () => {
+        const element = await createScorecard(mockEvaluation);
+
+        expect(getEvaluation).toHaveBeenCalledWith({ sessionId: 'session123' });
+        const sections = element.shadowRoot.querySelectorAll('.scorecard-section-title');
+        expect(Array.from(sections).map(section => section.textContent)).toEqual([
+            'Greeting',
+            'Verification',
+            'Compliance'
+        ]);
+
+        const selected = element.shadowRoot.querySelectorAll('.answer-button.selected');
+        expect(Array.from(selected).map(button => button.dataset.answer)).toEqual(['Yes', 'NA', 'No']);
+        expect(element.shadowRoot.querySelector('.scorecard-score-badge').textContent).toBe('25%');
+        expect(element.shadowRoot.querySelector('.scorecard-saved').textContent).toContain('Saved Jan 15, 2024');
+        expect(questionElement(element, 'Compliance_Disclosure').querySelector('.evidence-link').textContent).toBe(
+            'Line at 0:15'
+        );
+    });
+
+    it('scores weighted answers, leaving N/A out of the total', async () => {
+        const element = await createScorecard();
+
+        expect(element.shadowRoot.querySelector('.scorecard-score-badge').textContent).toBe('—');
+
+        await answer(element, 'Greeting_Introduction', 'Yes');
+        await answer(element, 'Verification_Identity', 'No');
+        expect(element.shadowRoot.querySelector('.scorecard-total-score').textContent).toBe('Score: 33.33%');
+        expect(element.shadowRoot.querySelector('.scorecard-total-detail').textContent).toBe('1 of 3 points');
+        expect(element.shadowRoot.querySelector('.scorecard-progress').textContent).toBe('1 question unanswered');
+
+        await answer(element, 'Verification_Identity', 'NA');
+        expect(element.shadowRoot.querySelector('.scorecard-total-score').textContent).toBe('Score: 100%');
+        expect(
+            element.shadowRoot.querySelector('button[data-question="Verification_Identity"][data-answer="NA"]')
+                .getAttribute('aria-pressed')
+        ).toBe('true');
+    });
+
+    it('only saves once every question is answered', async () => {
+        const element = await createScorecard();
+        saveEvaluation.mockResolvedValue({ ...mockEvaluation, evaluationId: 'eval2' });
+        const save = element.shadowRoot.querySelector('.scorecard-save');
+
+        await answer(element, 'Greeting_Introduction', 'Yes');
+        await answer(element, 'Verification_Identity', 'Yes');
+        expect(save.disabled).toBe(true);
+
+        await answer(element, 'Compliance_Disclosure', 'No');
+        expect(save.disabled).toBe(false);
+
+        save.click();
+        await flushPromises();
+
+        expect(saveEvaluation).toHaveBeenCalledWith({
+            sessionId: 'session123',
+            answers: [
+                { question: 'Greeting_Introduction', answer: 'Yes', evidenceDocumentId: null, evidenceTime: null, evidenceEntryIndex: null },
+                { question: 'Verification_Identity', answer: 'Yes', evidenceDocumentId: null, evidenceTime: null, evidenceEntryIndex: null },
+                { question: 'Compliance_Disclosure', answer: 'No', evidenceDocumentId: null, evidenceTime: null, evidenceEntryIndex: null }
+            ]
+        });
+        expect(save.disabled).toBe(true);
+        expect(element.shadowRoot.querySelector('.scorecard-saved')).not.toBeNull();
+    });
+
+    it('links the current line as evidence and plays from it', async () => {
+        const element = await createScorecard();
+        const handler = jest.fn();
+        element.addEventListener('evidenceselect', handler);
+
+        element.evidenceTime = 15;
+        element.evidenceEntryIndex = 1;
+        await flushPromises();
+        questionElement(element, 'Greeting_Introduction').querySelector('.link-evidence').click();
+        await flushPromises();
+
+        const link = questionElement(element, 'Greeting_Introduction').querySelector('.evidence-link');
+        expect(link.textContent).toBe('Line at 0:15');
+
+        link.click();
+        expect(handler.mock.calls[0][0].detail).toEqual({ documentId: 'doc1', time: 15, entryIndex: 1 });
+
+        questionElement(element, 'Greeting_Introduction').querySelector('.evidence-clear').click();
+        await flushPromises();
+        expect(questionElement(element, 'Greeting_Introduction').querySelector('.evidence-link')).toBeNull();
+    });
+
+    it('labels evidence on another recording', async () => {
+        const element = await createScorecard(mockEvaluation);
+
+        element.recordingId = 'doc9';
+        await flushPromises();
+
+        expect(questionElement(element, 'Compliance_Disclosure').querySelector('.evidence-link').textContent).toBe(
+            'Line at 0:15 (other recording)'
+        );
+    });
+
+    it('shows the error when the evaluation cannot be saved', async () => {
+        const element = await createScorecard(mockEvaluation);
+        saveEvaluation.mockRejectedValue({ body: { message: 'Error saving evaluation: Answer every question before saving' } });
+
+        await answer(element, 'Verification_Identity', 'Yes');
+        element.shadowRoot.querySelector('.scorecard-save').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.scorecard-error').textContent).toBe(
+            'Error saving evaluation: Answer every question before saving'
+        );
+    });
+});
@@ -0,0 +1,290 @@
+import { LightningElement, api, track } from 'lwc';
+import getScorecardQuestions from '@salesforce/apex/VoicecallSessionController.getScorecardQuestions';
+import getEvaluation from '@salesforce/apex/VoicecallSessionController.getEvaluation';
+import saveEvaluation from '@salesforce/apex/VoicecallSessionController.saveEvaluation';
+import Logger from 'c/loggerService';
+
+// Initialize component logger
+const log = Logger.create('CallScorecard');
+
+// Answer buttons in display order. Values match Call_Evaluation_Answer__c.Answer__c.
+const ANSWER_OPTIONS = [
+    { value: 'Yes', label: 'Yes' },
+    { value: 'No', label: 'No' },
+    { value: 'NA', label: 'N/A' }
+];
+
+/**
+ * Score answers the way ScorecardRules does in Apex: Yes earns the question's
+ * weight, No earns nothing and N/A (or no answer yet) is left out of the total
+ * @param {Array} questions - ScorecardQuestionWrapper records
+ * @param {Object} answers - Answers keyed by question name
+ * @returns {{pointsEarned: number, pointsPossible: number, percent: number|null}} The score
+ */
+function calculateScore(questions, answers) {
+    let pointsEarned = 0;
+    let pointsPossible = 0;
+    questions.forEach(question => {
+        const answer = answers[question.name];
+        const weight = question.weight || 0;
+        if (answer && answer.answer === 'Yes') {
+            pointsEarned += weight;
+            pointsPossible += weight;
+        } else if (answer && answer.answer === 'No') {
+            pointsPossible += weight;
+        }
+    });
+    const percent = pointsPossible > 0 ? Math.round((pointsEarned * 10000) / pointsPossible) / 100 : null;
+    return { pointsEarned, pointsPossible, percent };
+}
+
+export default class CallScorecard extends LightningElement {
+    @api sessionId;
+
+    // Where "Link current line" points: the selected recording and the active
+    // transcript line, or the playback position when there is no transcript
+    @api recordingId;
+    @api evidenceTime;
+    @api evidenceEntryIndex;
+
+    @track questions = [];
+    @track answers = {};
+    @track evaluation = null;
+    @track isLoading = false;
+    @track isSaving = false;
+    @track isDirty = false;
+    @track error = null;
+    @track isExpanded = false;
+
+    connectedCallback() {
+        this.loadScorecard();
+    }
+
+    /**
+     * Load the scorecard questions and the current user's saved evaluation
+     */
+    async loadScorecard() {
+        this.isLoading = true;
+        try {
+            const [questions, evaluation] = await Promise.all([
+                getScorecardQuestions(),
+                getEvaluation({ sessionId: this.sessionId })
+            ]);
+            this.questions = questions || [];
+            this.setEvaluation(evaluation);
+            log.debug('Scorecard loaded', { questions: this.questions.length, evaluated: !!evaluation });
+        } catch (err) {
+            log.error('Failed to load scorecard', err);
+            this.error = (err && err.body && err.body.message) || 'The scorecard could not be loaded.';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Show a saved evaluation's answers
+     * @param {Object} evaluation - EvaluationWrapper, or null
+     */
+    setEvaluation(evaluation) {
+        this.evaluation = evaluation || null;
+        const answers = {};
+        ((evaluation && evaluation.answers) || []).forEach(answer => {
+            answers[answer.question] = {
+                answer: answer.answer,
+                evidenceDocumentId: answer.evidenceDocumentId || null,
+                evidenceTime: answer.evidenceTime,
+                evidenceEntryIndex: answer.evidenceEntryIndex
+            };
+        });
+        this.answers = answers;
+        this.isDirty = false;
+    }
+
+    /**
+     * Change one question's answer, keeping its evidence
+     */
+    updateAnswer(questionName, changes) {
+        const current = this.answers[questionName] || { answer: null, evidenceDocumentId: null };
+        this.answers = { ...this.answers, [questionName]: { ...current, ...changes } };
+        this.isDirty = true;
+    }
+
+    handleToggle() {
+        this.isExpanded = !this.isExpanded;
+    }
+
+    handleAnswer(event) {
+        const { question, answer } = event.currentTarget.dataset;
+        this.updateAnswer(question, { answer });
+    }
+
+    /**
+     * Use the current transcript line (or playback position) as evidence for an answer
+     */
+    handleLinkEvidence(event) {
+        if (!this.recordingId) return;
+
+        const hasEntry = this.evidenceEntryIndex !== null && this.evidenceEntryIndex !== undefined;
+        this.updateAnswer(event.currentTarget.dataset.question, {
+            evidenceDocumentId: this.recordingId,
+            evidenceTime: this.evidenceTime || 0,
+            evidenceEntryIndex: hasEntry ? this.evidenceEntryIndex : null
+        });
+    }
+
+    handleClearEvidence(event) {
+        this.updateAnswer(event.currentTarget.dataset.question, {
+            evidenceDocumentId: null,
+            evidenceTime: null,
+            evidenceEntryIndex: null
+        });
+    }
+
+    /**
+     * Ask the player to play from an answer's evidence
+     */
+    handleEvidenceClick(event) {
+        const answer = this.answers[event.currentTarget.dataset.question];
+        if (!answer || !answer.evidenceDocumentId) return;
+
+        this.dispatchEvent(new CustomEvent('evidenceselect', {
+            detail: {
+                documentId: answer.evidenceDocumentId,
+                time: answer.evidenceTime,
+                entryIndex: answer.evidenceEntryIndex
+            }
+        }));
+    }
+
+    /**
+     * Save the evaluation. The score is recalculated on the server.
+     */
+    async handleSave() {
+        if (this.saveDisabled) return;
+
+        this.isSaving = true;
+        this.error = null;
+        try {
+            const answers = this.questions.map(question => {
+                const answer = this.answers[question.name];
+                return {
+                    question: question.name,
+                    answer: answer.answer,
+                    evidenceDocumentId: answer.evidenceDocumentId,
+                    evidenceTime: answer.evidenceDocumentId ? answer.evidenceTime : null,
+                    evidenceEntryIndex: answer.evidenceDocumentId ? answer.evidenceEntryIndex : null
+                };
+            });
+            const evaluation = await saveEvaluation({ sessionId: this.sessionId, answers });
+            this.setEvaluation(evaluation);
+            log.success('Evaluation saved', { score: evaluation.score });
+        } catch (err) {
+            log.error('Failed to save evaluation', err);
+            this.error = (err && err.body && err.body.message) || 'The evaluation could not be saved.';
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    // =========================================================================
+    // Getters
+    // =========================================================================
+
+    get sections() {
+        const sections = [];
+        this.questions.forEach(question => {
+            const name = question.section || 'General';
+            let section = sections.find(item => item.name === name);
+            if (!section) {
+                section = { name, questions: [] };
+                sections.push(section);
+            }
+            section.questions.push(this.toQuestionView(question));
+        });
+        return sections;
+    }
+
+    toQuestionView(question) {
+        const answer = this.answers[question.name] || {};
+        const hasEvidence = !!answer.evidenceDocumentId;
+        return {
+            ...question,
+            weightLabel: question.weight === 1 ? '1 pt' : `${question.weight || 0} pts`,
+            options: ANSWER_OPTIONS.map(option => ({
+                ...option,
+                key: `${question.name}-${option.value}`,
+                pressed: answer.answer === option.value ? 'true' : 'false',
+                className: answer.answer === option.value ? 'answer-button selected' : 'answer-button'
+            })),
+            hasEvidence,
+            evidenceLabel: hasEvidence ? this.formatEvidence(answer) : ''
+        };
+    }
+
+    /**
+     * Describe evidence, e.g. "Line at 0:15" or "At 1:02"
+     */
+    formatEvidence(answer) {
+        const seconds = Math.max(0, answer.evidenceTime || 0);
+        const time = `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+        const hasEntry = answer.evidenceEntryIndex !== null && answer.evidenceEntryIndex !== undefined;
+        const label = hasEntry ? `Line at ${time}` : `At ${time}`;
+        return answer.evidenceDocumentId === this.recordingId ? label : `${label} (other recording)`;
+    }
+
+    get score() {
+        return calculateScore(this.questions, this.answers);
+    }
+
+    get unansweredCount() {
+        return this.questions.filter(question => !(this.answers[question.name] || {}).answer).length;
+    }
+
+    get hasQuestions() {
+        return this.questions.length > 0;
+    }
+
+    get scoreLabel() {
+        const { percent } = this.score;
+        return percent === null ? '—' : `${percent}%`;
+    }
+
+    get scoreDetail() {
+        const { pointsEarned, pointsPossible } = this.score;
+        return `${pointsEarned} of ${pointsPossible} points`;
+    }
+
+    get progressLabel() {
+        const count = this.unansweredCount;
+        if (count === 0) return 'All questions answered';
+        return count === 1 ? '1 question unanswered' : `${count} questions unanswered`;
+    }
+
+    get savedLabel() {
+        if (!this.evaluation || this.isDirty) return '';
+        const date = new Date(this.evaluation.lastModifiedDate).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        return `Saved ${date}`;
+    }
+
+    get saveDisabled() {
+        return this.isSaving || this.isLoading || !this.isDirty || !this.hasQuestions || this.unansweredCount > 0;
+    }
+
+    get linkEvidenceDisabled() {
+        return !this.recordingId;
+    }
+
+    get toggleIcon() {
+        return this.isExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get toggleExpanded() {
+        return this.isExpanded ? 'true' : 'false';
+    }
+}
@@ -0,0 +1,63 @@
+import CallSequence from 'c/callSequence';
+
+describe('c-call-sequence', () => {
+    const recordings = [
+        { id: 'va', label: 'Virtual Agent' },
+        { id: 'agent', label: 'Agent' },
+        { id: 'transfer', label: 'Transfer' }
+    ];
+
+    describe('buildTimeline', () => {
+        it('lays the recordings out end to end', () => {
+            const timeline = CallSequence.buildTimeline(recordings, { va: 60, agent: 120, transfer: 30 });
+
+            expect(timeline.segments.map(({ id, start, duration }) => ({ id, start, duration }))).toEqual([
+                { id: 'va', start: 0, duration: 60 },
+                { id: 'agent', start: 60, duration: 120 },
+                { id: 'transfer', start: 180, duration: 30 }
+            ]);
+            expect(timeline.totalDuration).toBe(210);
+            expect(timeline.isComplete).toBe(true);
+        });
+
+        it('estimates unknown durations from the known ones', () => {
+            const timeline = CallSequence.buildTimeline(recordings, { va: 60, agent: 120, transfer: NaN });
+
+            expect(timeline.segments[2]).toMatchObject({ start: 180, duration: 90, isKnown: false });
+            expect(timeline.isComplete).toBe(false);
+        });
+
+        it('gives every recording an equal share while no duration is known', () => {
+            const timeline = CallSequence.buildTimeline(recordings, {});
+
+            expect(timeline.segments.map((segment) => segment.duration)).toEqual([1, 1, 1]);
+            expect(CallSequence.buildTimeline([], {}).totalDuration).toBe(0);
+        });
+    });
+
+    describe('combined time', () => {
+        const timeline = CallSequence.buildTimeline(recordings, { va: 60, agent: 120, transfer: 30 });
+
+        it('converts between recording and call time', () => {
+            expect(CallSequence.toCombinedTime(timeline, 'agent', 15)).toBe(75);
+            expect(CallSequence.locate(timeline, 75)).toEqual({ recordingId: 'agent', seconds: 15 });
+            expect(CallSequence.locate(timeline, 60)).toEqual({ recordingId: 'agent', seconds: 0 });
+        });
+
+        it('keeps times within the call', () => {
+            expect(CallSequence.toCombinedTime(timeline, 'va', 500)).toBe(60);
+            expect(CallSequence.toCombinedTime(timeline, 'unknown', 5)).toBe(0);
+            expect(CallSequence.locate(timeline, -5)).toEqual({ recordingId: 'va', seconds: 0 });
+            expect(CallSequence.locate(timeline, 999)).toEqual({ recordingId: 'transfer', seconds: 30 });
+            expect(CallSequence.locate(CallSequence.buildTimeline([], {}), 5)).toBeNull();
+        });
+    });
+
+    describe('nextId', () => {
+        it('returns the following recording until the last one', () => {
+            expect(CallSequence.nextId(recordings, 'va')).toBe('agent');
+            expect(CallSequence.nextId(recordings, 'transfer')).toBeNull();
+            expect(CallSequence.nextId(recordings, 'unknown')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * CallSequence - The recordings of a call played one after another
+ *
+ * A call is often split into several recordings, e.g. the virtual agent's and
+ * the agent's. In "play whole call" mode the player plays them in order on one
+ * combined timeline, where each recording is a segment starting where the
+ * previous one ends.
+ *
+ * A recording's duration is only known once its audio has loaded. Until then
+ * it counts as long as the average known recording, so the segments stay in
+ * proportion while the rest of the call downloads.
+ *
+ * Usage:
+ *   import CallSequence from 'c/callSequence';
+ *   const timeline = CallSequence.buildTimeline(recordings, { [recordingId]: seconds, ... });
+ *   const combinedSeconds = CallSequence.toCombinedTime(timeline, recordingId, currentTime);
+ *   const { recordingId, seconds } = CallSequence.locate(timeline, combinedSeconds);
+ *   const nextId = CallSequence.nextId(recordings, recordingId); // null after the last one
+ */
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+const isKnownDuration = (seconds) => typeof seconds === 'number' && isFinite(seconds) && seconds > 0;
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const CallSequence = {
+    /**
+     * Lay the recordings out end to end
+     * @param {Array<{id: string, label: string}>} recordings - The call's recordings, in play order
+     * @param {Object<string, number>} durations - Known durations in seconds, by recording id
+     * @returns {{segments: Array, totalDuration: number, isComplete: boolean}} One segment
+     *          ({ id, label, start, duration, isKnown }) per recording; isComplete is false
+     *          while some durations are estimated
+     */
+    buildTimeline(recordings, durations) {
+        const known = (recordings || []).map((rec) => (durations || {})[rec.id]).filter(isKnownDuration);
+        const estimate = known.length > 0 ? known.reduce((sum, seconds) => sum + seconds, 0) / known.length : 1;
+
+        let start = 0;
+        const segments = (recordings || []).map((rec) => {
+            const seconds = (durations || {})[rec.id];
+            const isKnown = isKnownDuration(seconds);
+            const segment = { id: rec.id, label: rec.label, start, duration: isKnown ? seconds : estimate, isKnown };
+            start += segment.duration;
+            return segment;
+        });
+
+        return {
+            segments,
+            totalDuration: start,
+            isComplete: segments.every((segment) => segment.isKnown)
+        };
+    },
+
+    /**
+     * Convert a time in one recording to a time on the combined timeline
+     * @param {Object} timeline - From buildTimeline
+     * @param {string} recordingId - The recording playing
+     * @param {number} seconds - Seconds into that recording
+     * @returns {number} Seconds from the start of the call, or 0 for an unknown recording
+     */
+    toCombinedTime(timeline, recordingId, seconds) {
+        const segment = timeline.segments.find((seg) => seg.id === recordingId);
+        if (!segment) {
+            return 0;
+        }
+        return segment.start + Math.max(0, Math.min(segment.duration, seconds || 0));
+    },
+
+    /**
+     * Find the recording and time at a point of the combined timeline
+     * @param {Object} timeline - From buildTimeline
+     * @param {number} combinedSeconds - Seconds from the start of the call
+     * @returns {{recordingId: string, seconds: number}|null} null when there are no recordings
+     */
+    locate(timeline, combinedSeconds) {
+        const { segments } = timeline;
+        if (segments.length === 0) {
+            return null;
+        }
+        const time = Math.max(0, combinedSeconds || 0);
+        const segment = segments.find((seg) => time < seg.start + seg.duration) || segments[segments.length - 1];
+        return {
+            recordingId: segment.id,
+            seconds: Math.max(0, Math.min(segment.duration, time - segment.start))
+        };
+    },
+
+    /**
+     * Find the recording played after another one
+     * @param {Array<{id: string}>} recordings - The call's recordings, in play order
+     * @param {string} recordingId - The recording that ended
+     * @returns {string|null} The next recording's id, or null after the last one
+     */
+    nextId(recordings, recordingId) {
+        const index = (recordings || []).findIndex((rec) => rec.id === recordingId);
+        return index >= 0 && index < recordings.length - 1 ? recordings[index + 1].id : null;
+    },
+
+    /**
+     * Read a recording's duration without playing it
+     * @param {string} url - A blob URL of the recording
+     * @returns {Promise<number|null>} Seconds, or null when the browser cannot tell
+     */
+    measureDuration(url) {
+        return new Promise((resolve) => {
+            if (typeof Audio === 'undefined' || !url) {
+                resolve(null);
+                return;
+            }
+            const audio = new Audio();
+            const finish = (seconds) => {
+                audio.removeAttribute('src');
+                resolve(isKnownDuration(seconds) ? seconds : null);
+            };
+            audio.preload = 'metadata';
+            audio.addEventListener('loadedmetadata', () => finish(audio.duration), { once: true });
+            audio.addEventListener('error', () => finish(null), { once: true });
+            audio.src = url;
+        });
+    }
+};
+
+export default CallSequence;
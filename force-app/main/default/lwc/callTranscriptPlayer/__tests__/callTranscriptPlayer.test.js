@@ -1,13 +1,34 @@
 import { createElement } from 'lwc';
 import CallTranscriptPlayer from 'c/callTranscriptPlayer';
-import getTranscriptContent from '@salesforce/apex/VoicecallSessionController.getTranscriptContent';
-import parseTranscript from '@salesforce/apex/VoicecallSessionController.parseTranscript';
-import getAudioContent from '@salesforce/apex/VoicecallSessionController.getAudioContent';
+import AudioWaveform from 'c/audioWaveform';
+import TranscriptExport from 'c/transcriptExport';
+import RecordingCache from 'c/recordingCache';
+import CallSequence from 'c/callSequence';
+import getRedactedTranscript from '@salesforce/apex/VoicecallSessionController.getRedactedTranscript';
+import getAudioChunk from '@salesforce/apex/VoicecallSessionController.getAudioChunk';
+import prefetchAudioChunk from '@salesforce/apex/VoicecallSessionController.prefetchAudioChunk';
+import getRecordingPairingRules from '@salesforce/apex/VoicecallSessionController.getRecordingPairingRules';
+import getSpeakerRoles from '@salesforce/apex/VoicecallSessionController.getSpeakerRoles';
+import getAnnotations from '@salesforce/apex/VoicecallSessionController.getAnnotations';
+import createAnnotation from '@salesforce/apex/VoicecallSessionController.createAnnotation';
+import updateAnnotation from '@salesforce/apex/VoicecallSessionController.updateAnnotation';
+import deleteAnnotation from '@salesforce/apex/VoicecallSessionController.deleteAnnotation';
+import logCallAccess from '@salesforce/apex/VoicecallSessionController.logCallAccess';
+import logCachedFileAccess from '@salesforce/apex/VoicecallSessionController.logCachedFileAccess';
 
 // Mock HTMLMediaElement methods
 window.HTMLMediaElement.prototype.load = jest.fn();
 window.HTMLMediaElement.prototype.play = jest.fn().mockResolvedValue(undefined);
 window.HTMLMediaElement.prototype.pause = jest.fn();
+window.HTMLMediaElement.prototype.canPlayType = jest.fn(() => 'maybe');
+
+// jsdom does not implement MediaError
+global.MediaError = {
+    MEDIA_ERR_ABORTED: 1,
+    MEDIA_ERR_NETWORK: 2,
+    MEDIA_ERR_DECODE: 3,
+    MEDIA_ERR_SRC_NOT_SUPPORTED: 4
+};
 
 // Mock URL.createObjectURL and URL.revokeObjectURL for blob URL handling
 global.URL.createObjectURL = jest.fn(() => 'blob:mock-url');
@@ -18,19 +39,67 @@ global.atob = jest.fn((str) => str);
 
 // Mock the Apex methods
 jest.mock(
-    '@salesforce/apex/VoicecallSessionController.getTranscriptContent',
+    '@salesforce/apex/VoicecallSessionController.getRedactedTranscript',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.getAudioChunk',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.prefetchAudioChunk',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.getRecordingPairingRules',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.getSpeakerRoles',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.getAnnotations',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.createAnnotation',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.updateAnnotation',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.deleteAnnotation',
     () => ({ default: jest.fn() }),
     { virtual: true }
 );
 
 jest.mock(
-    '@salesforce/apex/VoicecallSessionController.parseTranscript',
+    '@salesforce/apex/VoicecallSessionController.logCallAccess',
     () => ({ default: jest.fn() }),
     { virtual: true }
 );
 
 jest.mock(
-    '@salesforce/apex/VoicecallSessionController.getAudioContent',
+    '@salesforce/apex/VoicecallSessionController.logCachedFileAccess',
     () => ({ default: jest.fn() }),
     { virtual: true }
 );
@@ -60,35 +129,28 @@ describe('c-call-transcript-player', () => {
         }
     ];
 
-    const mockTranscriptEntries = [
-        {
-            timestamp: '10:00:00',
-            seconds: 0,
-            speaker: 'Virtual Agent',
-            text: 'Hello, how can I help?',
-            entryIndex: 0
-        },
-        {
-            timestamp: '10:00:15',
-            seconds: 15,
-            speaker: 'Customer',
-            text: 'I have a question.',
-            entryIndex: 1
-        }
-    ];
+    const mockTranscriptContent =
+        'Call ID: 123\n' +
+        '---\n' +
+        '[10:00:00     Virtual Agent]     Hello, how can I help?\n' +
+        '[10:00:15     Customer]     I have a question.';
 
-    const mockAudioContent = {
+    // Transcript as getRedactedTranscript returns it to a user who may see it unredacted
+    const transcriptOf = (content) => ({ content, isRedacted: false, masks: [] });
+
+    const mockAudioChunk = {
         base64Data: 'ZmFrZSBhdWRpbyBjb250ZW50', // "fake audio content" in base64
         contentType: 'audio/mpeg',
         fileName: 'test_audio.mp3',
-        fileSize: 1024
+        fileSize: 1024,
+        offset: 0,
+        isLastChunk: true
     };
 
     // Helper function to setup component with documents and mocks
     const setupComponentWithDocuments = async (element, docs = mockDocuments) => {
-        getTranscriptContent.mockResolvedValue('[10:00:00     Agent]     Hello');
-        parseTranscript.mockResolvedValue(mockTranscriptEntries);
-        getAudioContent.mockResolvedValue(mockAudioContent);
+        getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+        getAudioChunk.mockResolvedValue(mockAudioChunk);
         
         element.documents = docs;
         await flushPromises();
@@ -166,7 +228,7 @@ describe('c-call-transcript-player', () => {
             expect(element.documents).toEqual([]);
         });
 
-        it('calls getTranscriptContent when documents have transcript', async () => {
+        it('calls getRedactedTranscript when documents have transcript', async () => {
             const element = createElement('c-call-transcript-player', {
                 is: CallTranscriptPlayer
             });
@@ -175,10 +237,10 @@ describe('c-call-transcript-player', () => {
 
             await setupComponentWithDocuments(element);
 
-            expect(getTranscriptContent).toHaveBeenCalledWith({ documentId: 'doc2' });
+            expect(getRedactedTranscript).toHaveBeenCalledWith({ documentId: 'doc2' });
         });
 
-        it('calls getAudioContent when documents have audio', async () => {
+        it('calls getAudioChunk when documents have audio', async () => {
             const element = createElement('c-call-transcript-player', {
                 is: CallTranscriptPlayer
             });
@@ -187,57 +249,131 @@ describe('c-call-transcript-player', () => {
 
             await setupComponentWithDocuments(element);
 
-            expect(getAudioContent).toHaveBeenCalledWith({ documentId: 'doc1' });
+            expect(getAudioChunk).toHaveBeenCalledWith({ documentId: 'doc1', offset: 0, chunkSize: expect.any(Number) });
         });
 
-        it('calls parseTranscript with correct parameters', async () => {
+        it('defers loading until deferLoad is cleared', async () => {
             const element = createElement('c-call-transcript-player', {
                 is: CallTranscriptPlayer
             });
             element.sessionId = 'session123';
+            element.deferLoad = true;
             document.body.appendChild(element);
 
-            const content = '[10:30:00     Agent]     Hello there';
-            getTranscriptContent.mockResolvedValue(content);
-            parseTranscript.mockResolvedValue(mockTranscriptEntries);
-            getAudioContent.mockResolvedValue(mockAudioContent);
+            await setupComponentWithDocuments(element);
+
+            expect(getAudioChunk).not.toHaveBeenCalled();
+            expect(getRedactedTranscript).not.toHaveBeenCalled();
 
-            element.documents = mockDocuments;
+            element.deferLoad = false;
+            await flushPromises();
+
+            expect(getAudioChunk).toHaveBeenCalledWith({ documentId: 'doc1', offset: 0, chunkSize: expect.any(Number) });
+            expect(getRedactedTranscript).toHaveBeenCalledWith({ documentId: 'doc2' });
 
+            // Deferring again keeps what has loaded
+            element.deferLoad = true;
             await flushPromises();
+            expect(element.shadowRoot.querySelectorAll('.transcript-entry').length).toBe(2);
+            expect(getAudioChunk).toHaveBeenCalledTimes(1);
+        });
+
+        it('parses transcript in the browser without a second Apex call', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            await setupComponentWithDocuments(element);
+
+            const entries = element.shadowRoot.querySelectorAll('.transcript-entry');
+            expect(getRedactedTranscript).toHaveBeenCalledTimes(1);
+            expect(entries.length).toBe(2);
+            expect(entries[1].querySelector('.entry-text').textContent).toBe('I have a question.');
+        });
+
+        it('labels recordings with the default pairing rules', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            await setupComponentWithDocuments(element, [
+                { documentId: 'doc3', title: 'call_recording_2', fileType: 'MP3', downloadUrl: '/download/audio2' },
+                ...mockDocuments,
+                { documentId: 'doc4', title: 'rt_transcript_123.txt', fileType: 'TXT', downloadUrl: '/download/transcript2' }
+            ]);
+
+            const labels = element.shadowRoot.querySelectorAll('.pill-label');
+            expect(labels.length).toBe(2);
+            expect(labels[0].textContent).toBe('1. Virtual Agent');
+            expect(labels[1].textContent).toBe('2. Agent Call');
+            expect(getRedactedTranscript).toHaveBeenCalledWith({ documentId: 'doc2' });
+        });
+
+        it('pairs recordings using the configured pairing rules', async () => {
+            getRecordingPairingRules.mockResolvedValue([
+                { name: 'Ivr', audioPattern: 'recording', transcriptPattern: '^ivr-', recordingType: 'ivr', label: 'IVR', icon: '☎️', sortOrder: 1 }
+            ]);
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            await setupComponentWithDocuments(element, [
+                mockDocuments[0],
+                { documentId: 'doc5', title: 'ivr-transcript.txt', fileType: 'TXT', downloadUrl: '/download/ivr' }
+            ]);
+
+            expect(getRecordingPairingRules).toHaveBeenCalled();
+            expect(getRedactedTranscript).toHaveBeenCalledWith({ documentId: 'doc5' });
+            expect(element.shadowRoot.querySelector('.audio-title').textContent).toContain('IVR');
+
+            getRecordingPairingRules.mockReset();
+        });
 
-            expect(parseTranscript).toHaveBeenCalledWith({
-                transcriptContent: content,
-                recordingStartTime: '10:30:00'
+        it('falls back to the default rules when loading the pairing rules fails', async () => {
+            getRecordingPairingRules.mockRejectedValue(new Error('No access'));
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
             });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            await setupComponentWithDocuments(element);
+
+            expect(getRedactedTranscript).toHaveBeenCalledWith({ documentId: 'doc2' });
+
+            getRecordingPairingRules.mockReset();
         });
     });
 
     describe('extractStartTime behavior', () => {
-        it('extracts time from transcript content correctly', async () => {
+        it('offsets entries from the first timestamp in the content', async () => {
             const element = createElement('c-call-transcript-player', {
                 is: CallTranscriptPlayer
             });
             element.sessionId = 'session123';
             document.body.appendChild(element);
 
-            const content = 'Call ID: 123\n---\n[10:30:45     Agent]     Hello';
-            getTranscriptContent.mockResolvedValue(content);
-            parseTranscript.mockResolvedValue(mockTranscriptEntries);
-            getAudioContent.mockResolvedValue(mockAudioContent);
+            const content = 'Call ID: 123\n---\n[10:30:45     Agent]     Hello\n[10:31:50     Customer]     Hi';
+            getRedactedTranscript.mockResolvedValue(transcriptOf(content));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
 
             element.documents = mockDocuments;
 
             await flushPromises();
 
-            expect(parseTranscript).toHaveBeenCalledWith(
-                expect.objectContaining({
-                    recordingStartTime: '10:30:45'
-                })
-            );
+            const timestamps = element.shadowRoot.querySelectorAll('.entry-timestamp');
+            expect(timestamps.length).toBe(2);
+            expect(timestamps[0].textContent.trim()).toBe('0:00');
+            expect(timestamps[1].textContent.trim()).toBe('1:05');
         });
 
-        it('uses 00:00:00 when no timestamp in content', async () => {
+        it('shows no transcript when content has no timestamps', async () => {
             const element = createElement('c-call-transcript-player', {
                 is: CallTranscriptPlayer
             });
@@ -245,80 +381,1733 @@ describe('c-call-transcript-player', () => {
             document.body.appendChild(element);
 
             const content = 'No timestamp here';
-            getTranscriptContent.mockResolvedValue(content);
-            parseTranscript.mockResolvedValue([]);
-            getAudioContent.mockResolvedValue(mockAudioContent);
+            getRedactedTranscript.mockResolvedValue(transcriptOf(content));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
 
             element.documents = mockDocuments;
 
             await flushPromises();
 
-            expect(parseTranscript).toHaveBeenCalledWith(
-                expect.objectContaining({
-                    recordingStartTime: '00:00:00'
-                })
-            );
+            expect(element.shadowRoot.querySelector('.transcript-entry')).toBeNull();
+            expect(element.shadowRoot.querySelector('.no-transcript')).not.toBeNull();
         });
-    });
 
-    describe('error handling', () => {
-        it('handles transcript loading error gracefully', async () => {
+        it('renders caption transcripts with relative timings', async () => {
             const element = createElement('c-call-transcript-player', {
                 is: CallTranscriptPlayer
             });
             element.sessionId = 'session123';
             document.body.appendChild(element);
 
-            getTranscriptContent.mockRejectedValue(new Error('Network error'));
-            getAudioContent.mockResolvedValue(mockAudioContent);
+            const content = 'WEBVTT\n\n00:01:30.500 --> 00:01:35.000\n<v Agent>Hello there';
+            getRedactedTranscript.mockResolvedValue(transcriptOf(content));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
 
             element.documents = mockDocuments;
 
             await flushPromises();
 
-            // Component should not throw - verify it still renders
-            const container = element.shadowRoot.querySelector('.player-container');
-            expect(container).not.toBeNull();
+            const entry = element.shadowRoot.querySelector('.transcript-entry');
+            expect(entry.dataset.seconds).toBe('90.5');
+            expect(entry.querySelector('.entry-timestamp').textContent.trim()).toBe('1:30');
         });
 
-        it('handles audio loading error gracefully', async () => {
+        it('prefers the recording start time from the session record', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            const content = 'Recording Start: 10:29:00\n[10:30:45     Agent]     Hello\n[10:31:50     Customer]     Hi';
+            getRedactedTranscript.mockResolvedValue(transcriptOf(content));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+
+            element.documents = [
+                { ...mockDocuments[0], recordingStartTime: '10:30:00.000' },
+                mockDocuments[1]
+            ];
+
+            await flushPromises();
+
+            const timestamps = element.shadowRoot.querySelectorAll('.entry-timestamp');
+            expect(timestamps[0].textContent.trim()).toBe('0:45');
+            expect(timestamps[1].textContent.trim()).toBe('1:50');
+        });
+
+        it('uses a Recording Start header when the session has no start time', async () => {
             const element = createElement('c-call-transcript-player', {
                 is: CallTranscriptPlayer
             });
             element.sessionId = 'session123';
             document.body.appendChild(element);
 
-            getTranscriptContent.mockResolvedValue('[10:00:00     Agent]     Hello');
-            parseTranscript.mockResolvedValue(mockTranscriptEntries);
-            getAudioContent.mockRejectedValue(new Error('Audio fetch error'));
+            const content = 'Call ID: 123\nRecording Start: 2024-01-15 10:29:45\n---\n[10:30:45     Agent]     Hello';
+            getRedactedTranscript.mockResolvedValue(transcriptOf(content));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
 
             element.documents = mockDocuments;
 
             await flushPromises();
 
-            // Component should not throw - verify it still renders
-            const container = element.shadowRoot.querySelector('.player-container');
-            expect(container).not.toBeNull();
+            const entry = element.shadowRoot.querySelector('.transcript-entry');
+            expect(entry.dataset.seconds).toBe('60');
+            expect(entry.querySelector('.entry-timestamp').textContent.trim()).toBe('1:00');
         });
 
-        it('handles empty audio content gracefully', async () => {
+        it('renders the entries of a custom format parsed in Apex', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue({
+                ...transcriptOf('CUSTOM|10:30:45|Agent|Hello\nCUSTOM|10:31:50|Customer|Hi'),
+                entries: [
+                    { timestamp: '10:30:45', seconds: 37845, speaker: 'Agent', text: 'Hello' },
+                    { timestamp: '10:31:50', seconds: 37910, speaker: 'Customer', text: 'Hi' }
+                ],
+                usesClockTime: true
+            });
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+
+            element.documents = [
+                { ...mockDocuments[0], recordingStartTime: '10:30:00' },
+                mockDocuments[1]
+            ];
+
+            await flushPromises();
+
+            const entries = element.shadowRoot.querySelectorAll('.transcript-entry');
+            expect(entries.length).toBe(2);
+            expect(entries[0].dataset.seconds).toBe('45');
+            expect(entries[1].querySelector('.entry-timestamp').textContent.trim()).toBe('1:50');
+            expect(entries[1].textContent).toContain('Hi');
+        });
+    });
+
+    describe('speaker roles', () => {
+        const conferenceTranscript =
+            '[10:00:00     Virtual Agent]     Hello.\n' +
+            '[10:00:05     Customer]     Hi.\n' +
+            '[10:00:10     Agent Kai]     Joining now.\n' +
+            '[10:00:15     Supervisor Mele]     Listening in.\n' +
+            '[10:00:20     Agent Lani]     Transferring.';
+
+        it('colours each speaker and lists them in the legend', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(conferenceTranscript));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            const speakers = element.shadowRoot.querySelectorAll('.entry-speaker');
+            expect(speakers[0].className).toContain('speaker-bot');
+            expect(speakers[0].querySelector('.speaker-icon').textContent).toBe('🤖');
+            expect(speakers[3].className).toContain('speaker-supervisor');
+            expect(speakers[2].style.color).not.toBe(speakers[4].style.color);
+
+            const legendItems = element.shadowRoot.querySelectorAll('.speaker-legend-item');
+            expect(legendItems.length).toBe(5);
+            expect(legendItems[3].querySelector('.speaker-legend-role').textContent).toBe('Supervisor');
+            expect(legendItems[4].querySelector('.speaker-legend-name').textContent).toContain('Agent Lani');
+        });
+
+        it('uses the configured speaker roles', async () => {
+            getSpeakerRoles.mockResolvedValue([
+                { name: 'Host', roleName: 'Host', matchPatterns: 'virtual agent', cssClass: 'speaker-host', color: '#111111', icon: '🎤', priority: 1 },
+                { name: 'Guest', roleName: 'Guest', isDefault: true, priority: 2 }
+            ]);
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            await setupComponentWithDocuments(element);
+
+            const roles = element.shadowRoot.querySelectorAll('.speaker-legend-role');
+            expect(getSpeakerRoles).toHaveBeenCalled();
+            expect(roles[0].textContent).toBe('Host');
+            expect(roles[1].textContent).toBe('Guest');
+            expect(element.shadowRoot.querySelector('.entry-speaker').className).toContain('speaker-host');
+
+            getSpeakerRoles.mockReset();
+        });
+    });
+
+    describe('transcript search', () => {
+        const searchableTranscript =
+            '[10:00:00     Virtual Agent]     Do you want a refund?\n' +
+            '[10:00:10     Customer]     Yes, a refund please.\n' +
+            '[10:00:20     Agent]     Your refund is on its way. REFUND reference 42.';
+
+        const search = async (element, value) => {
+            const input = element.shadowRoot.querySelector('.transcript-search-input');
+            input.value = value;
+            input.dispatchEvent(new CustomEvent('change', { detail: { value } }));
+            await flushPromises();
+        };
+
+        it('highlights every match and counts them', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(searchableTranscript));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            await search(element, 'Refund');
+
+            const matches = element.shadowRoot.querySelectorAll('.search-match');
+            expect(matches.length).toBe(4);
+            expect(matches[3].textContent).toBe('REFUND');
+            expect(element.shadowRoot.querySelector('.search-result-count').textContent).toBe('4 matches');
+            const texts = element.shadowRoot.querySelectorAll('.entry-text');
+            expect(texts[1].textContent).toBe('Yes, a refund please.');
+        });
+
+        it('steps through matches and seeks to their lines', async () => {
             const element = createElement('c-call-transcript-player', {
                 is: CallTranscriptPlayer
             });
             element.sessionId = 'session123';
             document.body.appendChild(element);
 
-            getTranscriptContent.mockResolvedValue('[10:00:00     Agent]     Hello');
-            parseTranscript.mockResolvedValue(mockTranscriptEntries);
-            getAudioContent.mockResolvedValue({ base64Data: null });
+            getRedactedTranscript.mockResolvedValue(transcriptOf(searchableTranscript));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            element.documents = mockDocuments;
+            await flushPromises();
+            await search(element, 'refund');
+
+            const audio = element.shadowRoot.querySelector('audio');
+            element.shadowRoot.querySelector('.search-next').click();
+            element.shadowRoot.querySelector('.search-next').click();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.search-result-count').textContent).toBe('2 of 4');
+            expect(element.shadowRoot.querySelector('.search-match-current').closest('.transcript-entry').dataset.index).toBe('1');
+            expect(audio.currentTime).toBe(10);
+
+            // Shift+Enter goes back; from the first match it wraps to the last
+            const input = element.shadowRoot.querySelector('.transcript-search-input');
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', shiftKey: true }));
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', shiftKey: true }));
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.search-result-count').textContent).toBe('4 of 4');
+            expect(audio.currentTime).toBe(20);
+        });
+
+        it('reports no matches and clears on Escape', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
 
+            getRedactedTranscript.mockResolvedValue(transcriptOf(searchableTranscript));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
             element.documents = mockDocuments;
+            await flushPromises();
+            await search(element, 'cancel');
+
+            expect(element.shadowRoot.querySelector('.search-result-count').textContent).toBe('No matches');
+            expect(element.shadowRoot.querySelector('.search-next').disabled).toBe(true);
 
+            const input = element.shadowRoot.querySelector('.transcript-search-input');
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
             await flushPromises();
 
-            // Component should not throw - verify it still renders
+            expect(element.shadowRoot.querySelector('.search-result-count')).toBeNull();
+            expect(element.shadowRoot.querySelectorAll('.search-match').length).toBe(0);
+        });
+    });
+
+    describe('keyboard and accessibility', () => {
+        const pressKey = (target, key, options = {}) => {
+            target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+        };
+
+        const setupPlayer = async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            const audio = element.shadowRoot.querySelector('audio');
+            Object.defineProperty(audio, 'duration', { value: 120, configurable: true });
+            audio.dispatchEvent(new CustomEvent('loadedmetadata'));
+            await flushPromises();
+            return element;
+        };
+
+        it('exposes the progress bar as a slider', async () => {
+            const element = await setupPlayer();
+            const slider = element.shadowRoot.querySelector('.progress-bar-wrapper');
+            const audio = element.shadowRoot.querySelector('audio');
+
+            expect(slider.getAttribute('role')).toBe('slider');
+            expect(slider.getAttribute('tabindex')).toBe('0');
+            expect(slider.getAttribute('aria-valuemax')).toBe('120');
+            expect(slider.getAttribute('aria-valuetext')).toBe('0:00 of 2:00');
+
+            pressKey(slider, 'End');
+            await flushPromises();
+            expect(audio.currentTime).toBe(120);
+            expect(slider.getAttribute('aria-valuenow')).toBe('120');
+
+            pressKey(slider, 'PageDown');
+            expect(audio.currentTime).toBe(60);
+            pressKey(slider, 'Home');
+            expect(audio.currentTime).toBe(0);
+        });
+
+        it('plays, skips and changes speed from the keyboard', async () => {
+            const element = await setupPlayer();
             const container = element.shadowRoot.querySelector('.player-container');
-            expect(container).not.toBeNull();
+            const slider = element.shadowRoot.querySelector('.progress-bar-wrapper');
+            const audio = element.shadowRoot.querySelector('audio');
+
+            pressKey(slider, ' ');
+            expect(HTMLMediaElement.prototype.play).toHaveBeenCalled();
+
+            pressKey(container, 'ArrowRight');
+            pressKey(container, 'ArrowRight');
+            expect(audio.currentTime).toBe(20);
+            pressKey(container, 'ArrowLeft');
+            expect(audio.currentTime).toBe(10);
+
+            pressKey(container, '>', { shiftKey: true });
+            await flushPromises();
+            expect(audio.playbackRate).toBe(1.5);
+            const activeSpeed = element.shadowRoot.querySelector('.speed-button.active');
+            expect(activeSpeed.textContent).toBe('1.5x');
+            expect(activeSpeed.getAttribute('aria-pressed')).toBe('true');
+
+            pressKey(container, '<', { shiftKey: true });
+            pressKey(container, '<', { shiftKey: true });
+            pressKey(container, '<', { shiftKey: true });
+            expect(audio.playbackRate).toBe(0.5);
+        });
+
+        it('steps through transcript lines with J and K', async () => {
+            const element = await setupPlayer();
+            const container = element.shadowRoot.querySelector('.player-container');
+            const audio = element.shadowRoot.querySelector('audio');
+
+            let entries = element.shadowRoot.querySelectorAll('.transcript-entry');
+            expect(Array.from(entries).map((entry) => entry.getAttribute('tabindex'))).toEqual(['0', '-1']);
+
+            pressKey(container, 'j');
+            pressKey(container, 'j');
+            await flushPromises();
+
+            entries = element.shadowRoot.querySelectorAll('.transcript-entry');
+            expect(audio.currentTime).toBe(15);
+            expect(entries[1].getAttribute('aria-current')).toBe('true');
+            expect(entries[1].getAttribute('tabindex')).toBe('0');
+            expect(entries[0].getAttribute('aria-current')).toBe('false');
+            expect(element.shadowRoot.activeElement).toBe(entries[1]);
+            expect(element.shadowRoot.querySelector('.active-entry-announcement').textContent).toBe(
+                '0:15 Customer: I have a question.'
+            );
+
+            pressKey(container, 'K');
+            await flushPromises();
+            expect(audio.currentTime).toBe(0);
+            expect(element.shadowRoot.querySelectorAll('.transcript-entry')[0].getAttribute('aria-current')).toBe('true');
+        });
+
+        it('plays from a focused line on Enter', async () => {
+            const element = await setupPlayer();
+            const audio = element.shadowRoot.querySelector('audio');
+
+            pressKey(element.shadowRoot.querySelectorAll('.transcript-entry')[1], 'Enter');
+
+            expect(audio.currentTime).toBe(15);
+            expect(HTMLMediaElement.prototype.play).toHaveBeenCalled();
+        });
+
+        it('ignores shortcuts typed into the search box', async () => {
+            const element = await setupPlayer();
+            const audio = element.shadowRoot.querySelector('audio');
+
+            pressKey(element.shadowRoot.querySelector('.transcript-search-input'), 'j');
+            pressKey(element.shadowRoot.querySelector('.transcript-search-input'), ' ');
+
+            expect(audio.currentTime).toBe(0);
+            expect(HTMLMediaElement.prototype.play).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('scrubber', () => {
+        const pointer = (type, clientX) => {
+            const event = new CustomEvent(type);
+            event.clientX = clientX;
+            return event;
+        };
+
+        const setupPlayer = async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            const audio = element.shadowRoot.querySelector('audio');
+            Object.defineProperty(audio, 'duration', { value: 120, configurable: true });
+            audio.dispatchEvent(new CustomEvent('loadedmetadata'));
+            await flushPromises();
+
+            const bar = element.shadowRoot.querySelector('.progress-bar-wrapper');
+            bar.getBoundingClientRect = () => ({ left: 0, width: 200 });
+            return element;
+        };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('seeks when a drag is released, not while dragging', async () => {
+            const element = await setupPlayer();
+            const bar = element.shadowRoot.querySelector('.progress-bar-wrapper');
+            const audio = element.shadowRoot.querySelector('audio');
+
+            bar.dispatchEvent(pointer('pointerdown', 50));
+            bar.dispatchEvent(pointer('pointermove', 100));
+            await flushPromises();
+
+            expect(audio.currentTime).toBe(0);
+            expect(bar.classList).toContain('scrubbing');
+            expect(element.shadowRoot.querySelector('.progress-handle').style.left).toBe('50%');
+
+            bar.dispatchEvent(pointer('pointerup', 100));
+            await flushPromises();
+
+            expect(audio.currentTime).toBe(60);
+            expect(bar.classList).not.toContain('scrubbing');
+        });
+
+        it('previews the time and transcript line under the pointer', async () => {
+            const element = await setupPlayer();
+            const bar = element.shadowRoot.querySelector('.progress-bar-wrapper');
+
+            bar.dispatchEvent(pointer('pointermove', 20));
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.scrub-preview-time').textContent).toBe('0:12');
+            expect(element.shadowRoot.querySelector('.scrub-preview-text').textContent).toBe(
+                'Virtual Agent: Hello, how can I help?'
+            );
+
+            bar.dispatchEvent(pointer('pointermove', 40));
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.scrub-preview-text').textContent).toBe(
+                'Customer: I have a question.'
+            );
+
+            bar.dispatchEvent(new CustomEvent('pointerleave'));
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.scrub-preview')).toBeNull();
+        });
+
+        it('marks each transcript line on the bar', async () => {
+            const element = await setupPlayer();
+
+            const ticks = element.shadowRoot.querySelectorAll('.progress-tick');
+            expect(ticks.length).toBe(2);
+            expect(ticks[1].style.left).toBe('12.5%');
+        });
+
+        it('draws the waveform computed from the downloaded blob', async () => {
+            const fromBlob = jest.spyOn(AudioWaveform, 'fromBlob').mockResolvedValue([0.5, 1, 0.25, 0]);
+            const element = await setupPlayer();
+            const bar = element.shadowRoot.querySelector('.progress-bar-wrapper');
+
+            expect(fromBlob).toHaveBeenCalledWith(expect.any(Blob));
+            const bars = element.shadowRoot.querySelectorAll('.waveform-bar');
+            expect(bars.length).toBe(4);
+            expect(bars[2].style.height).toBe('25%');
+            expect(bars[3].style.height).toBe('8%');
+
+            bar.dispatchEvent(pointer('pointerdown', 100));
+            bar.dispatchEvent(pointer('pointerup', 100));
+            await flushPromises();
+
+            const played = element.shadowRoot.querySelectorAll('.waveform-bar.played');
+            expect(played.length).toBe(2);
+        });
+    });
+
+    describe('reviewer comments', () => {
+        const mockAnnotations = [
+            {
+                annotationId: 'a2',
+                sessionId: 'session123',
+                documentId: 'doc1',
+                timeOffset: 15,
+                entryIndex: 1,
+                comment: 'Should have offered a callback',
+                authorName: 'Riley Reviewer',
+                createdDate: '2024-01-15T10:30:00.000Z',
+                canEdit: false
+            },
+            {
+                annotationId: 'a1',
+                sessionId: 'session123',
+                documentId: 'doc1',
+                timeOffset: 60,
+                entryIndex: null,
+                comment: 'Long hold here',
+                authorName: 'Sam Supervisor',
+                createdDate: '2024-01-15T10:00:00.000Z',
+                canEdit: true
+            }
+        ];
+
+        const setupPlayer = async (annotations = mockAnnotations) => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getAnnotations.mockResolvedValue(annotations);
+            await setupComponentWithDocuments(element);
+
+            const audio = element.shadowRoot.querySelector('audio');
+            Object.defineProperty(audio, 'duration', { value: 120, configurable: true });
+            audio.dispatchEvent(new CustomEvent('loadedmetadata'));
+            await flushPromises();
+            return element;
+        };
+
+        const writeComment = async (element, text) => {
+            const input = element.shadowRoot.querySelector('.comment-input');
+            input.dispatchEvent(new CustomEvent('change', { detail: { value: text } }));
+            await flushPromises();
+            element.shadowRoot.querySelector('.comment-save').click();
+            await flushPromises();
+        };
+
+        it('loads the comments on the selected recording', async () => {
+            const element = await setupPlayer();
+
+            expect(getAnnotations).toHaveBeenCalledWith({ sessionId: 'session123', documentId: 'doc1' });
+
+            const markers = element.shadowRoot.querySelectorAll('.comment-marker');
+            expect(markers.length).toBe(2);
+            expect(markers[0].style.left).toBe('12.5%');
+            expect(markers[1].style.left).toBe('50%');
+
+            const entries = element.shadowRoot.querySelectorAll('.transcript-entry');
+            expect(entries[0].querySelector('.entry-comments')).toBeNull();
+            expect(entries[1].querySelector('.entry-comment .comment-text').textContent).toBe(
+                'Should have offered a callback'
+            );
+        });
+
+        it('lists comments in timeline order and seeks to one when its time is clicked', async () => {
+            const element = await setupPlayer();
+            const toggle = element.shadowRoot.querySelector('.comments-toggle');
+
+            expect(toggle.textContent).toContain('Comments (2)');
+            expect(element.shadowRoot.querySelector('.comments-list')).toBeNull();
+
+            toggle.click();
+            await flushPromises();
+
+            const items = element.shadowRoot.querySelectorAll('.comment-item');
+            expect(items[0].querySelector('.comment-author').textContent).toBe('Riley Reviewer');
+            expect(items[1].querySelector('.comment-time').textContent).toBe('1:00');
+
+            items[1].querySelector('.comment-time').click();
+            expect(element.shadowRoot.querySelector('audio').currentTime).toBe(60);
+        });
+
+        it('only offers edit and delete on the current user\'s comments', async () => {
+            const element = await setupPlayer();
+            element.shadowRoot.querySelector('.comments-toggle').click();
+            await flushPromises();
+
+            const items = element.shadowRoot.querySelectorAll('.comment-item');
+            expect(items[0].querySelector('.comment-delete')).toBeNull();
+            expect(items[1].querySelector('.comment-delete')).not.toBeNull();
+        });
+
+        it('comments on a transcript line at the line\'s time', async () => {
+            const element = await setupPlayer([]);
+            createAnnotation.mockResolvedValue({
+                annotationId: 'a3',
+                timeOffset: 15,
+                entryIndex: 1,
+                comment: 'Good empathy',
+                authorName: 'Sam Supervisor',
+                createdDate: '2024-01-16T09:00:00.000Z',
+                canEdit: true
+            });
+
+            const entry = element.shadowRoot.querySelectorAll('.transcript-entry')[1];
+            entry.querySelector('.entry-comment-button').click();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.comment-input').label).toBe('Comment on the line at 0:15');
+            expect(element.shadowRoot.querySelector('audio').currentTime).toBe(0);
+
+            await writeComment(element, 'Good empathy');
+
+            expect(createAnnotation).toHaveBeenCalledWith({
+                sessionId: 'session123',
+                documentId: 'doc1',
+                timeOffset: 15,
+                entryIndex: 1,
+                comment: 'Good empathy'
+            });
+            expect(element.shadowRoot.querySelector('.comment-composer')).toBeNull();
+            expect(element.shadowRoot.querySelectorAll('.comment-item').length).toBe(1);
+            expect(
+                element.shadowRoot.querySelectorAll('.transcript-entry')[1].querySelector('.entry-comment .comment-text')
+                    .textContent
+            ).toBe('Good empathy');
+        });
+
+        it('comments at the current position from the Add comment button', async () => {
+            const element = await setupPlayer([]);
+            const audio = element.shadowRoot.querySelector('audio');
+            audio.currentTime = 42;
+            audio.dispatchEvent(new CustomEvent('timeupdate'));
+
+            element.shadowRoot.querySelector('.add-comment-button').click();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.comment-input').label).toBe('Comment at 0:42');
+            expect(element.shadowRoot.querySelector('.comment-save').disabled).toBe(true);
+
+            element.shadowRoot.querySelector('.comment-cancel').click();
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.comment-composer')).toBeNull();
+        });
+
+        it('edits and deletes the current user\'s comment', async () => {
+            const element = await setupPlayer();
+            updateAnnotation.mockResolvedValue({ ...mockAnnotations[1], comment: 'Hold was 2 minutes' });
+            deleteAnnotation.mockResolvedValue(undefined);
+            element.shadowRoot.querySelector('.comments-toggle').click();
+            await flushPromises();
+
+            element.shadowRoot.querySelector('.comment-edit').click();
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.comment-input').value).toBe('Long hold here');
+
+            await writeComment(element, 'Hold was 2 minutes');
+            expect(updateAnnotation).toHaveBeenCalledWith({ annotationId: 'a1', comment: 'Hold was 2 minutes' });
+            let items = element.shadowRoot.querySelectorAll('.comment-item');
+            expect(items[1].querySelector('.comment-text').textContent).toBe('Hold was 2 minutes');
+
+            element.shadowRoot.querySelector('.comment-delete').click();
+            await flushPromises();
+            expect(deleteAnnotation).toHaveBeenCalledWith({ annotationId: 'a1' });
+            items = element.shadowRoot.querySelectorAll('.comment-item');
+            expect(items.length).toBe(1);
+            expect(element.shadowRoot.querySelectorAll('.comment-marker').length).toBe(1);
+        });
+
+        it('shows the error when a comment cannot be saved', async () => {
+            const element = await setupPlayer([]);
+            createAnnotation.mockRejectedValue({ body: { message: 'Error saving comment: Comment is required' } });
+
+            element.shadowRoot.querySelector('.add-comment-button').click();
+            await flushPromises();
+            await writeComment(element, 'Note');
+
+            expect(element.shadowRoot.querySelector('.comment-error').textContent).toBe(
+                'Error saving comment: Comment is required'
+            );
+            expect(element.shadowRoot.querySelector('.comment-composer')).not.toBeNull();
+        });
+    });
+
+    describe('scorecard', () => {
+        const setupPlayer = async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+            await setupComponentWithDocuments(element);
+
+            const audio = element.shadowRoot.querySelector('audio');
+            Object.defineProperty(audio, 'duration', { value: 120, configurable: true });
+            audio.dispatchEvent(new CustomEvent('loadedmetadata'));
+            await flushPromises();
+            return element;
+        };
+
+        it('offers the active transcript line as evidence', async () => {
+            const element = await setupPlayer();
+            const scorecard = element.shadowRoot.querySelector('c-call-scorecard');
+            const audio = element.shadowRoot.querySelector('audio');
+
+            expect(scorecard.sessionId).toBe('session123');
+            expect(scorecard.recordingId).toBe('doc1');
+
+            audio.currentTime = 20;
+            audio.dispatchEvent(new CustomEvent('timeupdate'));
+            await flushPromises();
+
+            expect(scorecard.evidenceTime).toBe(15);
+            expect(scorecard.evidenceEntryIndex).toBe(1);
+        });
+
+        it('plays from evidence the scorecard selects', async () => {
+            const element = await setupPlayer();
+            const scorecard = element.shadowRoot.querySelector('c-call-scorecard');
+            const audio = element.shadowRoot.querySelector('audio');
+
+            scorecard.dispatchEvent(new CustomEvent('evidenceselect', {
+                detail: { documentId: 'doc1', time: 15, entryIndex: 1 }
+            }));
+            await flushPromises();
+            expect(audio.currentTime).toBe(15);
+
+            scorecard.dispatchEvent(new CustomEvent('evidenceselect', {
+                detail: { documentId: 'doc1', time: 42, entryIndex: null }
+            }));
+            await flushPromises();
+            expect(audio.currentTime).toBe(42);
+        });
+    });
+
+    describe('showEntry', () => {
+        const pairedDocuments = [
+            { documentId: 'audio1', title: 'call_recording', fileType: 'MP3' },
+            { documentId: 'audio2', title: 'call_recording_2', fileType: 'MP3' },
+            { documentId: 'va1', title: 'va_transcript_1', fileType: 'TEXT' },
+            { documentId: 'rt1', title: 'rt_transcript_1', fileType: 'TEXT' }
+        ];
+
+        const transcripts = {
+            va1: '[10:00:00     Virtual Agent]     Hello, how can I help?',
+            rt1:
+                '[10:00:00     Agent]     Thanks for holding.\n' +
+                '[10:00:15     Customer]     I would like a refund.\n' +
+                '[10:00:30     Agent]     The refund is on its way.'
+        };
+
+        beforeEach(() => {
+            getRedactedTranscript.mockImplementation(({ documentId }) => Promise.resolve(transcriptOf(transcripts[documentId])));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+        });
+
+        it('selects the requested recording when called before the documents load', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            element.showEntry('audio2', 2, 'refund');
+            element.documents = pairedDocuments;
+            await flushPromises();
+            await flushPromises();
+
+            const activePill = element.shadowRoot.querySelector('.recording-pill.active');
+            expect(activePill.dataset.id).toBe('audio2');
+            expect(getRedactedTranscript).toHaveBeenCalledWith({ documentId: 'rt1' });
+            expect(getRedactedTranscript).not.toHaveBeenCalledWith({ documentId: 'va1' });
+
+            const current = element.shadowRoot.querySelector('.search-match-current');
+            expect(current.closest('.transcript-entry').dataset.index).toBe('2');
+            expect(element.shadowRoot.querySelector('.search-result-count').textContent).toBe('2 of 2');
+
+            // Loading the audio resets its position; the seek is applied once metadata arrives
+            const audio = element.shadowRoot.querySelector('audio');
+            audio.currentTime = 0;
+            audio.dispatchEvent(new CustomEvent('loadedmetadata'));
+            expect(audio.currentTime).toBe(30);
+        });
+
+        it('switches recording when another one is playing', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+            element.documents = pairedDocuments;
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.recording-pill.active').dataset.id).toBe('audio1');
+
+            element.showEntry('audio2', 1, 'refund');
+            await flushPromises();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.recording-pill.active').dataset.id).toBe('audio2');
+            const current = element.shadowRoot.querySelector('.search-match-current');
+            expect(current.closest('.transcript-entry').dataset.index).toBe('1');
+            expect(element.shadowRoot.querySelector('audio').currentTime).toBe(15);
+        });
+
+        it('ignores recordings that are not in the session', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+            element.documents = pairedDocuments;
+            await flushPromises();
+
+            element.showEntry('missing', 0, 'refund');
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.recording-pill.active').dataset.id).toBe('audio1');
+            expect(element.shadowRoot.querySelector('.search-match')).toBeNull();
+        });
+    });
+
+    describe('deep links', () => {
+        const pairedDocuments = [
+            { documentId: 'audio1', title: 'call_recording', fileType: 'MP3' },
+            { documentId: 'audio2', title: 'call_recording_2', fileType: 'MP3' }
+        ];
+
+        const createPlayer = () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            return element;
+        };
+
+        const loadMetadata = (element, duration) => {
+            const audio = element.shadowRoot.querySelector('audio');
+            Object.defineProperty(audio, 'duration', { value: duration, configurable: true });
+            audio.dispatchEvent(new CustomEvent('loadedmetadata'));
+            return audio;
+        };
+
+        afterEach(() => {
+            delete navigator.clipboard;
+        });
+
+        it('opens the linked recording at the linked time', async () => {
+            const element = createPlayer();
+
+            element.showMoment('audio2', 720);
+            element.documents = pairedDocuments;
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.recording-pill.active').dataset.id).toBe('audio2');
+            const audio = loadMetadata(element, 900);
+            expect(audio.currentTime).toBe(720);
+        });
+
+        it('seeks the current recording once it is loaded', async () => {
+            const element = createPlayer();
+            element.documents = pairedDocuments;
+            await flushPromises();
+            const audio = loadMetadata(element, 900);
+            const selectedId = element.shadowRoot.querySelector('.recording-pill.active').dataset.id;
+
+            element.showMoment(null, 95);
+
+            expect(element.shadowRoot.querySelector('.recording-pill.active').dataset.id).toBe(selectedId);
+            expect(audio.currentTime).toBe(95);
+        });
+
+        it('copies a link to the current moment', async () => {
+            const writeText = jest.fn().mockResolvedValue(undefined);
+            Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+            const toastHandler = jest.fn();
+            const element = createPlayer();
+            element.addEventListener('lightning__showtoast', toastHandler);
+            element.documents = pairedDocuments;
+            await flushPromises();
+            const audio = loadMetadata(element, 900);
+            audio.currentTime = 754.6;
+            audio.dispatchEvent(new CustomEvent('timeupdate'));
+
+            element.shadowRoot.querySelector('.copy-link-button').click();
+            await flushPromises();
+
+            const url = new URL(writeText.mock.calls[0][0]);
+            expect(url.searchParams.get('c__session')).toBe('session123');
+            expect(url.searchParams.get('c__recording')).toBe(
+                element.shadowRoot.querySelector('.recording-pill.active').dataset.id
+            );
+            expect(url.searchParams.get('c__t')).toBe('754');
+            expect(toastHandler.mock.calls[0][0].detail.message).toBe('The link opens this call at 12:34.');
+        });
+
+        it('reports the recording and its length with playback updates', async () => {
+            const playbackHandler = jest.fn();
+            const element = createPlayer();
+            element.addEventListener('playbackupdate', playbackHandler);
+            element.documents = pairedDocuments;
+            await flushPromises();
+            const audio = loadMetadata(element, 900);
+            audio.currentTime = 30;
+            audio.dispatchEvent(new CustomEvent('timeupdate'));
+
+            expect(playbackHandler.mock.calls[0][0].detail).toEqual({
+                sessionId: 'session123',
+                documentId: element.shadowRoot.querySelector('.recording-pill.active').dataset.id,
+                currentTime: 30,
+                duration: 900,
+                isPlaying: false
+            });
+        });
+
+        it('shows the link when it cannot be copied', async () => {
+            Object.defineProperty(navigator, 'clipboard', {
+                value: { writeText: jest.fn().mockRejectedValue(new Error('denied')) },
+                configurable: true
+            });
+            const toastHandler = jest.fn();
+            const element = createPlayer();
+            element.addEventListener('lightning__showtoast', toastHandler);
+            element.documents = pairedDocuments;
+            await flushPromises();
+
+            element.shadowRoot.querySelector('.copy-link-button').click();
+            await flushPromises();
+
+            const toast = toastHandler.mock.calls[0][0].detail;
+            expect(toast.variant).toBe('warning');
+            expect(toast.message).toContain('c__session=session123');
+        });
+    });
+
+    describe('whole call', () => {
+        const wholeCallDocuments = [
+            ...mockDocuments,
+            { documentId: 'doc3', title: 'call_recording_2', fileType: 'MP3', downloadUrl: '/download/audio2' },
+            { documentId: 'doc4', title: 'rt_transcript_123.txt', fileType: 'TXT', downloadUrl: '/download/transcript2' }
+        ];
+
+        const agentTranscript = '[10:05:00     Agent]     Thanks for waiting.\n[10:05:10     Customer]     No problem.';
+
+        beforeEach(() => {
+            jest.spyOn(CallSequence, 'measureDuration').mockResolvedValue(300);
+            getRedactedTranscript.mockImplementation(async ({ documentId }) =>
+                transcriptOf(documentId === 'doc4' ? agentTranscript : mockTranscriptContent)
+            );
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            prefetchAudioChunk.mockResolvedValue(mockAudioChunk);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const createPlayer = async ({ wholeCall = false, documents = wholeCallDocuments } = {}) => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            element.wholeCall = wholeCall;
+            document.body.appendChild(element);
+            element.documents = documents;
+            await flushPromises();
+            await flushPromises();
+            return element;
+        };
+
+        const loadMetadata = (element, duration) => {
+            const audio = element.shadowRoot.querySelector('audio');
+            Object.defineProperty(audio, 'duration', { value: duration, configurable: true });
+            audio.dispatchEvent(new CustomEvent('loadedmetadata'));
+            return audio;
+        };
+
+        const activeRecordingId = (element) => element.shadowRoot.querySelector('.recording-pill.active').dataset.id;
+
+        it('plays the next recording when one ends, then reports the end of the call', async () => {
+            const element = await createPlayer({ wholeCall: true });
+            const callEnded = jest.fn();
+            element.addEventListener('callended', callEnded);
+            const audio = loadMetadata(element, 60);
+
+            // Downloaded in the background while the first recording plays; Apex logs the download
+            expect(prefetchAudioChunk.mock.calls.filter(([params]) => params.documentId === 'doc3')).toHaveLength(1);
+
+            audio.dispatchEvent(new CustomEvent('ended'));
+            await flushPromises();
+            expect(activeRecordingId(element)).toBe('doc3');
+            expect(logCachedFileAccess).not.toHaveBeenCalled();
+
+            audio.play.mockClear();
+            loadMetadata(element, 300);
+            expect(audio.play).toHaveBeenCalledTimes(1);
+            expect(getAudioChunk.mock.calls.some(([params]) => params.documentId === 'doc3')).toBe(false);
+            expect(callEnded).not.toHaveBeenCalled();
+
+            audio.dispatchEvent(new CustomEvent('ended'));
+            expect(callEnded).toHaveBeenCalledTimes(1);
+            expect(callEnded.mock.calls[0][0].detail).toEqual({ sessionId: 'session123' });
+        });
+
+        it('stops at the end of a recording when the whole call is not playing', async () => {
+            const element = await createPlayer();
+            const callEnded = jest.fn();
+            element.addEventListener('callended', callEnded);
+            const audio = loadMetadata(element, 60);
+
+            audio.dispatchEvent(new CustomEvent('ended'));
+            await flushPromises();
+
+            expect(activeRecordingId(element)).toBe('doc1');
+            expect(callEnded).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.call-timeline')).toBeNull();
+            expect(prefetchAudioChunk).not.toHaveBeenCalled();
+        });
+
+        it('downloads a recording again when playing its cached copy cannot be logged', async () => {
+            const documents = wholeCallDocuments.map((doc) => ({
+                ...doc,
+                latestVersionId: doc.documentId === 'doc3' ? 'ver3' : undefined
+            }));
+            const cached = new Map([['ver3', new Blob(['ID3'], { type: 'audio/mpeg' })]]);
+            jest.spyOn(RecordingCache, 'get').mockImplementation(async (versionId) => cached.get(versionId) || null);
+            jest.spyOn(RecordingCache, 'remove').mockResolvedValue(undefined);
+            logCachedFileAccess.mockRejectedValue(new Error('File not found'));
+            const element = await createPlayer({ wholeCall: true, documents });
+            loadMetadata(element, 60);
+            await flushPromises();
+            expect(prefetchAudioChunk.mock.calls.some(([params]) => params.documentId === 'doc3')).toBe(false);
+
+            element.shadowRoot.querySelector('.call-timeline-segment[data-id="doc3"]').click();
+            await flushPromises();
+            await flushPromises();
+
+            expect(activeRecordingId(element)).toBe('doc3');
+            expect(logCachedFileAccess).toHaveBeenCalledWith({ documentId: 'doc3', action: 'Audio_Accessed' });
+            expect(RecordingCache.remove).toHaveBeenCalledWith('ver3');
+            expect(getAudioChunk).toHaveBeenCalledWith({ documentId: 'doc3', offset: 0, chunkSize: expect.any(Number) });
+        });
+
+        it('shows the whole call on one timeline with every recording\'s transcript', async () => {
+            const element = await createPlayer();
+            loadMetadata(element, 60);
+
+            element.shadowRoot.querySelector('.whole-call-toggle').dispatchEvent(new CustomEvent('click'));
+            await flushPromises();
+            await flushPromises();
+
+            const segments = element.shadowRoot.querySelectorAll('.call-timeline-segment');
+            expect(segments).toHaveLength(2);
+            expect(segments[0].style.width).toBe('16.666666666666664%');
+            expect(element.shadowRoot.querySelector('.call-timeline-time').textContent).toBe('0:00 / 6:00');
+
+            const laterLines = element.shadowRoot.querySelectorAll('.call-transcript-entry');
+            expect(laterLines).toHaveLength(2);
+            expect(laterLines[0].textContent).toContain('Thanks for waiting.');
+            expect(element.shadowRoot.querySelector('.call-transcript-title.current').textContent).toBe('1. Virtual Agent');
+        });
+
+        it('switches recording from the timeline and from another recording\'s transcript', async () => {
+            const element = await createPlayer({ wholeCall: true });
+            loadMetadata(element, 60);
+            await flushPromises();
+
+            element.shadowRoot.querySelector('.call-timeline-segment[data-id="doc3"]').click();
+            await flushPromises();
+            expect(activeRecordingId(element)).toBe('doc3');
+            expect(element.shadowRoot.querySelector('.call-transcript-title').textContent).toBe('1. Virtual Agent');
+
+            element.shadowRoot.querySelector('.call-transcript-entry[data-recording-id="doc1"]').click();
+            await flushPromises();
+            expect(activeRecordingId(element)).toBe('doc1');
+        });
+
+        it('plays from the first recording when the parent starts the call', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            element.playFromStart();
+            element.documents = wholeCallDocuments;
+            await flushPromises();
+            await flushPromises();
+            const audio = loadMetadata(element, 60);
+
+            expect(audio.play).toHaveBeenCalled();
+            expect(element.wholeCall).toBe(true);
+            expect(activeRecordingId(element)).toBe('doc1');
+        });
+
+        it('ends a call without recordings straight away', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            const callEnded = jest.fn();
+            element.addEventListener('callended', callEnded);
+            document.body.appendChild(element);
+
+            element.playFromStart();
+            element.documents = [];
+            await flushPromises();
+
+            expect(callEnded).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('call details', () => {
+        it('shows the transcript header in a collapsible panel', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            element.callId = '123';
+            document.body.appendChild(element);
+
+            await setupComponentWithDocuments(element);
+
+            const toggle = element.shadowRoot.querySelector('.call-details-toggle');
+            expect(toggle).not.toBeNull();
+            expect(toggle.getAttribute('aria-expanded')).toBe('false');
+            expect(element.shadowRoot.querySelector('.call-details-list')).toBeNull();
+            expect(element.shadowRoot.querySelector('.call-id-warning')).toBeNull();
+
+            toggle.click();
+            await flushPromises();
+
+            const rows = element.shadowRoot.querySelectorAll('.call-details-row');
+            expect(rows.length).toBe(1);
+            expect(rows[0].querySelector('.call-details-key').textContent).toBe('Call ID');
+            expect(rows[0].querySelector('.call-details-value').textContent).toBe('123');
+        });
+
+        it('warns when the transcript Call ID does not match the session', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            element.callId = '456';
+            document.body.appendChild(element);
+
+            await setupComponentWithDocuments(element);
+
+            const warning = element.shadowRoot.querySelector('.call-id-warning');
+            expect(warning).not.toBeNull();
+            expect(warning.textContent).toContain('Call ID 123');
+        });
+    });
+
+    describe('transcript export', () => {
+        const createPlayer = async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            element.agentName = 'Jane Agent';
+            element.callId = '123';
+            element.callDate = 'Jan 15, 2024, 10:00 AM';
+            document.body.appendChild(element);
+            logCallAccess.mockResolvedValue();
+            await setupComponentWithDocuments(element);
+            return element;
+        };
+
+        const selectFormat = (element, value) => {
+            element.shadowRoot.querySelector('.export-menu').dispatchEvent(
+                new CustomEvent('select', { detail: { value } })
+            );
+        };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('downloads CSV rows built from the parsed transcript', async () => {
+            const download = jest.spyOn(TranscriptExport, 'download').mockImplementation(() => {});
+            const element = await createPlayer();
+
+            selectFormat(element, 'csv');
+
+            const [content, fileName, mimeType] = download.mock.calls[0];
+            expect(content.split('\r\n')).toEqual([
+                'Timestamp,Seconds,Speaker,Text',
+                '10:00:00,0,Virtual Agent,"Hello, how can I help?"',
+                '10:00:15,15,Customer,I have a question.',
+                ''
+            ]);
+            expect(fileName).toMatch(/_transcript\.csv$/);
+            expect(mimeType).toBe('text/csv');
+        });
+
+        it('prints the transcript with the call details', async () => {
+            const printWindow = {
+                document: { open: jest.fn(), write: jest.fn(), close: jest.fn() },
+                focus: jest.fn(),
+                print: jest.fn()
+            };
+            jest.spyOn(window, 'open').mockReturnValue(printWindow);
+            const element = await createPlayer();
+
+            selectFormat(element, 'pdf');
+
+            const html = printWindow.document.write.mock.calls[0][0];
+            expect(html).toContain('<th>Agent</th><td>Jane Agent</td>');
+            expect(html).toContain('<th>Date</th><td>Jan 15, 2024, 10:00 AM</td>');
+            expect(html).toContain('<th>Call ID</th><td>123</td>');
+            expect(html).toContain('I have a question.');
+            expect(printWindow.print).toHaveBeenCalled();
+        });
+
+        it('still offers the original transcript file', async () => {
+            const open = jest.spyOn(window, 'open').mockReturnValue(null);
+            const element = await createPlayer();
+
+            selectFormat(element, 'original');
+
+            expect(open).toHaveBeenCalledWith('/download/transcript1', '_blank');
+        });
+
+        it('logs each export against the transcript file', async () => {
+            jest.spyOn(TranscriptExport, 'download').mockImplementation(() => {});
+            const element = await createPlayer();
+
+            selectFormat(element, 'srt');
+
+            expect(logCallAccess).toHaveBeenCalledWith({
+                sessionId: 'session123',
+                documentId: 'doc2',
+                action: 'Transcript_Exported',
+                detail: 'srt'
+            });
+        });
+
+        it('does not log a print view the browser blocked', async () => {
+            jest.spyOn(window, 'open').mockReturnValue(null);
+            const element = await createPlayer();
+
+            selectFormat(element, 'pdf');
+
+            expect(logCallAccess).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('redaction', () => {
+        const redactedTranscript = {
+            content:
+                '[10:00:00     Agent]     Can I take the card number?\n' +
+                '[10:00:15     Customer]     It is [REDACTED CARD]\n' +
+                '[10:00:30     Agent]     Thank you',
+            isRedacted: true,
+            masks: ['[REDACTED CARD]']
+        };
+
+        const createPlayer = async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+            getRedactedTranscript.mockResolvedValue(redactedTranscript);
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            element.documents = mockDocuments;
+            await flushPromises();
+            return element;
+        };
+
+        const playAt = async (audio, time) => {
+            audio.currentTime = time;
+            audio.dispatchEvent(new CustomEvent('timeupdate'));
+            await flushPromises();
+        };
+
+        it('mutes the audio over masked lines', async () => {
+            const element = await createPlayer();
+            const audio = element.shadowRoot.querySelector('audio');
+
+            await playAt(audio, 5);
+            expect(audio.muted).toBe(false);
+            expect(element.shadowRoot.querySelector('.redaction-mute-badge')).toBeNull();
+
+            await playAt(audio, 16);
+            expect(audio.muted).toBe(true);
+            expect(element.shadowRoot.querySelector('.redaction-mute-badge')).not.toBeNull();
+
+            await playAt(audio, 30);
+            expect(audio.muted).toBe(false);
+        });
+
+        it('mutes just before a masked line, earlier at higher speeds', async () => {
+            const element = await createPlayer();
+            const audio = element.shadowRoot.querySelector('audio');
+
+            await playAt(audio, 14.6);
+            expect(audio.muted).toBe(false);
+            await playAt(audio, 14.8);
+            expect(audio.muted).toBe(true);
+
+            await playAt(audio, 5);
+            element.shadowRoot.querySelector('[data-speed="2"]').click();
+            await playAt(audio, 14.6);
+            expect(audio.muted).toBe(true);
+        });
+
+        it('keeps audio the user muted muted after a masked line', async () => {
+            const element = await createPlayer();
+            const audio = element.shadowRoot.querySelector('audio');
+
+            audio.muted = true;
+            await playAt(audio, 16);
+            await playAt(audio, 30);
+
+            expect(audio.muted).toBe(true);
+        });
+
+        it('finds masked lines in the entries the player parsed', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+            getRedactedTranscript.mockResolvedValue({
+                content:
+                    'WEBVTT\n\n' +
+                    '00:00:01.000 --> 00:00:04.000\n<v Agent>Card number please\n\n' +
+                    '00:00:05.000 --> 00:00:09.000\n<v Customer>Sure\n[REDACTED CARD]\n\n' +
+                    '00:00:10.000 --> 00:00:12.000\n<v Agent>Thanks',
+                isRedacted: true,
+                masks: ['[REDACTED CARD]', '[REDACTED SSN]']
+            });
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            const entries = element.shadowRoot.querySelectorAll('.transcript-entry');
+            expect(entries.length).toBe(3);
+            expect(Array.from(entries).map((entry) => !!entry.querySelector('.redacted-entry-icon'))).toEqual([
+                false,
+                true,
+                false
+            ]);
+        });
+
+        it('marks masked lines and withholds the original file', async () => {
+            const open = jest.spyOn(window, 'open').mockReturnValue(null);
+            const element = await createPlayer();
+
+            const entries = element.shadowRoot.querySelectorAll('.transcript-entry');
+            expect(entries[1].querySelector('.redacted-entry-icon')).not.toBeNull();
+            expect(entries[0].querySelector('.redacted-entry-icon')).toBeNull();
+
+            const menuValues = Array.from(element.shadowRoot.querySelectorAll('.export-menu lightning-menu-item')).map(
+                (item) => item.value
+            );
+            expect(menuValues).not.toContain('original');
+
+            element.shadowRoot.querySelector('.export-menu').dispatchEvent(
+                new CustomEvent('select', { detail: { value: 'original' } })
+            );
+            expect(open).not.toHaveBeenCalled();
+            open.mockRestore();
+        });
+    });
+
+    describe('error handling', () => {
+        it('handles transcript loading error gracefully', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockRejectedValue(new Error('Network error'));
+            getAudioChunk.mockResolvedValue(mockAudioChunk);
+
+            element.documents = mockDocuments;
+
+            await flushPromises();
+
+            // Component should not throw - verify it still renders
+            const container = element.shadowRoot.querySelector('.player-container');
+            expect(container).not.toBeNull();
+        });
+
+        it('handles audio loading error gracefully', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk.mockRejectedValue(new Error('Audio fetch error'));
+
+            element.documents = mockDocuments;
+
+            await flushPromises();
+
+            // Component should not throw - verify it still renders
+            const container = element.shadowRoot.querySelector('.player-container');
+            expect(container).not.toBeNull();
+        });
+
+        it('handles empty audio content gracefully', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk.mockResolvedValue({ base64Data: null });
+
+            element.documents = mockDocuments;
+
+            await flushPromises();
+
+            // Component should not throw - verify it still renders
+            const container = element.shadowRoot.querySelector('.player-container');
+            expect(container).not.toBeNull();
+        });
+    });
+
+    describe('chunked audio loading', () => {
+        it('fetches the recording in chunks and plays the assembled file', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk
+                .mockResolvedValueOnce({ ...mockAudioChunk, base64Data: 'ID3chunk1', isLastChunk: false })
+                .mockResolvedValueOnce({ ...mockAudioChunk, base64Data: 'chunk2', offset: 9, isLastChunk: true });
+
+            element.documents = mockDocuments;
+            await flushPromises();
+            await flushPromises();
+
+            expect(getAudioChunk).toHaveBeenCalledTimes(2);
+            expect(getAudioChunk).toHaveBeenLastCalledWith({ documentId: 'doc1', offset: 9, chunkSize: expect.any(Number) });
+            expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+            const blob = URL.createObjectURL.mock.calls[0][0];
+            expect(blob.size).toBe(15);
+            expect(blob.type).toBe('audio/mpeg');
+            expect(element.shadowRoot.querySelector('audio').src).toBe('blob:mock-url');
+        });
+    });
+
+    describe('recording cache', () => {
+        const versionedDocuments = [
+            { ...mockDocuments[0], latestVersionId: 'ver1' },
+            { ...mockDocuments[1], latestVersionId: 'ver2' }
+        ];
+
+        // Cached values by ContentVersion Id
+        let cached;
+
+        beforeEach(() => {
+            cached = new Map();
+            jest.spyOn(RecordingCache, 'get').mockImplementation(async (versionId) => cached.get(versionId) || null);
+            jest.spyOn(RecordingCache, 'put').mockResolvedValue(true);
+            jest.spyOn(RecordingCache, 'remove').mockResolvedValue(undefined);
+            // Transcripts are masked for the user
+            logCachedFileAccess.mockResolvedValue(true);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const maskedTranscript = { ...transcriptOf(mockTranscriptContent), isRedacted: true };
+
+        const createPlayer = async (transcript = maskedTranscript) => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+            getRedactedTranscript.mockResolvedValue(transcript);
+            getAudioChunk.mockResolvedValue({ ...mockAudioChunk, isRedactionRequired: transcript.isRedacted });
+            element.documents = versionedDocuments;
+            await flushPromises();
+            await flushPromises();
+            return element;
+        };
+
+        // The parsed transcript the player caches after downloading it
+        const cachedTranscript = async (transcript = maskedTranscript) => {
+            await createPlayer(transcript);
+            const call = RecordingCache.put.mock.calls.find(([versionId]) => versionId === 'ver2');
+            document.body.removeChild(document.body.firstChild);
+            jest.clearAllMocks();
+            return call[1];
+        };
+
+        it('caches downloaded recordings and parsed transcripts by version', async () => {
+            await createPlayer(transcriptOf(mockTranscriptContent));
+
+            expect(getAudioChunk).toHaveBeenCalled();
+            expect(RecordingCache.put).toHaveBeenCalledWith('ver1', expect.any(Blob));
+            expect(RecordingCache.put).toHaveBeenCalledWith('ver2', expect.objectContaining({
+                isRedacted: false,
+                entries: expect.arrayContaining([expect.objectContaining({ text: 'I have a question.' })])
+            }));
+            expect(logCachedFileAccess).not.toHaveBeenCalled();
+        });
+
+        it('caches only the masked transcript for a user whose transcripts are masked', async () => {
+            await createPlayer();
+
+            expect(RecordingCache.put).not.toHaveBeenCalledWith('ver1', expect.anything());
+            expect(RecordingCache.put).toHaveBeenCalledWith('ver2', expect.objectContaining({ isRedacted: true }));
+        });
+
+        it('plays a cached recording and logs the read without downloading it', async () => {
+            const blob = new Blob(['ID3 cached audio'], { type: 'audio/mpeg' });
+            cached.set('ver1', blob);
+            logCachedFileAccess.mockResolvedValue(false);
+
+            const element = await createPlayer(transcriptOf(mockTranscriptContent));
+
+            expect(getAudioChunk).not.toHaveBeenCalled();
+            expect(logCachedFileAccess).toHaveBeenCalledWith({ documentId: 'doc1', action: 'Audio_Accessed' });
+            expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+            expect(element.shadowRoot.querySelector('audio').src).toBe('blob:mock-url');
+        });
+
+        it('shows a cached transcript while the user\'s masking is unchanged', async () => {
+            cached.set('ver2', await cachedTranscript());
+
+            const element = await createPlayer();
+
+            expect(getRedactedTranscript).not.toHaveBeenCalled();
+            expect(logCachedFileAccess).toHaveBeenCalledWith({ documentId: 'doc2', action: 'Transcript_Accessed' });
+            expect(element.shadowRoot.querySelectorAll('.transcript-entry').length).toBe(2);
+        });
+
+        it('shows a cached unredacted transcript to a user who may see it', async () => {
+            cached.set('ver2', await cachedTranscript(transcriptOf(mockTranscriptContent)));
+            logCachedFileAccess.mockResolvedValue(false);
+
+            await createPlayer(transcriptOf(mockTranscriptContent));
+
+            expect(getRedactedTranscript).not.toHaveBeenCalled();
+            expect(logCachedFileAccess).toHaveBeenCalledWith({ documentId: 'doc2', action: 'Transcript_Accessed' });
+        });
+
+        it('downloads a cached recording again once the user\'s transcripts are masked', async () => {
+            cached.set('ver1', new Blob(['ID3 cached audio'], { type: 'audio/mpeg' }));
+
+            await createPlayer();
+
+            expect(getAudioChunk).toHaveBeenCalled();
+            expect(RecordingCache.remove).toHaveBeenCalledWith('ver1');
+            expect(RecordingCache.put).not.toHaveBeenCalledWith('ver1', expect.anything());
+        });
+
+        it('downloads the transcript again when the user\'s masking has changed', async () => {
+            cached.set('ver2', await cachedTranscript());
+            logCachedFileAccess.mockResolvedValue(false);
+
+            await createPlayer();
+
+            expect(getRedactedTranscript).toHaveBeenCalledWith({ documentId: 'doc2' });
+            expect(RecordingCache.remove).toHaveBeenCalledWith('ver2');
+        });
+
+        it('downloads the file when the cached read cannot be logged', async () => {
+            cached.set('ver1', new Blob(['ID3 cached audio'], { type: 'audio/mpeg' }));
+            logCachedFileAccess.mockRejectedValue(new Error('File not found'));
+
+            await createPlayer();
+
+            expect(getAudioChunk).toHaveBeenCalled();
+            expect(RecordingCache.remove).toHaveBeenCalledWith('ver1');
+        });
+    });
+
+    describe('audio load tracking', () => {
+        const twoRecordings = [
+            { documentId: 'doc3', title: 'call_recording_2', fileType: 'MP3', downloadUrl: '/download/audio2' },
+            ...mockDocuments
+        ];
+
+        const deferred = () => {
+            let resolve;
+            const promise = new Promise((res) => {
+                resolve = res;
+            });
+            return { promise, resolve };
+        };
+
+        it('discards a load superseded by another recording', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            const firstLoad = deferred();
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk
+                .mockReturnValueOnce(firstLoad.promise)
+                .mockResolvedValueOnce({ ...mockAudioChunk, base64Data: 'agent' });
+
+            element.documents = twoRecordings;
+            await flushPromises();
+
+            // Switch to the agent recording while the first one is still loading
+            element.shadowRoot.querySelector('button[data-id="doc3"]').click();
+            await flushPromises();
+            firstLoad.resolve({ ...mockAudioChunk, base64Data: 'ID3first', isLastChunk: false });
+            await flushPromises();
+
+            expect(getAudioChunk).toHaveBeenCalledTimes(2);
+            expect(getAudioChunk).toHaveBeenLastCalledWith({ documentId: 'doc3', offset: 0, chunkSize: expect.any(Number) });
+            expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+            expect(URL.createObjectURL.mock.calls[0][0].size).toBe(5);
+            expect(element.shadowRoot.querySelector('.audio-loading-section')).toBeNull();
+        });
+
+        it('shows download progress from the file size', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            const secondChunk = deferred();
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk
+                .mockResolvedValueOnce({ ...mockAudioChunk, base64Data: 'ID3chunk1', fileSize: 18, isLastChunk: false })
+                .mockReturnValueOnce(secondChunk.promise);
+
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.audio-loading-text').textContent).toBe('Loading audio file: 9 B of 18 B (50%)');
+            expect(element.shadowRoot.querySelector('.audio-progress-indicator').value).toBe(50);
+
+            secondChunk.resolve({ ...mockAudioChunk, base64Data: 'chunk2and', fileSize: 18, offset: 9, isLastChunk: true });
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.audio-loading-section')).toBeNull();
+        });
+
+        it('retries a failed load from the error state', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk.mockRejectedValueOnce(new Error('Audio fetch error')).mockResolvedValueOnce(mockAudioChunk);
+
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            const retryButton = element.shadowRoot.querySelector('.audio-retry-button');
+            expect(element.shadowRoot.querySelector('.audio-error-text').textContent).toBe('Failed to load audio file.');
+            expect(retryButton).not.toBeNull();
+
+            retryButton.click();
+            await flushPromises();
+
+            expect(getAudioChunk).toHaveBeenCalledTimes(2);
+            expect(element.shadowRoot.querySelector('.audio-error-section')).toBeNull();
+            expect(element.shadowRoot.querySelector('audio').src).toBe('blob:mock-url');
+        });
+
+        it('offers no retry when the codec is unsupported', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk.mockResolvedValue({ ...mockAudioChunk, contentType: 'application/octet-stream' });
+
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.audio-error-text').textContent).toContain('unrecognised audio format');
+            expect(element.shadowRoot.querySelector('.audio-retry-button')).toBeNull();
+        });
+    });
+
+    describe('audio formats', () => {
+        it('shows an unsupported codec message when the browser cannot play the format', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            // "OggS" page header followed by "OpusHead"
+            const opusHeader = 'OggS' + '\u0000'.repeat(24) + 'OpusHead';
+            window.HTMLMediaElement.prototype.canPlayType.mockImplementation((type) => (type.includes('opus') ? '' : 'maybe'));
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk.mockResolvedValue({ ...mockAudioChunk, base64Data: opusHeader, contentType: 'audio/mpeg' });
+
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            const errorText = element.shadowRoot.querySelector('.audio-error-text');
+            expect(errorText.textContent).toContain('Opus codec');
+            expect(URL.createObjectURL).not.toHaveBeenCalled();
+
+            window.HTMLMediaElement.prototype.canPlayType.mockImplementation(() => 'maybe');
+        });
+
+        it('names the format when the audio element reports an unsupported source', async () => {
+            const element = createElement('c-call-transcript-player', {
+                is: CallTranscriptPlayer
+            });
+            element.sessionId = 'session123';
+            document.body.appendChild(element);
+
+            getRedactedTranscript.mockResolvedValue(transcriptOf(mockTranscriptContent));
+            getAudioChunk.mockResolvedValue({ ...mockAudioChunk, contentType: 'audio/flac' });
+
+            element.documents = mockDocuments;
+            await flushPromises();
+
+            const audio = element.shadowRoot.querySelector('audio');
+            Object.defineProperty(audio, 'error', {
+                value: { code: MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED },
+                configurable: true
+            });
+            audio.dispatchEvent(new CustomEvent('error'));
+            await flushPromises();
+
+            const errorText = element.shadowRoot.querySelector('.audio-error-text');
+            expect(errorText.textContent).toContain('FLAC codec');
         });
     });
 
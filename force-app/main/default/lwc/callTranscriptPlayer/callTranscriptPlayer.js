@@ -1,19 +1,63 @@
 import { LightningElement, api, track } from 'lwc';
-import getTranscriptContent from '@salesforce/apex/VoicecallSessionController.getTranscriptContent';
-import parseTranscript from '@salesforce/apex/VoicecallSessionController.parseTranscript';
-import getAudioContent from '@salesforce/apex/VoicecallSessionController.getAudioContent';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getRedactedTranscript from '@salesforce/apex/VoicecallSessionController.getRedactedTranscript';
+import getAudioChunk from '@salesforce/apex/VoicecallSessionController.getAudioChunk';
+import prefetchAudioChunk from '@salesforce/apex/VoicecallSessionController.prefetchAudioChunk';
+import getRecordingPairingRules from '@salesforce/apex/VoicecallSessionController.getRecordingPairingRules';
+import getSpeakerRoles from '@salesforce/apex/VoicecallSessionController.getSpeakerRoles';
+import getAnnotations from '@salesforce/apex/VoicecallSessionController.getAnnotations';
+import createAnnotation from '@salesforce/apex/VoicecallSessionController.createAnnotation';
+import updateAnnotation from '@salesforce/apex/VoicecallSessionController.updateAnnotation';
+import deleteAnnotation from '@salesforce/apex/VoicecallSessionController.deleteAnnotation';
+import logCallAccess from '@salesforce/apex/VoicecallSessionController.logCallAccess';
+import logCachedFileAccess from '@salesforce/apex/VoicecallSessionController.logCachedFileAccess';
 import Logger from 'c/loggerService';
+import TranscriptParser from 'c/transcriptParser';
+import RecordingPairing from 'c/recordingPairing';
+import SpeakerRoles from 'c/speakerRoles';
+import AudioFormat from 'c/audioFormat';
+import AudioStreaming from 'c/audioStreaming';
+import AudioWaveform from 'c/audioWaveform';
+import TranscriptSearch from 'c/transcriptSearch';
+import CallDeepLink from 'c/callDeepLink';
+import TranscriptExport from 'c/transcriptExport';
+import CallAccessAudit from 'c/callAccessAudit';
+import RecordingCache from 'c/recordingCache';
+import CallSequence from 'c/callSequence';
 
 // Initialize component logger
 const log = Logger.create('CallTranscriptPlayer');
 
+// Speeds offered by the speed buttons, slowest first
+const PLAYBACK_SPEEDS = [0.5, 1, 1.5, 2];
+
+// Seconds moved by the skip buttons and arrow keys
+const SKIP_SECONDS = 10;
+
+// Seconds moved by Page Up / Page Down on the progress slider
+const PAGE_SECONDS = 60;
+
+// Seconds of audio muted ahead of a masked line at 1x, as timeupdate only fires every ~250 ms
+const REDACTION_MUTE_LEAD_SECONDS = 0.3;
+
+// Keyboard focus in these elements is for typing, not shortcuts
+const TEXT_ENTRY_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'LIGHTNING-INPUT', 'LIGHTNING-TEXTAREA'];
+
+// Space activates these elements, so it does not also toggle playback
+const BUTTON_TAGS = ['BUTTON', 'LIGHTNING-BUTTON', 'LIGHTNING-BUTTON-ICON'];
+
 export default class CallTranscriptPlayer extends LightningElement {
     @api sessionId;
     @api audioUrl;
     @api agentName;
+    @api callId;
+    @api callDate;
     
     _documents = [];
+    _documentsSet = false;
     _documentsProcessed = false;
+    _deferLoad = false;
+    _connected = false;
 
     @api
     get documents() {
@@ -21,11 +65,36 @@ export default class CallTranscriptPlayer extends LightningElement {
     }
     set documents(value) {
         this._documents = value || [];
-        // Process documents whenever they're set/updated
-        if (!this._documentsProcessed) {
-            this._documentsProcessed = true;
-            this.processDocuments();
-        }
+        this._documentsSet = true;
+        this.startLoading();
+    }
+
+    /**
+     * While true, the recordings, audio and transcript are not loaded, e.g. while
+     * the player's accordion section is collapsed. Loading starts the first time it
+     * is false; setting it again afterwards keeps what has loaded.
+     */
+    @api
+    get deferLoad() {
+        return this._deferLoad;
+    }
+    set deferLoad(value) {
+        this._deferLoad = !!value;
+        this.startLoading();
+    }
+
+    /**
+     * Play the call's recordings one after another ("play whole call") on a combined
+     * timeline, with the other recordings' transcripts around the current one. The
+     * recordings after the current one download in the background, so each starts
+     * as soon as the previous one ends.
+     */
+    @api
+    get wholeCall() {
+        return this.isWholeCall;
+    }
+    set wholeCall(value) {
+        this.setWholeCall(!!value);
     }
 
     @track recordings = [];
@@ -35,30 +104,337 @@ export default class CallTranscriptPlayer extends LightningElement {
     @track isLoadingTranscript = true;
     @track isLoadingRecordings = true;
     @track isLoadingAudio = false;
+    @track isDownloadingAudio = false;
     @track audioLoadError = null;
+    @track audioErrorRetryable = false;
+    @track audioBytesLoaded = 0;
+    @track audioBytesTotal = 0;
     @track currentTime = 0;
     @track duration = 0;
     @track isPlaying = false;
     @track playbackSpeed = 1;
     @track autoScroll = true;
     @track currentEntryIndex = -1;
+    @track transcriptHeader = null;
+    @track speakerStyles = new Map();
+    @track showCallDetails = false;
+    @track searchQuery = '';
+    @track searchMatches = [];
+    @track currentMatchIndex = -1;
+    @track waveformPeaks = [];
+    @track isScrubbing = false;
+    @track scrubTime = 0;
+    @track hoverTime = null;
+    @track annotations = [];
+    @track commentDraft = null;
+    @track isSavingComment = false;
+    @track commentError = null;
+    @track showComments = false;
+    @track isTranscriptRedacted = false;
+    @track isMutedForRedaction = false;
+    @track isWholeCall = false;
+    @track recordingDurations = {};
+    @track callTranscripts = {};
 
     audioElement;
+    audioContentType = null;
+    audioRequestId = 0;
     recordingStartTime;
+    pendingEntry = null;
+    pendingMoment = null;
+    pendingSeekTime = null;
+    pendingPlayFromStart = false;
+    playWhenReady = false;
+    pairingRules = [];
+    muteRanges = [];
+    speakerRoles = [];
+
+    // Whether the audio was muted before a masked range muted it, restored after the range
+    mutedBeforeRedaction = false;
     
     // Map to store blob URLs for cleanup
     audioBlobUrls = new Map();
 
+    // Waveform peaks by document, computed once per recording
+    waveformCache = new Map();
+
+    // Background downloads of recordings that are not playing yet, by document
+    audioPrefetches = new Map();
+
+    // Recordings downloaded ahead of playback from the recording cache, by document;
+    // logged to the Call Access Log when they are loaded for playback
+    unloggedAudio = new Set();
+
+    // Parsed transcripts by recording, so moving through the whole call parses each once
+    parsedTranscripts = new Map();
+
+    connectedCallback() {
+        this._connected = true;
+        this.startLoading();
+    }
+
+    /**
+     * Process the documents once they are set, unless loading is deferred
+     */
+    startLoading() {
+        if (this._documentsProcessed || !this._documentsSet || this._deferLoad || !this._connected) {
+            return;
+        }
+        this._documentsProcessed = true;
+        Promise.all([this.loadPairingRules(), this.loadSpeakerRoles()]).then(() => this.processDocuments());
+    }
+
     renderedCallback() {
         if (!this.audioElement) {
             this.audioElement = this.template.querySelector('audio');
         }
     }
 
+    /**
+     * Select a recording and seek to one of its transcript lines, e.g. from a
+     * record-level search result. Applied once the recordings and transcript load.
+     * @param {string} recordingId - The audio ContentDocument Id
+     * @param {number} entryIndex - The transcript entry's entryIndex
+     * @param {string} query - Search text to highlight in the transcript
+     */
+    @api
+    showEntry(recordingId, entryIndex, query) {
+        this.pendingEntry = { recordingId, entryIndex, query: query || '' };
+        if (this.isLoadingRecordings) {
+            return;
+        }
+
+        if (!this.recordings.some(rec => rec.id === recordingId)) {
+            log.warn('Recording not found for transcript line', { recordingId });
+            this.pendingEntry = null;
+        } else if (recordingId !== this.selectedRecordingId) {
+            this.selectRecording(recordingId);
+        } else if (!this.isLoadingTranscript) {
+            this.applyPendingEntry();
+        }
+    }
+
+    /**
+     * Select a recording and seek to a time, e.g. from a deep link.
+     * Applied once the recordings load.
+     * @param {string} recordingId - The audio ContentDocument Id, or null for the current recording
+     * @param {number} seconds - Seconds from the start of the recording
+     */
+    @api
+    showMoment(recordingId, seconds) {
+        if (this.isLoadingRecordings) {
+            this.pendingMoment = { recordingId, seconds };
+            return;
+        }
+        this.applyMoment(recordingId, seconds);
+    }
+
+    /**
+     * Play the whole call from its first recording, e.g. when the previous call on
+     * the Case has ended. Applied once the recordings load; a call without
+     * recordings ends straight away.
+     */
+    @api
+    playFromStart() {
+        this.setWholeCall(true);
+        if (this.isLoadingRecordings) {
+            this.pendingPlayFromStart = true;
+            return;
+        }
+        this.startWholeCall();
+    }
+
+    startWholeCall() {
+        this.pendingPlayFromStart = false;
+        if (this.recordings.length === 0) {
+            this.dispatchCallEnded();
+            return;
+        }
+
+        const firstId = this.recordings[0].id;
+        if (firstId !== this.selectedRecordingId) {
+            this.selectRecording(firstId, { autoplay: true });
+        } else {
+            this.seekTo(0);
+            this.playWhenLoaded();
+        }
+    }
+
+    /**
+     * Turn "play whole call" on or off. Turning it on downloads the rest of the call.
+     */
+    setWholeCall(isWholeCall) {
+        if (isWholeCall === this.isWholeCall) {
+            return;
+        }
+        this.isWholeCall = isWholeCall;
+        this.prepareWholeCall();
+    }
+
+    /**
+     * Load the transcripts of the call's other recordings and download the
+     * recordings in play order, so the timeline and transcript cover the whole call
+     */
+    prepareWholeCall() {
+        if (!this.isWholeCall || this.isLoadingRecordings || this.recordings.length < 2) {
+            return;
+        }
+        this.recordings
+            .filter(rec => rec.transcriptDoc && rec.id !== this.selectedRecordingId && !this.callTranscripts[rec.id])
+            .forEach(rec => this.loadCallTranscript(rec));
+        this.prefetchRecordings();
+    }
+
+    async prefetchRecordings() {
+        for (const rec of this.recordings) {
+            if (!this.isWholeCall || !this._connected) {
+                return;
+            }
+            if (rec.id !== this.selectedRecordingId) {
+                // One recording at a time, in the order they play
+                // eslint-disable-next-line no-await-in-loop
+                await this.prefetchRecording(rec);
+            }
+        }
+    }
+
+    /**
+     * Download a recording that is not playing yet; selecting it meanwhile waits
+     * for this download instead of starting another. prefetchAudioChunk logs a
+     * download from Apex; a copy from the recording cache is not logged until the
+     * recording is loaded for playback (see logPrefetchedRecording).
+     * @param {Object} recording - One of this.recordings
+     * @returns {Promise} Resolves once the recording can play, or could not be downloaded
+     */
+    prefetchRecording(recording) {
+        if (this.audioBlobUrls.has(recording.id)) {
+            return Promise.resolve();
+        }
+        let prefetch = this.audioPrefetches.get(recording.id);
+        if (!prefetch) {
+            prefetch = this.downloadRecording(recording)
+                .then(download => {
+                    if (!download || !this._connected || this.audioBlobUrls.has(recording.id)) {
+                        return;
+                    }
+                    const { blob, source } = download;
+                    const blobUrl = URL.createObjectURL(blob);
+                    this.audioBlobUrls.set(recording.id, blobUrl);
+                    if (source === 'cached') {
+                        this.unloggedAudio.add(recording.id);
+                    }
+                    this.loadWaveform(recording.id, blob);
+                    CallSequence.measureDuration(blobUrl).then(seconds => {
+                        if (seconds) {
+                            this.setRecordingDuration(recording.id, seconds);
+                        }
+                    });
+                })
+                .catch(err => log.warn('Failed to download the next recording', err))
+                .finally(() => this.audioPrefetches.delete(recording.id));
+            this.audioPrefetches.set(recording.id, prefetch);
+        }
+        return prefetch;
+    }
+
+    /**
+     * Download a whole recording without playing it. Reads from Apex are logged
+     * by prefetchAudioChunk, with the Prefetched detail; reads from the recording
+     * cache are not logged here
+     * @param {Object} recording - One of this.recordings
+     * @returns {Promise<{blob: Blob, source: string}|null>} The recording and whether it came
+     *          from the recording cache ('cached') or Apex ('prefetched'), or null when it is
+     *          empty or cannot play here
+     */
+    async downloadRecording(recording) {
+        let cached = null;
+        if (recording.versionId) {
+            cached = await RecordingCache.get(recording.versionId).catch(() => null);
+        }
+        if (cached) {
+            return { blob: cached, source: 'cached' };
+        }
+
+        let contentType = null;
+        let isSupported = true;
+        let isCacheable = false;
+        const parts = await AudioStreaming.fetchChunks(
+            (offset, chunkSize) => prefetchAudioChunk({ documentId: recording.id, offset, chunkSize }),
+            (bytes, chunk) => {
+                if (!contentType) {
+                    contentType = AudioFormat.detectContentType(bytes) || chunk.contentType;
+                    isSupported = AudioFormat.canPlay(this.audioElement, contentType);
+                    isCacheable = !chunk.isRedactionRequired;
+                }
+                return isSupported && this._connected;
+            }
+        );
+        if (parts.length === 0 || !isSupported || !this._connected) {
+            return null;
+        }
+
+        const blob = new Blob(parts, { type: contentType });
+        if (isCacheable) {
+            this.writeCache(recording.versionId, blob);
+        }
+        return { blob, source: 'prefetched' };
+    }
+
+    /**
+     * Log a recording read from the recording cache ahead of playback, now that it
+     * is loaded for playback. When the read cannot be logged (e.g. the user has lost
+     * access to the file), or the user's transcripts are now masked, the copy is
+     * dropped and the recording is fetched as usual.
+     * @param {string} documentId - The audio ContentDocument Id
+     * @returns {Promise<boolean>} False when the copy was dropped
+     */
+    async logPrefetchedRecording(documentId) {
+        if (!this.unloggedAudio.has(documentId)) {
+            return true;
+        }
+        this.unloggedAudio.delete(documentId);
+        let redactionRequired = true;
+        try {
+            redactionRequired = await logCachedFileAccess({ documentId, action: 'Audio_Accessed' });
+        } catch (err) {
+            log.warn('Could not log the cached recording, fetching it again', err);
+        }
+        if (!redactionRequired) {
+            return true;
+        }
+        URL.revokeObjectURL(this.audioBlobUrls.get(documentId));
+        this.audioBlobUrls.delete(documentId);
+        const recording = this.recordings.find(rec => rec.id === documentId);
+        if (recording) {
+            this.removeFromCache(recording.versionId);
+        }
+        return false;
+    }
+
+    /**
+     * Switch to a recording if needed and seek, deferring the seek until the audio loads
+     */
+    applyMoment(recordingId, seconds) {
+        if (recordingId && recordingId !== this.selectedRecordingId) {
+            if (this.recordings.some(rec => rec.id === recordingId)) {
+                this.selectRecording(recordingId);
+            } else {
+                log.warn('Recording not found for link', { recordingId });
+            }
+        }
+
+        if (this.duration) {
+            this.seekTo(seconds);
+        } else {
+            this.pendingSeekTime = seconds;
+        }
+    }
+
     /**
      * Cleanup blob URLs when component is destroyed to prevent memory leaks
      */
     disconnectedCallback() {
+        this._connected = false;
         this.cleanupBlobUrls();
     }
 
@@ -74,6 +450,33 @@ export default class CallTranscriptPlayer extends LightningElement {
             }
         });
         this.audioBlobUrls.clear();
+        this.unloggedAudio.clear();
+    }
+
+    /**
+     * Load the recording pairing rules, falling back to the built-in defaults
+     */
+    async loadPairingRules() {
+        try {
+            const rules = await getRecordingPairingRules();
+            this.pairingRules = RecordingPairing.normalizeRules(rules);
+        } catch (err) {
+            log.warn('Failed to load recording pairing rules, using defaults', err);
+            this.pairingRules = RecordingPairing.normalizeRules([]);
+        }
+    }
+
+    /**
+     * Load the speaker roles, falling back to the built-in defaults
+     */
+    async loadSpeakerRoles() {
+        try {
+            const roles = await getSpeakerRoles();
+            this.speakerRoles = SpeakerRoles.normalizeRoles(roles);
+        } catch (err) {
+            log.warn('Failed to load speaker roles, using defaults', err);
+            this.speakerRoles = SpeakerRoles.normalizeRoles([]);
+        }
     }
 
     /**
@@ -88,6 +491,9 @@ export default class CallTranscriptPlayer extends LightningElement {
             this.isLoadingRecordings = false;
             this.isLoadingTranscript = false;
             log.groupEnd();
+            if (this.pendingPlayFromStart) {
+                this.startWholeCall();
+            }
             return;
         }
 
@@ -95,70 +501,23 @@ export default class CallTranscriptPlayer extends LightningElement {
         const allDocs = [...this._documents];
         log.debug('Documents received', { count: allDocs.length, documents: allDocs });
         
-        // Separate audio files
-        const audioFiles = allDocs.filter(doc => {
-            const ft = (doc.fileType || '').toUpperCase();
-            return ft === 'MP3' || ft === 'WAV' || ft === 'M4A';
-        });
-        
-        // Find specific transcripts by looking for va_ and rt_ prefixes
-        let vaTranscript = null;
-        let rtTranscript = null;
-        
-        for (const doc of allDocs) {
-            const title = (doc.title || '').toLowerCase();
-            if (title.startsWith('va_') || title.includes('va_transcript')) {
-                vaTranscript = doc;
-            } else if (title.startsWith('rt_') || title.includes('rt_transcript')) {
-                rtTranscript = doc;
-            }
-        }
-
-        // Build recordings array with matched transcripts
-        this.recordings = audioFiles.map((audio) => {
-            const audioTitle = (audio.title || '').toLowerCase();
-            
-            // Determine recording type and matching transcript based on filename pattern
-            let type = 'call';
-            let label = 'Recording';
-            let icon = '🎙️';
-            let matchedTranscript = null;
-            
-            if (audioTitle.includes('_2')) {
-                // Agent/Real-time recording -> matches rt_transcript
-                type = 'agent';
-                label = 'Agent Call';
-                icon = '👤';
-                matchedTranscript = rtTranscript;
-            } else {
-                // Primary recording -> matches va_transcript
-                matchedTranscript = vaTranscript;
-                if (matchedTranscript) {
-                    type = 'virtual_agent';
-                    label = 'Virtual Agent';
-                    icon = '🤖';
-                }
-            }
-            
-            return {
-                id: audio.documentId,
-                audioUrl: audio.downloadUrl,
-                audioTitle: audio.title,
-                type: type,
-                label: label,
-                icon: icon,
-                transcriptDoc: matchedTranscript,
-                durationDisplay: '--:--',
-                isActive: false,
-                pillClass: 'recording-pill'
-            };
-        });
-
-        // Sort: Virtual Agent first, then Agent, then generic
-        this.recordings.sort((a, b) => {
-            const order = { 'virtual_agent': 0, 'agent': 1, 'call': 2 };
-            return order[a.type] - order[b.type];
-        });
+        // Pair audio files with transcripts using the recording pairing rules
+        this.recordings = RecordingPairing.pairRecordings(allDocs, this.pairingRules).map((paired) => ({
+            id: paired.audio.documentId,
+            audioUrl: paired.audio.downloadUrl,
+            versionId: paired.audio.latestVersionId || null,
+            audioTitle: paired.audio.title,
+            contentType: paired.audio.contentType || null,
+            contentSize: paired.audio.contentSize || 0,
+            type: paired.type,
+            label: paired.label,
+            icon: paired.icon,
+            transcriptDoc: paired.transcriptDoc,
+            recordingStartTime: paired.audio.recordingStartTime || null,
+            durationDisplay: '--:--',
+            isActive: false,
+            pillClass: 'recording-pill'
+        }));
 
         // Update labels with recording numbers if multiple
         if (this.recordings.length > 1) {
@@ -178,22 +537,38 @@ export default class CallTranscriptPlayer extends LightningElement {
             hasTranscript: !!r.transcriptDoc
         })));
 
-        // Select first recording by default
+        // Select the recording showEntry or showMoment asked for, else the first one
+        const pending = this.pendingEntry || this.pendingMoment;
+        const requested = pending && this.recordings.find(r => r.id === pending.recordingId);
         if (this.recordings.length > 0) {
-            log.info('Auto-selecting first recording', { id: this.recordings[0].id });
-            this.selectRecording(this.recordings[0].id);
+            const initialRecording = requested || this.recordings[0];
+            log.info('Auto-selecting recording', { id: initialRecording.id });
+            this.selectRecording(initialRecording.id);
+
+            if (this.pendingMoment) {
+                const { recordingId, seconds } = this.pendingMoment;
+                this.pendingMoment = null;
+                this.applyMoment(recordingId, seconds);
+            }
         } else {
             log.warn('No audio recordings found in documents');
             this.isLoadingTranscript = false;
         }
         
         log.groupEnd();
+
+        if (this.pendingPlayFromStart) {
+            this.startWholeCall();
+        }
+        this.prepareWholeCall();
     }
 
     /**
      * Select a recording to play
+     * @param {string} recordingId - The audio ContentDocument Id
+     * @param {Object} options - autoplay: start playing once the audio has loaded
      */
-    selectRecording(recordingId) {
+    selectRecording(recordingId, { autoplay = false } = {}) {
         // Stop current playback
         if (this.audioElement && this.isPlaying) {
             this.audioElement.pause();
@@ -205,7 +580,22 @@ export default class CallTranscriptPlayer extends LightningElement {
         this.duration = 0;
         this.currentEntryIndex = -1;
         this.transcriptEntries = [];
+        this.transcriptHeader = null;
+        this.speakerStyles = new Map();
+        this.isTranscriptRedacted = false;
+        this.setMuteRanges([]);
+        this.searchMatches = [];
+        this.currentMatchIndex = -1;
         this.audioLoadError = null;
+        this.audioContentType = null;
+        this.pendingSeekTime = null;
+        this.playWhenReady = autoplay;
+        this.waveformPeaks = [];
+        this.isScrubbing = false;
+        this.hoverTime = null;
+        this.annotations = [];
+        this.commentDraft = null;
+        this.commentError = null;
         
         // Update pill classes
         this.recordings = this.recordings.map(rec => ({
@@ -216,8 +606,11 @@ export default class CallTranscriptPlayer extends LightningElement {
 
         // Load transcript for selected recording
         const selectedRec = this.recordings.find(r => r.id === recordingId);
+        if (selectedRec) {
+            this.audioContentType = selectedRec.contentType;
+        }
         if (selectedRec && selectedRec.transcriptDoc) {
-            this.loadTranscript(selectedRec.transcriptDoc.documentId);
+            this.loadTranscript(selectedRec);
         } else {
             this.isLoadingTranscript = false;
         }
@@ -225,6 +618,7 @@ export default class CallTranscriptPlayer extends LightningElement {
         // Load audio via Apex to ensure Platform license users can access it
         if (selectedRec) {
             this.loadAudioViaApex(selectedRec.id);
+            this.loadAnnotations(selectedRec.id);
         }
     }
 
@@ -232,65 +626,176 @@ export default class CallTranscriptPlayer extends LightningElement {
      * Load audio content via Apex and create a blob URL
      * This method ensures Platform license users can access audio files
      * by fetching content through Apex instead of direct servlet access.
+     * The file arrives in chunks; MP3 and AAC start playing from the first chunk.
+     * A copy kept by c/recordingCache on an earlier visit is played instead, and
+     * a downloaded file is cached for the next visit.
+     * Each load gets a request id: when another recording is selected mid-load,
+     * the remaining chunks are not requested and the stale result is discarded.
      */
     async loadAudioViaApex(documentId) {
+        const requestId = ++this.audioRequestId;
+        const isCurrent = () => requestId === this.audioRequestId;
+
         this.isLoadingAudio = true;
+        this.isDownloadingAudio = false;
         this.audioLoadError = null;
+        this.audioErrorRetryable = false;
+        this.audioBytesLoaded = 0;
+        this.audioBytesTotal = 0;
         
         log.group('Loading Audio via Apex');
         log.time('audioLoad');
-        log.debug('Fetching audio content', { documentId });
+        log.debug('Fetching audio content', { documentId, requestId });
 
+        let stream = null;
         try {
+            // The recording may already be downloading for the whole call
+            const prefetch = this.audioPrefetches.get(documentId);
+            if (prefetch) {
+                await prefetch;
+                if (!isCurrent()) {
+                    return;
+                }
+            }
+
             // Check if we already have a blob URL cached for this document
-            if (this.audioBlobUrls.has(documentId)) {
+            if (this.audioBlobUrls.has(documentId) && await this.logPrefetchedRecording(documentId)) {
+                if (!isCurrent()) {
+                    return;
+                }
                 const cachedUrl = this.audioBlobUrls.get(documentId);
                 log.debug('Using cached blob URL', { documentId });
                 this.setAudioSource(cachedUrl);
-                this.isLoadingAudio = false;
-                log.timeEnd('audioLoad');
-                log.groupEnd();
+                this.waveformPeaks = this.waveformCache.get(documentId) || [];
                 return;
             }
 
-            // Fetch audio content as base64 from Apex
-            const audioData = await getAudioContent({ documentId });
-            
-            if (audioData && audioData.base64Data) {
-                log.debug('Audio content received', { 
-                    contentType: audioData.contentType, 
-                    fileSize: audioData.fileSize,
-                    fileName: audioData.fileName
-                });
+            const selectedRec = this.recordings.find(r => r.id === documentId);
+            const versionId = selectedRec && selectedRec.versionId;
+
+            // Play the copy cached on an earlier visit, unless the user's transcripts
+            // are masked now: their recordings are not kept on disk
+            const cached = await this.readCache(versionId, documentId, 'Audio_Accessed');
+            if (!isCurrent()) {
+                return;
+            }
+            if (cached && cached.redactionRequired) {
+                this.removeFromCache(versionId);
+            } else if (cached) {
+                const blobUrl = URL.createObjectURL(cached.value);
+                this.audioBlobUrls.set(documentId, blobUrl);
+                this.audioContentType = cached.value.type || this.audioContentType;
+                this.setAudioSource(blobUrl);
+                this.loadWaveform(documentId, cached.value);
+                log.success('Audio served from the recording cache', { documentId, versionId });
+                return;
+            }
+
+            this.audioBytesTotal = (selectedRec && selectedRec.contentSize) || 0;
+            this.isDownloadingAudio = true;
+
+            // Fetch the audio in chunks so long recordings stay within Apex response limits
+            let contentType = null;
+            let isSupported = true;
+            let isCacheable = false;
+            const parts = await AudioStreaming.fetchChunks(
+                (offset, chunkSize) => getAudioChunk({ documentId, offset, chunkSize }),
+                async (bytes, chunk) => {
+                    if (!isCurrent()) {
+                        // Superseded by another selection: stop requesting chunks
+                        return false;
+                    }
+                    this.audioBytesLoaded += bytes.length;
+                    this.audioBytesTotal = chunk.fileSize || this.audioBytesTotal;
+
+                    if (!contentType) {
+                        // Prefer the format in the file header over the server's guess
+                        contentType = AudioFormat.detectContentType(bytes) || chunk.contentType;
+                        this.audioContentType = contentType;
+                        isCacheable = !chunk.isRedactionRequired;
+                        log.debug('Audio content received', { 
+                            contentType, 
+                            fileSize: chunk.fileSize,
+                            fileName: chunk.fileName,
+                            isLastChunk: chunk.isLastChunk
+                        });
+
+                        isSupported = AudioFormat.canPlay(this.audioElement, contentType);
+                        if (!isSupported) {
+                            return false;
+                        }
+
+                        // Start playback from the first chunk when the format can be streamed
+                        if (this.audioElement && !chunk.isLastChunk && AudioStreaming.supportsMediaSource(contentType)) {
+                            stream = AudioStreaming.openMediaSource(contentType);
+                            this.setAudioSource(stream.url);
+                        }
+                    }
+
+                    if (stream) {
+                        try {
+                            await stream.append(bytes);
+                            this.isLoadingAudio = false;
+                        } catch (streamError) {
+                            log.warn('Streaming failed, playing once the download completes', streamError);
+                            stream = null;
+                        }
+                    }
+                    return true;
+                }
+            );
 
-                // Convert base64 to blob
-                const binaryString = atob(audioData.base64Data);
-                const bytes = new Uint8Array(binaryString.length);
-                for (let i = 0; i < binaryString.length; i++) {
-                    bytes[i] = binaryString.charCodeAt(i);
+            if (!isCurrent()) {
+                log.debug('Discarding superseded audio load', { documentId, requestId });
+                if (stream) {
+                    stream.cancel();
                 }
-                const blob = new Blob([bytes], { type: audioData.contentType });
+                return;
+            }
+
+            if (parts.length === 0) {
+                log.warn('Audio content is empty');
+                this.audioLoadError = 'Audio file is empty or unavailable';
+                this.audioErrorRetryable = true;
+            } else if (!isSupported) {
+                log.warn('Browser cannot play audio format', { contentType });
+                this.audioLoadError = AudioFormat.getUnsupportedMessage(contentType);
+            } else {
+                const blob = new Blob(parts, { type: contentType });
 
-                // Create blob URL
+                // Create blob URL and cache it for reuse
                 const blobUrl = URL.createObjectURL(blob);
-                
-                // Cache the blob URL for reuse
                 this.audioBlobUrls.set(documentId, blobUrl);
+                this.loadWaveform(documentId, blob);
+                if (isCacheable) {
+                    this.writeCache(versionId, blob);
+                }
 
-                // Set audio source
-                this.setAudioSource(blobUrl);
+                if (stream) {
+                    // Already playing from the stream; the blob serves later selections
+                    await stream.end();
+                } else {
+                    this.setAudioSource(blobUrl);
+                }
                 
                 log.success('Audio blob URL created', { 
                     blobUrl: blobUrl.substring(0, 50) + '...',
-                    contentType: audioData.contentType
+                    contentType,
+                    chunks: parts.length,
+                    streamed: !!stream
                 });
-            } else {
-                log.warn('Audio content is empty');
-                this.audioLoadError = 'Audio file is empty or unavailable';
             }
         } catch (err) {
+            if (!isCurrent()) {
+                log.debug('Ignoring error from superseded audio load', { documentId, requestId });
+                return;
+            }
             log.error('Failed to load audio via Apex', err);
-            this.audioLoadError = 'Failed to load audio file. Please try again.';
+            this.audioLoadError = 'Failed to load audio file.';
+            this.audioErrorRetryable = true;
+            if (stream) {
+                stream.cancel();
+            }
             
             // Fallback: try direct URL as last resort (for users with direct access)
             const selectedRec = this.recordings.find(r => r.id === documentId);
@@ -299,12 +804,91 @@ export default class CallTranscriptPlayer extends LightningElement {
                 this.setAudioSource(selectedRec.audioUrl);
             }
         } finally {
-            this.isLoadingAudio = false;
+            if (isCurrent()) {
+                this.isLoadingAudio = false;
+                this.isDownloadingAudio = false;
+            }
             log.timeEnd('audioLoad');
             log.groupEnd();
         }
     }
 
+    /**
+     * Read a file cached by c/recordingCache on an earlier visit, logging the read
+     * to the Call Access Log. A cache that cannot be read, or a read that cannot be
+     * logged (e.g. the user has lost access to the file), is a miss: the entry is
+     * dropped and the file is fetched as usual.
+     * @param {string} versionId - The file's ContentVersion Id
+     * @param {string} documentId - The ContentDocument Id
+     * @param {string} action - Audio_Accessed or Transcript_Accessed
+     * @returns {Promise<{value: *, redactionRequired: boolean}|null>} The cached value
+     *          and whether transcripts are masked for the user, or null on a miss
+     */
+    async readCache(versionId, documentId, action) {
+        if (!versionId) {
+            return null;
+        }
+        try {
+            const value = await RecordingCache.get(versionId);
+            if (!value) {
+                return null;
+            }
+            const redactionRequired = await logCachedFileAccess({ documentId, action });
+            return { value, redactionRequired: !!redactionRequired };
+        } catch (err) {
+            log.warn('Cached copy unavailable, fetching the file', err);
+            this.removeFromCache(versionId);
+            return null;
+        }
+    }
+
+    /**
+     * Cache a downloaded file for later visits; the player never waits for it
+     * @param {string} versionId - The file's ContentVersion Id
+     * @param {*} value - The audio Blob or the parsed transcript
+     */
+    writeCache(versionId, value) {
+        if (!versionId) {
+            return;
+        }
+        RecordingCache.put(versionId, value).catch(err => log.warn('Could not cache the file', err));
+    }
+
+    removeFromCache(versionId) {
+        RecordingCache.remove(versionId).catch(err => log.warn('Could not remove the cached file', err));
+    }
+
+    /**
+     * Compute the waveform for a recording in the background. Playback never
+     * waits for it, and a recording that cannot be decoded simply has no waveform.
+     * @param {string} documentId - The audio ContentDocument Id
+     * @param {Blob} blob - The downloaded recording
+     */
+    async loadWaveform(documentId, blob) {
+        try {
+            const peaks = await AudioWaveform.fromBlob(blob);
+            if (!peaks) {
+                return;
+            }
+            this.waveformCache.set(documentId, peaks);
+            if (documentId === this.selectedRecordingId) {
+                this.waveformPeaks = peaks;
+            }
+        } catch (err) {
+            log.warn('Waveform unavailable', err);
+        }
+    }
+
+    /**
+     * Retry loading the selected recording after a failed load
+     */
+    handleRetryAudio() {
+        if (this.selectedRecordingId) {
+            log.info('Retrying audio load', { documentId: this.selectedRecordingId });
+            this.loadAudioViaApex(this.selectedRecordingId);
+        }
+    }
+
     /**
      * Set the audio element source and load
      */
@@ -324,33 +908,53 @@ export default class CallTranscriptPlayer extends LightningElement {
     }
 
     /**
-     * Load and parse transcript from Salesforce
+     * Load the selected recording's transcript from Salesforce and parse it in the browser
+     * @param {Object} recording - One of this.recordings, with a transcriptDoc
      */
-    async loadTranscript(documentId) {
+    async loadTranscript(recording) {
+        const { documentId } = recording.transcriptDoc;
         this.isLoadingTranscript = true;
         log.group('Loading Transcript');
         log.time('transcriptLoad');
         log.debug('Fetching transcript', { documentId });
         
         try {
-            const content = await getTranscriptContent({ documentId });
+            const parsed = await this.getTranscript(recording);
+
+            if (parsed) {
+                this.storeCallTranscript(recording.id, parsed);
+
+                this.isTranscriptRedacted = parsed.isRedacted;
+                const redactedEntries = new Set(parsed.redactedEntryIndexes);
+                this.recordingStartTime = parsed.recordingStartTime;
+                this.transcriptHeader = parsed.header;
+                if (this.callIdMismatch) {
+                    log.warn('Transcript Call ID does not match the session', {
+                        transcriptCallId: this.transcriptHeader.callId,
+                        sessionCallId: this.callId
+                    });
+                }
 
-            if (content) {
-                log.debug('Transcript content received', { length: content.length });
-                this.recordingStartTime = this.extractStartTime(content);
-                log.debug('Extracted start time', { startTime: this.recordingStartTime });
-                
-                const entries = await parseTranscript({ 
-                    transcriptContent: content,
-                    recordingStartTime: this.recordingStartTime
+                const entries = parsed.entries;
+                this.speakerStyles = SpeakerRoles.assignSpeakers(entries.map(entry => entry.speaker), this.speakerRoles);
+
+                this.transcriptEntries = entries.map(entry => {
+                    const speakerStyle = this.speakerStyles.get(entry.speaker);
+                    return {
+                        ...entry,
+                        displayTime: this.formatTimeFromSeconds(entry.seconds),
+                        entryClass: this.getEntryClass(entry.entryIndex, false),
+                        ariaCurrent: 'false',
+                        tabIndex: entry.entryIndex === entries[0].entryIndex ? '0' : '-1',
+                        speakerClass: speakerStyle.cssClass,
+                        speakerStyle: `color: ${speakerStyle.color}`,
+                        speakerIcon: speakerStyle.icon,
+                        isRedacted: redactedEntries.has(entry.entryIndex)
+                    };
                 });
-
-                this.transcriptEntries = entries.map(entry => ({
-                    ...entry,
-                    displayTime: this.formatTimeFromSeconds(entry.seconds),
-                    entryClass: this.getEntryClass(entry.entryIndex, false),
-                    speakerClass: this.getSpeakerClass(entry.speaker)
-                }));
+                this.setMuteRanges(this.transcriptEntries);
+                this.applySearch();
+                this.attachAnnotations();
 
                 log.success('Transcript parsed', { entryCount: this.transcriptEntries.length });
             } else {
@@ -363,50 +967,448 @@ export default class CallTranscriptPlayer extends LightningElement {
             log.timeEnd('transcriptLoad');
             log.groupEnd();
             this.isLoadingTranscript = false;
+            // Wait for the entries to render so the line can be scrolled into view
+            Promise.resolve().then(() => this.applyPendingEntry());
         }
     }
 
     /**
-     * Extract start time from transcript content
+     * Get a recording's parsed transcript: the one parsed earlier on this page, or
+     * from the recording cache when it was cached on an earlier visit
+     * @param {Object} recording - One of this.recordings, with a transcriptDoc
+     * @returns {Promise<Object|null>} The parsed transcript, or null when the file is empty.
+     *          A cached one is used while it is masked as the user's transcripts are now
+     *          and the recording's start time is unchanged.
      */
-    extractStartTime(content) {
-        const match = content.match(/\[(\d{2}:\d{2}:\d{2})/);
-        return match ? match[1] : '00:00:00';
+    async getTranscript(recording) {
+        if (this.parsedTranscripts.has(recording.id)) {
+            return this.parsedTranscripts.get(recording.id);
+        }
+        const { documentId, latestVersionId: versionId } = recording.transcriptDoc;
+        const metadataStartTime = recording.recordingStartTime;
+
+        const cached = await this.readCache(versionId, documentId, 'Transcript_Accessed');
+        if (cached
+            && cached.value.isRedacted === cached.redactionRequired
+            && cached.value.metadataStartTime === (metadataStartTime || null)) {
+            log.debug('Transcript served from the recording cache', { documentId, versionId });
+            return cached.value;
+        }
+        if (cached) {
+            // Masked differently, or timed from another start time
+            this.removeFromCache(versionId);
+        }
+
+        const parsed = await this.fetchTranscript(documentId, metadataStartTime);
+        if (parsed) {
+            this.writeCache(versionId, parsed);
+        }
+        return parsed;
     }
 
     /**
-     * Format seconds to MM:SS display
+     * Load the transcript of a recording that is not selected, shown around the
+     * current transcript while the whole call plays
+     * @param {Object} recording - One of this.recordings, with a transcriptDoc
      */
-    formatTimeFromSeconds(totalSeconds) {
-        if (totalSeconds === null || totalSeconds === undefined || totalSeconds < 0) return '0:00';
-        const mins = Math.floor(totalSeconds / 60);
-        const secs = Math.floor(totalSeconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    async loadCallTranscript(recording) {
+        try {
+            const parsed = await this.getTranscript(recording);
+            if (parsed) {
+                this.storeCallTranscript(recording.id, parsed);
+            }
+        } catch (err) {
+            log.warn('Failed to load the transcript of another recording', err);
+        }
     }
 
     /**
-     * Get CSS class for transcript entry based on active state
+     * Keep a recording's transcript lines for the whole call transcript
+     * @param {string} recordingId - The audio ContentDocument Id
+     * @param {Object} parsed - From getTranscript
      */
-    getEntryClass(index, isActive) {
-        let baseClass = 'transcript-entry';
-        if (isActive) {
-            baseClass += ' active-entry';
-        }
-        return baseClass;
+    storeCallTranscript(recordingId, parsed) {
+        this.parsedTranscripts.set(recordingId, parsed);
+        const speakerStyles = SpeakerRoles.assignSpeakers(parsed.entries.map(entry => entry.speaker), this.speakerRoles);
+        const entries = parsed.entries.map(entry => ({
+            key: `${recordingId}-${entry.entryIndex}`,
+            entryIndex: entry.entryIndex,
+            displayTime: this.formatTimeFromSeconds(entry.seconds),
+            speaker: entry.speaker,
+            speakerStyle: `color: ${speakerStyles.get(entry.speaker).color}`,
+            text: entry.text
+        }));
+        this.callTranscripts = { ...this.callTranscripts, [recordingId]: entries };
     }
 
     /**
-     * Get speaker-specific CSS class
+     * Fetch a transcript, masked for the running user, and parse it. Custom formats
+     * arrive parsed by Apex and are only aligned to the recording here.
+     * @param {string} documentId - The transcript ContentDocument Id
+     * @param {string} metadataStartTime - Recording start time from the session record, if configured
+     * @returns {Promise<Object|null>} The parsed transcript, or null when the file is empty
      */
-    getSpeakerClass(speaker) {
-        const speakerLower = (speaker || '').toLowerCase();
-        if (speakerLower.includes('virtual agent') || speakerLower.includes('bot')) {
-            return 'entry-speaker speaker-bot';
+    async fetchTranscript(documentId, metadataStartTime) {
+        const transcript = await getRedactedTranscript({ documentId });
+        const content = transcript && transcript.content;
+        if (!content) {
+            return null;
         }
-        if (speakerLower.includes('customer') || speakerLower.includes('caller')) {
-            return 'entry-speaker speaker-customer';
-        }
-        return 'entry-speaker speaker-agent';
+
+        log.debug('Transcript content received', { length: content.length });
+        const recordingStartTime = this.resolveStartTime(content, metadataStartTime);
+        log.debug('Resolved start time', {
+            startTime: recordingStartTime,
+            format: transcript.entries ? 'Custom' : TranscriptParser.detectFormat(content)
+        });
+
+        const entries = transcript.entries
+            ? TranscriptParser.align(transcript.entries, transcript.usesClockTime, recordingStartTime)
+            : TranscriptParser.parse(content, recordingStartTime);
+        return {
+            header: TranscriptParser.parseHeader(content),
+            entries,
+            recordingStartTime,
+            metadataStartTime: metadataStartTime || null,
+            isRedacted: !!transcript.isRedacted,
+            redactedEntryIndexes: this.findRedactedEntries(entries, transcript.masks || [])
+        };
+    }
+
+    /**
+     * Find the masked lines in the entries parsed here, so the lines muted are
+     * the lines shown whichever parser read the transcript
+     * @param {Array} entries - Parsed entries of the masked transcript
+     * @param {Array<string>} masks - The masks Apex applied, e.g. '[REDACTED CARD]'
+     * @returns {Array<number>} The entryIndex of each line holding a mask
+     */
+    findRedactedEntries(entries, masks) {
+        return entries
+            .filter(entry => entry.text && masks.some(mask => entry.text.includes(mask)))
+            .map(entry => entry.entryIndex);
+    }
+
+    /**
+     * Seek to the line requested through showEntry, highlighting the search text.
+     * Until the audio has loaded, the seek waits for handleLoadedMetadata.
+     */
+    applyPendingEntry() {
+        const pending = this.pendingEntry;
+        if (!pending || pending.recordingId !== this.selectedRecordingId) {
+            return;
+        }
+        this.pendingEntry = null;
+
+        const position = this.transcriptEntries.findIndex(entry => entry.entryIndex === pending.entryIndex);
+        if (position < 0) {
+            log.warn('Transcript line not found', { entryIndex: pending.entryIndex });
+            return;
+        }
+
+        this.searchQuery = pending.query;
+        this.applySearch();
+        const matchIndex = this.searchMatches.findIndex(match => match.entryIndex === position);
+        if (matchIndex >= 0) {
+            this.goToMatch(matchIndex);
+        } else if (this.audioElement) {
+            this.audioElement.currentTime = this.transcriptEntries[position].seconds;
+        }
+
+        if (!this.duration) {
+            this.pendingSeekTime = this.transcriptEntries[position].seconds;
+        }
+    }
+
+    /**
+     * Load the reviewer comments on a recording
+     * @param {string} documentId - The audio ContentDocument Id
+     */
+    async loadAnnotations(documentId) {
+        try {
+            const annotations = await getAnnotations({ sessionId: this.sessionId, documentId });
+            if (documentId !== this.selectedRecordingId) {
+                return;
+            }
+            this.setAnnotations(annotations || []);
+            log.debug('Comments loaded', { documentId, count: this.annotations.length });
+        } catch (err) {
+            log.warn('Failed to load comments', err);
+        }
+    }
+
+    /**
+     * Store comments in timeline order and show them on their transcript lines
+     * @param {Array} annotations - AnnotationWrapper records
+     */
+    setAnnotations(annotations) {
+        this.annotations = [...annotations]
+            .sort((a, b) => (a.timeOffset || 0) - (b.timeOffset || 0) || new Date(a.createdDate) - new Date(b.createdDate))
+            .map(annotation => ({
+                ...annotation,
+                timeDisplay: this.formatTimeFromSeconds(annotation.timeOffset || 0),
+                dateDisplay: this.formatCommentDate(annotation.createdDate)
+            }));
+        this.attachAnnotations();
+    }
+
+    /**
+     * Attach each comment on a transcript line to that line's entry
+     */
+    attachAnnotations() {
+        this.transcriptEntries = this.transcriptEntries.map(entry => {
+            const annotations = this.annotations.filter(annotation => annotation.entryIndex === entry.entryIndex);
+            return { ...entry, annotations, hasAnnotations: annotations.length > 0 };
+        });
+    }
+
+    /**
+     * Format a comment's date, e.g. "Jan 15, 2024, 10:30 AM"
+     */
+    formatCommentDate(dateValue) {
+        if (!dateValue) return '';
+        return new Date(dateValue).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Start a comment at the current position on the timeline
+     */
+    handleAddComment() {
+        this.commentError = null;
+        this.commentDraft = { timeOffset: this.currentTime, entryIndex: null, text: '' };
+    }
+
+    /**
+     * Start a comment on a transcript line
+     */
+    handleAddEntryComment(event) {
+        event.stopPropagation();
+        const entryIndex = parseInt(event.currentTarget.dataset.index, 10);
+        const entry = this.transcriptEntries.find(item => item.entryIndex === entryIndex);
+        if (!entry) return;
+
+        this.commentError = null;
+        this.commentDraft = { timeOffset: entry.seconds, entryIndex, text: '' };
+    }
+
+    /**
+     * Edit one of the current user's comments
+     */
+    handleEditComment(event) {
+        event.stopPropagation();
+        const annotation = this.annotations.find(item => item.annotationId === event.currentTarget.dataset.id);
+        if (!annotation) return;
+
+        this.commentError = null;
+        this.commentDraft = {
+            annotationId: annotation.annotationId,
+            timeOffset: annotation.timeOffset,
+            entryIndex: annotation.entryIndex,
+            text: annotation.comment
+        };
+    }
+
+    handleCommentChange(event) {
+        this.commentDraft = { ...this.commentDraft, text: event.detail.value };
+    }
+
+    handleCancelComment() {
+        this.commentDraft = null;
+        this.commentError = null;
+    }
+
+    /**
+     * Save the comment being written or edited
+     */
+    async handleSaveComment() {
+        const draft = this.commentDraft;
+        if (!draft || !draft.text || !draft.text.trim()) return;
+
+        this.isSavingComment = true;
+        this.commentError = null;
+        try {
+            if (draft.annotationId) {
+                const saved = await updateAnnotation({ annotationId: draft.annotationId, comment: draft.text });
+                this.setAnnotations(this.annotations.map(item => (item.annotationId === saved.annotationId ? saved : item)));
+            } else {
+                const saved = await createAnnotation({
+                    sessionId: this.sessionId,
+                    documentId: this.selectedRecordingId,
+                    timeOffset: draft.timeOffset,
+                    entryIndex: draft.entryIndex,
+                    comment: draft.text
+                });
+                this.setAnnotations([...this.annotations, saved]);
+                this.showComments = true;
+            }
+            this.commentDraft = null;
+        } catch (err) {
+            log.error('Failed to save comment', err);
+            this.commentError = (err && err.body && err.body.message) || 'The comment could not be saved.';
+        } finally {
+            this.isSavingComment = false;
+        }
+    }
+
+    /**
+     * Delete one of the current user's comments
+     */
+    async handleDeleteComment(event) {
+        event.stopPropagation();
+        const annotationId = event.currentTarget.dataset.id;
+        this.commentError = null;
+        try {
+            await deleteAnnotation({ annotationId });
+            this.setAnnotations(this.annotations.filter(item => item.annotationId !== annotationId));
+        } catch (err) {
+            log.error('Failed to delete comment', err);
+            this.commentError = (err && err.body && err.body.message) || 'The comment could not be deleted.';
+        }
+    }
+
+    /**
+     * Seek to the point a comment refers to
+     */
+    handleCommentSeek(event) {
+        const seconds = parseFloat(event.currentTarget.dataset.seconds);
+        if (!isNaN(seconds)) {
+            this.seekTo(seconds);
+        }
+    }
+
+    handleToggleComments() {
+        this.showComments = !this.showComments;
+    }
+
+    /**
+     * Play from a scorecard answer's evidence, switching recording if needed
+     */
+    handleEvidenceSelect(event) {
+        const { documentId, time, entryIndex } = event.detail;
+        if (entryIndex !== null && entryIndex !== undefined) {
+            this.showEntry(documentId, entryIndex, this.searchQuery);
+        } else {
+            this.applyMoment(documentId, time);
+        }
+    }
+
+    /**
+     * Copy a link that opens this record page at the current moment of this recording
+     */
+    async handleCopyLink() {
+        const url = CallDeepLink.buildUrl(window.location.href, {
+            sessionId: this.sessionId,
+            recordingId: this.selectedRecordingId,
+            seconds: this.currentTime
+        });
+        const time = this.formatTimeFromSeconds(this.currentTime);
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Link copied',
+                message: `The link opens this call at ${time}.`,
+                variant: 'success'
+            }));
+        } catch (err) {
+            log.warn('Failed to copy link', err);
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Could not copy the link',
+                message: url,
+                variant: 'warning',
+                mode: 'sticky'
+            }));
+        }
+    }
+
+    /**
+     * Resolve when the audio started: the session record's start time first,
+     * then a "Recording Start:" header, then the first transcript timestamp
+     */
+    resolveStartTime(content, metadataStartTime) {
+        return metadataStartTime
+            || TranscriptParser.extractRecordingStart(content)
+            || this.extractStartTime(content);
+    }
+
+    /**
+     * Extract start time from transcript content
+     */
+    extractStartTime(content) {
+        return TranscriptParser.extractStartTime(content);
+    }
+
+    /**
+     * Format a byte count for display (e.g. 1.5 MB)
+     */
+    formatFileSize(bytes) {
+        if (!bytes || bytes < 1024) return `${bytes || 0} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Format seconds to MM:SS display
+     */
+    formatTimeFromSeconds(totalSeconds) {
+        if (totalSeconds === null || totalSeconds === undefined || totalSeconds < 0) return '0:00';
+        const mins = Math.floor(totalSeconds / 60);
+        const secs = Math.floor(totalSeconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Mute the audio over masked lines: from the start of each masked line to
+     * the start of the next, or to the end of the recording for the last line.
+     * This only mutes playback: the whole recording is still downloaded to the browser.
+     * @param {Array} entries - Transcript entries in order, with isRedacted set
+     */
+    setMuteRanges(entries) {
+        this.muteRanges = entries
+            .map((entry, index) => (entry.isRedacted
+                ? { start: entry.seconds, end: index + 1 < entries.length ? entries[index + 1].seconds : Infinity }
+                : null))
+            .filter(range => range !== null);
+        this.updateRedactionMute();
+    }
+
+    /**
+     * Mute the audio over a masked range, and restore the mute setting it had
+     * before the range once playback leaves it. Muting starts a little before
+     * each range, scaled by the playback speed, so the first words of a masked
+     * line are not heard before the next timeupdate arrives.
+     */
+    updateRedactionMute() {
+        const time = this.audioElement ? this.audioElement.currentTime : this.currentTime;
+        const lead = REDACTION_MUTE_LEAD_SECONDS * this.playbackSpeed;
+        const muted = this.muteRanges.some(range => time >= range.start - lead && time < range.end);
+        if (this.audioElement) {
+            if (muted && !this.isMutedForRedaction) {
+                this.mutedBeforeRedaction = this.audioElement.muted;
+            }
+            if (muted) {
+                this.audioElement.muted = true;
+            } else if (this.isMutedForRedaction) {
+                this.audioElement.muted = this.mutedBeforeRedaction;
+            }
+        }
+        this.isMutedForRedaction = muted;
+    }
+
+    /**
+     * Get CSS class for transcript entry based on active state
+     */
+    getEntryClass(index, isActive) {
+        let baseClass = 'transcript-entry';
+        if (isActive) {
+            baseClass += ' active-entry';
+        }
+        return baseClass;
     }
 
     /**
@@ -432,19 +1434,32 @@ export default class CallTranscriptPlayer extends LightningElement {
         }
 
         if (newActiveIndex !== this.currentEntryIndex) {
-            this.currentEntryIndex = newActiveIndex;
-            
-            this.transcriptEntries = this.transcriptEntries.map((entry, index) => ({
-                ...entry,
-                entryClass: this.getEntryClass(entry.entryIndex, index === newActiveIndex)
-            }));
+            this.setActiveEntry(newActiveIndex);
 
-            if (this.autoScroll && newActiveIndex >= 0) {
+            // Auto-scroll pauses while searching so it does not pull the view away from the matches
+            if (this.autoScroll && !this.isSearching && newActiveIndex >= 0) {
                 this.scrollToEntry(newActiveIndex);
             }
         }
     }
 
+    /**
+     * Mark a transcript entry as the active line. The active line (or the first
+     * line when none is active) is the one the Tab key reaches.
+     * @param {number} activeIndex - Position in transcriptEntries, or -1 for none
+     */
+    setActiveEntry(activeIndex) {
+        this.currentEntryIndex = activeIndex;
+        const focusIndex = activeIndex >= 0 ? activeIndex : 0;
+
+        this.transcriptEntries = this.transcriptEntries.map((entry, index) => ({
+            ...entry,
+            entryClass: this.getEntryClass(entry.entryIndex, index === activeIndex),
+            ariaCurrent: index === activeIndex ? 'true' : 'false',
+            tabIndex: index === focusIndex ? '0' : '-1'
+        }));
+    }
+
     /**
      * Scroll transcript container to show the active entry
      */
@@ -470,12 +1485,15 @@ export default class CallTranscriptPlayer extends LightningElement {
     handleTimeUpdate() {
         if (this.audioElement) {
             this.currentTime = this.audioElement.currentTime;
+            this.updateRedactionMute();
             this.updateActiveEntry();
             
             this.dispatchEvent(new CustomEvent('playbackupdate', {
                 detail: {
                     sessionId: this.sessionId,
+                    documentId: this.selectedRecordingId,
                     currentTime: this.currentTime,
+                    duration: this.duration,
                     isPlaying: this.isPlaying
                 }
             }));
@@ -485,29 +1503,62 @@ export default class CallTranscriptPlayer extends LightningElement {
     handleLoadedMetadata() {
         if (this.audioElement) {
             this.duration = this.audioElement.duration;
+
+            // Seek requested through showEntry before the audio had loaded
+            if (this.pendingSeekTime !== null) {
+                this.audioElement.currentTime = this.pendingSeekTime;
+                this.pendingSeekTime = null;
+            }
             
-            // Update the recording's duration display
-            const durationDisplay = this.formatTimeFromSeconds(this.duration);
-            this.recordings = this.recordings.map(rec => {
-                if (rec.id === this.selectedRecordingId) {
-                    return { ...rec, durationDisplay };
-                }
-                return rec;
-            });
+            this.setRecordingDuration(this.selectedRecordingId, this.duration);
+
+            // The next recording of the whole call
+            if (this.playWhenReady) {
+                this.playWhenReady = false;
+                this.startPlayback();
+            }
         }
     }
 
+    /**
+     * Record a recording's duration for its pill and the whole call timeline
+     */
+    setRecordingDuration(recordingId, seconds) {
+        this.recordingDurations = { ...this.recordingDurations, [recordingId]: seconds };
+        const durationDisplay = this.formatTimeFromSeconds(seconds);
+        this.recordings = this.recordings.map(rec => {
+            if (rec.id === recordingId) {
+                return { ...rec, durationDisplay };
+            }
+            return rec;
+        });
+    }
+
+    /**
+     * Move on to the next recording while the whole call plays. After the last
+     * recording, callended tells the parent, which may play its next call.
+     */
     handleAudioEnded() {
         this.isPlaying = false;
-        
-        // Auto-advance to next recording if available
-        const currentIndex = this.recordings.findIndex(r => r.id === this.selectedRecordingId);
-        if (currentIndex < this.recordings.length - 1) {
-            // Optionally auto-play next recording
-            // this.selectRecording(this.recordings[currentIndex + 1].id);
+        if (!this.isWholeCall) {
+            return;
+        }
+
+        const nextId = CallSequence.nextId(this.recordings, this.selectedRecordingId);
+        if (nextId) {
+            log.info('Playing the next recording of the call', { recordingId: nextId });
+            this.selectRecording(nextId, { autoplay: true });
+        } else {
+            this.dispatchCallEnded();
         }
     }
 
+    dispatchCallEnded() {
+        this.dispatchEvent(new CustomEvent('callended', {
+            detail: { sessionId: this.sessionId }
+        }));
+    }
+
     handleAudioError(event) {
         log.error('Audio element error', {
             error: event.target?.error?.code,
@@ -520,18 +1571,21 @@ export default class CallTranscriptPlayer extends LightningElement {
             switch (errorCode) {
                 case MediaError.MEDIA_ERR_ABORTED:
                     this.audioLoadError = 'Audio playback was aborted.';
+                    this.audioErrorRetryable = true;
                     break;
                 case MediaError.MEDIA_ERR_NETWORK:
                     this.audioLoadError = 'A network error occurred while loading the audio.';
+                    this.audioErrorRetryable = true;
                     break;
                 case MediaError.MEDIA_ERR_DECODE:
                     this.audioLoadError = 'The audio file could not be decoded.';
                     break;
                 case MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
-                    this.audioLoadError = 'Unable to play this audio file. The format may not be supported or you may not have access.';
+                    this.audioLoadError = AudioFormat.getUnsupportedMessage(this.audioContentType);
                     break;
                 default:
                     this.audioLoadError = 'An error occurred while loading the audio file.';
+                    this.audioErrorRetryable = true;
             }
         }
     }
@@ -548,20 +1602,109 @@ export default class CallTranscriptPlayer extends LightningElement {
         this.isPlaying = !this.isPlaying;
     }
 
+    /**
+     * Play the loaded recording at the selected speed; loading a new source
+     * resets the audio element's rate
+     */
+    startPlayback() {
+        if (!this.audioElement) return;
+
+        this.audioElement.playbackRate = this.playbackSpeed;
+        const played = this.audioElement.play();
+        this.isPlaying = true;
+        if (played && typeof played.catch === 'function') {
+            played.catch(err => {
+                log.warn('Playback did not start', err);
+                this.isPlaying = false;
+            });
+        }
+    }
+
+    /**
+     * Play now when the audio has loaded, otherwise as soon as it loads
+     */
+    playWhenLoaded() {
+        if (this.duration) {
+            this.startPlayback();
+        } else {
+            this.playWhenReady = true;
+        }
+    }
+
+    /**
+     * Turn "play whole call" on and play on from here, or turn it off
+     */
+    handleToggleWholeCall() {
+        this.setWholeCall(!this.isWholeCall);
+        if (this.isWholeCall && !this.isPlaying) {
+            this.playWhenLoaded();
+        }
+    }
+
+    /**
+     * Seek on the whole call timeline: clicking a recording's segment plays that
+     * recording from the point clicked
+     */
+    handleCallTimelineClick(event) {
+        const recordingId = event.currentTarget.dataset.id;
+        const segment = this.callTimeline.segments.find(seg => seg.id === recordingId);
+        if (!segment) return;
+
+        const rect = event.currentTarget.getBoundingClientRect();
+        const position = rect.width > 0 ? Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)) : 0;
+        const seconds = segment.isKnown ? position * segment.duration : 0;
+
+        if (recordingId === this.selectedRecordingId) {
+            this.seekTo(seconds);
+            return;
+        }
+        this.selectRecording(recordingId, { autoplay: this.isPlaying });
+        this.pendingSeekTime = seconds;
+    }
+
+    /**
+     * Play another recording of the call from a line of its transcript
+     */
+    handleCallTranscriptClick(event) {
+        const { recordingId, index } = event.currentTarget.dataset;
+        this.showEntry(recordingId, Number(index));
+        this.playWhenReady = true;
+    }
+
     handleSkipBack() {
+        this.seekBy(-SKIP_SECONDS);
+    }
+
+    handleSkipForward() {
+        this.seekBy(SKIP_SECONDS);
+    }
+
+    /**
+     * Seek relative to the current position
+     * @param {number} seconds - Seconds to move; negative moves back
+     */
+    seekBy(seconds) {
         if (this.audioElement) {
-            this.audioElement.currentTime = Math.max(0, this.audioElement.currentTime - 10);
+            this.seekTo(this.audioElement.currentTime + seconds);
         }
     }
 
-    handleSkipForward() {
+    /**
+     * Seek to a time, kept within the recording
+     * @param {number} seconds - Target time in seconds
+     */
+    seekTo(seconds) {
         if (this.audioElement) {
-            this.audioElement.currentTime = Math.min(this.duration, this.audioElement.currentTime + 10);
+            this.audioElement.currentTime = Math.max(0, Math.min(this.duration, seconds));
+            this.currentTime = this.audioElement.currentTime;
         }
     }
 
     handleSpeedChange(event) {
-        const speed = parseFloat(event.target.dataset.speed);
+        this.setPlaybackSpeed(parseFloat(event.target.dataset.speed));
+    }
+
+    setPlaybackSpeed(speed) {
         this.playbackSpeed = speed;
         
         if (this.audioElement) {
@@ -569,15 +1712,197 @@ export default class CallTranscriptPlayer extends LightningElement {
         }
     }
 
-    handleProgressClick(event) {
+    /**
+     * Move to the next slower or faster playback speed
+     * @param {number} step - -1 for slower, 1 for faster
+     */
+    stepPlaybackSpeed(step) {
+        const index = PLAYBACK_SPEEDS.indexOf(this.playbackSpeed);
+        const next = PLAYBACK_SPEEDS[Math.max(0, Math.min(PLAYBACK_SPEEDS.length - 1, index + step))];
+        if (next !== this.playbackSpeed) {
+            this.setPlaybackSpeed(next);
+        }
+    }
+
+    /**
+     * Move to the next or previous transcript line: seek to it and focus it
+     * @param {number} step - 1 for the next line, -1 for the previous one
+     */
+    moveToEntry(step) {
+        const count = this.transcriptEntries.length;
+        if (count === 0) return;
+
+        const position = Math.max(0, Math.min(count - 1, this.currentEntryIndex + step));
+        const entry = this.transcriptEntries[position];
+        if (this.audioElement) {
+            this.audioElement.currentTime = entry.seconds;
+        }
+        this.currentTime = entry.seconds;
+        this.setActiveEntry(position);
+
+        const element = this.template.querySelectorAll('.transcript-entry')[position];
+        if (element) {
+            element.focus();
+            this.scrollToEntry(position);
+        }
+    }
+
+    /**
+     * Keyboard shortcuts for the whole player:
+     *   Space - play/pause, Left/Right - skip 10s, < / > - slower/faster,
+     *   J/K - next/previous transcript line
+     * Keys typed into the search box are left alone.
+     */
+    handlePlayerKeyDown(event) {
+        const tagName = event.target && event.target.tagName;
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || TEXT_ENTRY_TAGS.includes(tagName)) {
+            return;
+        }
+
+        const canPlay = !this.audioControlsDisabled;
+        switch (event.key) {
+            case ' ':
+                if (BUTTON_TAGS.includes(tagName) || !canPlay) return;
+                this.handlePlayPause();
+                break;
+            case 'ArrowLeft':
+                if (!canPlay) return;
+                this.handleSkipBack();
+                break;
+            case 'ArrowRight':
+                if (!canPlay) return;
+                this.handleSkipForward();
+                break;
+            case '<':
+                this.stepPlaybackSpeed(-1);
+                break;
+            case '>':
+                this.stepPlaybackSpeed(1);
+                break;
+            case 'j':
+            case 'J':
+                this.moveToEntry(1);
+                break;
+            case 'k':
+            case 'K':
+                this.moveToEntry(-1);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Slider keys for the progress bar. Left/Right fall through to the player shortcuts.
+     */
+    handleProgressKeyDown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+                this.seekBy(-SKIP_SECONDS);
+                break;
+            case 'ArrowUp':
+                this.seekBy(SKIP_SECONDS);
+                break;
+            case 'PageDown':
+                this.seekBy(-PAGE_SECONDS);
+                break;
+            case 'PageUp':
+                this.seekBy(PAGE_SECONDS);
+                break;
+            case 'Home':
+                this.seekTo(0);
+                break;
+            case 'End':
+                this.seekTo(this.duration);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Convert a pointer position on the progress bar to a time in the recording
+     */
+    timeAtPointer(event) {
         const progressWrapper = this.template.querySelector('.progress-bar-wrapper');
-        if (!progressWrapper || !this.audioElement) return;
+        if (!progressWrapper) return 0;
 
         const rect = progressWrapper.getBoundingClientRect();
-        const clickPosition = (event.clientX - rect.left) / rect.width;
-        const newTime = clickPosition * this.duration;
-        
-        this.audioElement.currentTime = Math.max(0, Math.min(this.duration, newTime));
+        if (rect.width <= 0) return 0;
+
+        const position = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        return position * this.duration;
+    }
+
+    /**
+     * Start dragging the scrubber. The pointer is captured so the drag continues
+     * outside the bar; the audio only seeks when the pointer is released.
+     */
+    handleScrubStart(event) {
+        if (!this.audioElement || !this.duration || this.audioControlsDisabled) return;
+
+        if (event.currentTarget.setPointerCapture && event.pointerId !== undefined) {
+            event.currentTarget.setPointerCapture(event.pointerId);
+        }
+        this.isScrubbing = true;
+        this.scrubTime = this.timeAtPointer(event);
+        this.hoverTime = this.scrubTime;
+    }
+
+    handleScrubMove(event) {
+        if (!this.duration) return;
+
+        this.hoverTime = this.timeAtPointer(event);
+        if (this.isScrubbing) {
+            this.scrubTime = this.hoverTime;
+        }
+    }
+
+    handleScrubEnd(event) {
+        if (!this.isScrubbing) return;
+
+        this.isScrubbing = false;
+        this.seekTo(this.timeAtPointer(event));
+    }
+
+    handleScrubCancel() {
+        this.isScrubbing = false;
+        this.hoverTime = null;
+    }
+
+    handleScrubLeave() {
+        if (!this.isScrubbing) {
+            this.hoverTime = null;
+        }
+    }
+
+    /**
+     * Find the transcript line being spoken at a time
+     * @param {number} seconds - Time in the recording
+     * @returns {Object|undefined} The last entry starting at or before the time
+     */
+    findEntryAt(seconds) {
+        let found;
+        for (const entry of this.transcriptEntries) {
+            if (entry.seconds > seconds) break;
+            found = entry;
+        }
+        return found;
+    }
+
+    /**
+     * Enter or Space on a focused transcript line plays from that line
+     */
+    handleTranscriptKeyDown(event) {
+        // Keys on the line's own buttons (e.g. add comment) are theirs
+        if (event.target !== event.currentTarget) return;
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.handleTranscriptClick(event);
+        }
     }
 
     handleTranscriptClick(event) {
@@ -594,15 +1919,164 @@ export default class CallTranscriptPlayer extends LightningElement {
         }
     }
 
+    /**
+     * Find the search query in the transcript and highlight every match.
+     * Navigation starts again from the first match.
+     */
+    applySearch() {
+        this.searchMatches = TranscriptSearch.findMatches(this.transcriptEntries, this.searchQuery);
+        this.currentMatchIndex = -1;
+        this.highlightMatches();
+    }
+
+    /**
+     * Split each entry's text into plain and matching segments for rendering
+     */
+    highlightMatches() {
+        let matchNumber = 0;
+        this.transcriptEntries = this.transcriptEntries.map(entry => ({
+            ...entry,
+            textSegments: TranscriptSearch.splitText(entry.text, this.searchQuery).map((segment, segmentIndex) => {
+                let className = 'entry-text-segment';
+                if (segment.isMatch) {
+                    className = matchNumber === this.currentMatchIndex ? 'search-match search-match-current' : 'search-match';
+                    matchNumber++;
+                }
+                return { key: `${entry.entryIndex}-${segmentIndex}`, text: segment.text, className };
+            })
+        }));
+    }
+
+    /**
+     * Move to a search match (wrapping around), seek the audio to its entry and scroll to it
+     * @param {number} index - Position in searchMatches
+     */
+    goToMatch(index) {
+        const count = this.searchMatches.length;
+        if (count === 0) return;
+
+        this.currentMatchIndex = ((index % count) + count) % count;
+        this.highlightMatches();
+
+        const match = this.searchMatches[this.currentMatchIndex];
+        const entry = this.transcriptEntries[match.entryIndex];
+        if (this.audioElement && entry) {
+            this.audioElement.currentTime = entry.seconds;
+        }
+        this.scrollToEntry(match.entryIndex);
+    }
+
+    handleSearchChange(event) {
+        this.searchQuery = event.detail.value || '';
+        this.applySearch();
+    }
+
+    handleSearchKeyDown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.handlePreviousMatch();
+            } else {
+                this.handleNextMatch();
+            }
+        } else if (event.key === 'Escape' && this.searchQuery) {
+            event.preventDefault();
+            this.searchQuery = '';
+            this.applySearch();
+        }
+    }
+
+    handleNextMatch() {
+        this.goToMatch(this.currentMatchIndex + 1);
+    }
+
+    handlePreviousMatch() {
+        // From no selection, "previous" wraps to the last match
+        this.goToMatch(this.currentMatchIndex < 0 ? -1 : this.currentMatchIndex - 1);
+    }
+
     handleToggleAutoScroll() {
         this.autoScroll = !this.autoScroll;
     }
 
+    handleToggleCallDetails() {
+        this.showCallDetails = !this.showCallDetails;
+    }
+
     handleDownloadTranscript() {
+        // The original file is not masked
+        if (this.isTranscriptRedacted) {
+            return;
+        }
         const selectedRec = this.recordings.find(r => r.id === this.selectedRecordingId);
         if (selectedRec && selectedRec.transcriptDoc && selectedRec.transcriptDoc.downloadUrl) {
             window.open(selectedRec.transcriptDoc.downloadUrl, '_blank');
+            this.logExport('original');
+        }
+    }
+
+    /**
+     * Record a transcript export in the Call Access Log. The file has already
+     * been saved, so a failure is only logged.
+     */
+    logExport(format) {
+        const selectedRec = this.recordings.find(r => r.id === this.selectedRecordingId);
+        if (!this.sessionId || !selectedRec || !selectedRec.transcriptDoc) {
+            return;
+        }
+        logCallAccess({
+            sessionId: this.sessionId,
+            documentId: selectedRec.transcriptDoc.documentId,
+            action: CallAccessAudit.ACTIONS.TRANSCRIPT_EXPORTED,
+            detail: format
+        }).catch(err => log.warn('Failed to log transcript export', err));
+    }
+
+    /**
+     * Handle a choice from the export menu: the original file, or a format
+     * generated from the parsed transcript entries
+     */
+    handleExportSelect(event) {
+        const format = event.detail.value;
+        if (format === 'original') {
+            this.handleDownloadTranscript();
+            return;
+        }
+
+        const entries = this.transcriptEntries;
+        const duration = this.duration || (entries.length > 0 ? entries[entries.length - 1].seconds : 0);
+        const label = this.currentRecordingTitleClean;
+        log.info('Exporting transcript', { format, entryCount: entries.length });
+
+        if (format === 'pdf' || format === 'doc') {
+            const html = TranscriptExport.toHtml(entries, {
+                title: `Call Transcript - ${label}`,
+                agentName: this.agentName,
+                callDate: this.callDate,
+                duration: duration ? this.formatTimeFromSeconds(duration) : null,
+                callId: this.callId || (this.transcriptHeader && this.transcriptHeader.callId),
+                recording: label
+            });
+            if (format === 'doc') {
+                TranscriptExport.download(html, TranscriptExport.getFileName(label, 'doc'), 'application/msword');
+            } else if (!TranscriptExport.print(html)) {
+                this.dispatchEvent(new ShowToastEvent({
+                    title: 'Could not open the print view',
+                    message: 'Allow pop-ups for this site, then try again.',
+                    variant: 'warning'
+                }));
+                return;
+            }
+        } else if (format === 'vtt') {
+            TranscriptExport.download(TranscriptExport.toWebVtt(entries, duration), TranscriptExport.getFileName(label, 'vtt'), 'text/vtt');
+        } else if (format === 'srt') {
+            TranscriptExport.download(TranscriptExport.toSrt(entries, duration), TranscriptExport.getFileName(label, 'srt'), 'application/x-subrip');
+        } else if (format === 'csv') {
+            TranscriptExport.download(TranscriptExport.toCsv(entries), TranscriptExport.getFileName(label, 'csv'), 'text/csv');
+        } else {
+            return;
         }
+        this.logExport(format);
     }
 
     // Computed properties
@@ -618,6 +2092,82 @@ export default class CallTranscriptPlayer extends LightningElement {
         return this.recordings.length > 1;
     }
 
+    get showCallTimeline() {
+        return this.isWholeCall && this.hasMultipleRecordings;
+    }
+
+    get callTimeline() {
+        return CallSequence.buildTimeline(this.recordings, this.recordingDurations);
+    }
+
+    get callTimelineSegments() {
+        const timeline = this.callTimeline;
+        const selectedIndex = this.recordings.findIndex(rec => rec.id === this.selectedRecordingId);
+        return timeline.segments.map((segment, index) => {
+            const isActive = index === selectedIndex;
+            let playedPercent = index < selectedIndex ? 100 : 0;
+            if (isActive && segment.isKnown) {
+                playedPercent = Math.min(100, (this.currentTime / segment.duration) * 100);
+            }
+            const length = segment.isKnown ? this.formatTimeFromSeconds(segment.duration) : 'loading';
+            return {
+                id: segment.id,
+                label: segment.label,
+                title: `${segment.label} (${length})`,
+                className: isActive ? 'call-timeline-segment active' : 'call-timeline-segment',
+                style: `width: ${timeline.totalDuration > 0 ? (segment.duration / timeline.totalDuration) * 100 : 0}%`,
+                fillStyle: `width: ${playedPercent}%`,
+                ariaCurrent: isActive ? 'true' : 'false'
+            };
+        });
+    }
+
+    get callTimelineTimeDisplay() {
+        const timeline = this.callTimeline;
+        const combined = CallSequence.toCombinedTime(timeline, this.selectedRecordingId, this.currentTime);
+        const total = timeline.isComplete ? this.formatTimeFromSeconds(timeline.totalDuration) : '--:--';
+        return `${this.formatTimeFromSeconds(combined)} / ${total}`;
+    }
+
+    /**
+     * Transcripts of the recordings before (-1) or after (1) the current one
+     */
+    getCallTranscriptSections(direction) {
+        if (!this.showCallTimeline) {
+            return [];
+        }
+        const selectedIndex = this.recordings.findIndex(rec => rec.id === this.selectedRecordingId);
+        return this.recordings
+            .filter((rec, index) => (direction < 0 ? index < selectedIndex : index > selectedIndex))
+            .filter(rec => this.callTranscripts[rec.id] && this.callTranscripts[rec.id].length > 0)
+            .map(rec => ({ id: rec.id, label: rec.label, entries: this.callTranscripts[rec.id] }));
+    }
+
+    get earlierCallTranscripts() {
+        return this.getCallTranscriptSections(-1);
+    }
+
+    get laterCallTranscripts() {
+        return this.getCallTranscriptSections(1);
+    }
+
+    get hasEarlierCallTranscripts() {
+        return this.earlierCallTranscripts.length > 0;
+    }
+
+    get hasLaterCallTranscripts() {
+        return this.laterCallTranscripts.length > 0;
+    }
+
+    get showCurrentTranscriptTitle() {
+        return this.hasEarlierCallTranscripts || this.hasLaterCallTranscripts;
+    }
+
+    get currentRecordingLabel() {
+        const selectedRec = this.recordings.find(r => r.id === this.selectedRecordingId);
+        return selectedRec ? selectedRec.label : '';
+    }
+
     get recordingCountLabel() {
         return `${this.recordings.length} Recordings`;
     }
@@ -637,6 +2187,18 @@ export default class CallTranscriptPlayer extends LightningElement {
         return rec && rec.type === 'agent' && this.agentName;
     }
 
+    get exportFormats() {
+        return TranscriptExport.FORMATS;
+    }
+
+    get exportDisabled() {
+        return !this.hasTranscript;
+    }
+
+    get canDownloadOriginal() {
+        return !this.isTranscriptRedacted;
+    }
+
     get agentNameDisplay() {
         return this.agentName || '';
     }
@@ -662,14 +2224,170 @@ export default class CallTranscriptPlayer extends LightningElement {
         return this.formatTimeFromSeconds(this.duration);
     }
 
+    get progressPercent() {
+        const time = this.isScrubbing ? this.scrubTime : this.currentTime;
+        return this.duration > 0 ? (time / this.duration) * 100 : 0;
+    }
+
     get progressStyle() {
-        const progress = this.duration > 0 ? (this.currentTime / this.duration) * 100 : 0;
-        return `width: ${progress}%`;
+        return `width: ${this.progressPercent}%`;
     }
 
     get handleStyle() {
-        const progress = this.duration > 0 ? (this.currentTime / this.duration) * 100 : 0;
-        return `left: ${progress}%`;
+        return `left: ${this.progressPercent}%`;
+    }
+
+    get progressWrapperClass() {
+        let className = 'progress-bar-wrapper';
+        if (this.hasWaveform) {
+            className += ' has-waveform';
+        }
+        if (this.isScrubbing) {
+            className += ' scrubbing';
+        }
+        return className;
+    }
+
+    get hasWaveform() {
+        return this.waveformPeaks.length > 0;
+    }
+
+    get waveformBars() {
+        const count = this.waveformPeaks.length;
+        return this.waveformPeaks.map((peak, index) => ({
+            key: `bar-${index}`,
+            className: ((index + 0.5) / count) * 100 <= this.progressPercent ? 'waveform-bar played' : 'waveform-bar',
+            style: `height: ${Math.max(8, Math.round(peak * 100))}%`
+        }));
+    }
+
+    get progressTicks() {
+        if (!this.duration) return [];
+        return this.transcriptEntries
+            .filter(entry => entry.seconds <= this.duration)
+            .map(entry => {
+                const speakerStyle = this.speakerStyles.get(entry.speaker);
+                const color = speakerStyle ? `; background-color: ${speakerStyle.color}` : '';
+                return {
+                    key: `tick-${entry.entryIndex}`,
+                    style: `left: ${(entry.seconds / this.duration) * 100}%${color}`
+                };
+            });
+    }
+
+    get activeEntry() {
+        return this.currentEntryIndex >= 0 ? this.transcriptEntries[this.currentEntryIndex] : null;
+    }
+
+    get scorecardEvidenceTime() {
+        return this.activeEntry ? this.activeEntry.seconds : this.currentTime;
+    }
+
+    get scorecardEvidenceEntryIndex() {
+        return this.activeEntry ? this.activeEntry.entryIndex : null;
+    }
+
+    get annotationMarkers() {
+        if (!this.duration) return [];
+        return this.annotations
+            .filter(annotation => (annotation.timeOffset || 0) <= this.duration)
+            .map(annotation => ({
+                key: `marker-${annotation.annotationId}`,
+                style: `left: ${((annotation.timeOffset || 0) / this.duration) * 100}%`
+            }));
+    }
+
+    get hasComments() {
+        return this.annotations.length > 0;
+    }
+
+    get commentsToggleLabel() {
+        return `Comments (${this.annotations.length})`;
+    }
+
+    get commentsIcon() {
+        return this.showComments ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get commentsExpanded() {
+        return this.showComments ? 'true' : 'false';
+    }
+
+    get commentDraftLabel() {
+        if (!this.commentDraft) return '';
+        const time = this.formatTimeFromSeconds(this.commentDraft.timeOffset || 0);
+        if (this.commentDraft.annotationId) {
+            return `Edit comment at ${time}`;
+        }
+        return this.commentDraft.entryIndex !== null && this.commentDraft.entryIndex !== undefined
+            ? `Comment on the line at ${time}`
+            : `Comment at ${time}`;
+    }
+
+    get saveCommentDisabled() {
+        return this.isSavingComment || !this.commentDraft || !this.commentDraft.text || !this.commentDraft.text.trim();
+    }
+
+    get showScrubPreview() {
+        return this.hoverTime !== null && this.duration > 0;
+    }
+
+    get scrubPreviewStyle() {
+        const position = Math.max(0, Math.min(100, (this.hoverTime / this.duration) * 100));
+        return `left: ${position}%`;
+    }
+
+    get scrubPreviewTime() {
+        return this.formatTimeFromSeconds(this.hoverTime);
+    }
+
+    get scrubPreviewText() {
+        const entry = this.findEntryAt(this.hoverTime);
+        return entry ? `${entry.speaker}: ${entry.text}` : '';
+    }
+
+    get scrubPreviewComment() {
+        // Comments within 1% of the recording of the pointer
+        const tolerance = this.duration / 100;
+        const annotation = this.annotations.find(item => Math.abs((item.timeOffset || 0) - this.hoverTime) <= tolerance);
+        return annotation ? `💬 ${annotation.authorName}: ${annotation.comment}` : '';
+    }
+
+    get progressValueNow() {
+        return Math.floor(this.currentTime);
+    }
+
+    get progressValueMax() {
+        return Math.floor(this.duration) || 0;
+    }
+
+    get progressValueText() {
+        return `${this.currentTimeDisplay} of ${this.durationDisplay}`;
+    }
+
+    get activeEntryAnnouncement() {
+        const entry = this.transcriptEntries[this.currentEntryIndex];
+        return entry ? `${entry.displayTime} ${entry.speaker}: ${entry.text}` : '';
+    }
+
+    get playPauseTitle() {
+        return `${this.playPauseLabel} (Space)`;
+    }
+
+    get speed05Pressed() {
+        return String(this.playbackSpeed === 0.5);
+    }
+
+    get speed1Pressed() {
+        return String(this.playbackSpeed === 1);
+    }
+
+    get speed15Pressed() {
+        return String(this.playbackSpeed === 1.5);
+    }
+
+    get speed2Pressed() {
+        return String(this.playbackSpeed === 2);
     }
 
     get speed05Variant() {
@@ -704,11 +2422,47 @@ export default class CallTranscriptPlayer extends LightningElement {
         return this.playbackSpeed === 2 ? 'speed-button active' : 'speed-button';
     }
 
+    get speakerLegend() {
+        return Array.from(this.speakerStyles.values()).map((style) => ({
+            ...style,
+            swatchStyle: `background-color: ${style.color}`
+        }));
+    }
+
+    get hasCallDetails() {
+        return !!this.transcriptHeader && this.transcriptHeader.fields.length > 0;
+    }
+
+    get callDetailsFields() {
+        return this.hasCallDetails
+            ? this.transcriptHeader.fields.map((field, index) => ({ ...field, id: `field-${index}` }))
+            : [];
+    }
+
+    get callDetailsIcon() {
+        return this.showCallDetails ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get callDetailsExpanded() {
+        return this.showCallDetails ? 'true' : 'false';
+    }
+
+    get callIdMismatch() {
+        return TranscriptParser.isCallIdMismatch(this.transcriptHeader, this.callId);
+    }
+
+    get callIdMismatchMessage() {
+        return `This transcript is for Call ID ${this.transcriptHeader.callId}, but the session's Call ID is ${this.callId}. The file may be attached to the wrong session.`;
+    }
+
     get autoScrollIcon() {
         return this.autoScroll ? 'utility:pin' : 'utility:pinned';
     }
 
     get autoScrollTitle() {
+        if (this.autoScroll && this.isSearching) {
+            return 'Auto-scroll paused while searching';
+        }
         return this.autoScroll ? 'Following transcript (click to stop)' : 'Click to follow transcript';
     }
 
@@ -724,8 +2478,50 @@ export default class CallTranscriptPlayer extends LightningElement {
         return !this.isLoadingTranscript && (!this.transcriptEntries || this.transcriptEntries.length === 0);
     }
 
+    get isSearching() {
+        return TranscriptSearch.isSearchable(this.searchQuery);
+    }
+
+    get hasSearchMatches() {
+        return this.searchMatches.length > 0;
+    }
+
+    get searchNavigationDisabled() {
+        return !this.hasSearchMatches;
+    }
+
+    get searchResultLabel() {
+        const count = this.searchMatches.length;
+        if (count === 0) {
+            return 'No matches';
+        }
+        if (this.currentMatchIndex < 0) {
+            return count === 1 ? '1 match' : `${count} matches`;
+        }
+        return `${this.currentMatchIndex + 1} of ${count}`;
+    }
+
     get showAudioLoading() {
-        return this.isLoadingAudio && !this.audioLoadError;
+        return (this.isLoadingAudio || this.isDownloadingAudio) && !this.audioLoadError;
+    }
+
+    get audioProgressPercent() {
+        if (!this.audioBytesTotal) return 0;
+        return Math.min(100, Math.round((this.audioBytesLoaded / this.audioBytesTotal) * 100));
+    }
+
+    get hasAudioProgress() {
+        return this.isDownloadingAudio && this.audioBytesTotal > 0;
+    }
+
+    get audioLoadingText() {
+        if (!this.hasAudioProgress) {
+            return 'Loading audio file...';
+        }
+        const loaded = this.formatFileSize(this.audioBytesLoaded);
+        const total = this.formatFileSize(this.audioBytesTotal);
+        const prefix = this.isLoadingAudio ? 'Loading audio file' : 'Downloading';
+        return `${prefix}: ${loaded} of ${total} (${this.audioProgressPercent}%)`;
     }
 
     get showAudioError() {
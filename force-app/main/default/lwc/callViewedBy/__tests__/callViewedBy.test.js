@@ -0,0 +1,95 @@
+import { createElement } from 'lwc';
+import CallViewedBy from 'c/callViewedBy';
+import getSessionViewers from '@salesforce/apex/VoicecallSessionController.getSessionViewers';
+
+jest.mock(
+    '@salesforce/apex/VoicecallSessionController.getSessionViewers',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+describe('c-call-viewed-by', () => {
+    const flushPromises = () => new Promise(process.nextTick);
+
+    const mockViewers = [
+        {
+            userId: 'user1',
+            userName: 'Rita Reviewer',
+            firstAccessed: '2024-01-15T10:30:00.000Z',
+            lastAccessed: '2024-01-16T10:30:00.000Z',
+            listenedPercent: 75,
+            exportCount: 1
+        },
+        {
+            userId: 'user2',
+            userName: 'Sam Supervisor',
+            firstAccessed: '2024-01-15T09:00:00.000Z',
+            lastAccessed: '2024-01-15T09:00:00.000Z',
+            listenedPercent: 0,
+            exportCount: 0
+        }
+    ];
+
+    const createViewedBy = () => {
+        const element = createElement('c-call-viewed-by', { is: CallViewedBy });
+        element.sessionId = 'session123';
+        document.body.appendChild(element);
+        return element;
+    };
+
+    const toggle = async (element) => {
+        element.shadowRoot.querySelector('.viewed-by-toggle').click();
+        await flushPromises();
+    };
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('loads the access log only when expanded', async () => {
+        getSessionViewers.mockResolvedValue(mockViewers);
+        const element = createViewedBy();
+        await flushPromises();
+
+        expect(getSessionViewers).not.toHaveBeenCalled();
+
+        await toggle(element);
+
+        expect(getSessionViewers).toHaveBeenCalledWith({ sessionId: 'session123' });
+        const rows = element.shadowRoot.querySelectorAll('.viewer-row');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].querySelector('.viewer-name').textContent).toBe('Rita Reviewer');
+        expect(rows[0].querySelector('.viewer-listened').textContent).toBe('75%');
+        expect(rows[0].querySelector('.viewer-exports').textContent).toBe('1 export');
+        expect(rows[1].querySelector('.viewer-exports').textContent).toBe('0 exports');
+        expect(element.shadowRoot.querySelector('.viewed-by-count').textContent).toBe('2 people');
+    });
+
+    it('reloads each time it is expanded', async () => {
+        getSessionViewers.mockResolvedValue([]);
+        const element = createViewedBy();
+
+        await toggle(element);
+        expect(element.shadowRoot.querySelector('.viewed-by-empty')).not.toBeNull();
+
+        getSessionViewers.mockResolvedValue(mockViewers.slice(0, 1));
+        await toggle(element);
+        await toggle(element);
+
+        expect(getSessionViewers).toHaveBeenCalledTimes(2);
+        expect(element.shadowRoot.querySelectorAll('.viewer-row')).toHaveLength(1);
+    });
+
+    it('shows an error when the log cannot be loaded', async () => {
+        getSessionViewers.mockRejectedValue({ body: { message: 'Insufficient access' } });
+        const element = createViewedBy();
+
+        await toggle(element);
+
+        expect(element.shadowRoot.querySelector('.viewed-by-error').textContent).toBe('Insufficient access');
+        expect(element.shadowRoot.querySelector('.viewer-row')).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+import { LightningElement, api, track } from 'lwc';
+import getSessionViewers from '@salesforce/apex/VoicecallSessionController.getSessionViewers';
+import Logger from 'c/loggerService';
+
+// Initialize component logger
+const log = Logger.create('CallViewedBy');
+
+export default class CallViewedBy extends LightningElement {
+    @api sessionId;
+
+    @track viewers = [];
+    @track isLoading = false;
+    @track error = null;
+    @track isExpanded = false;
+    @track isLoaded = false;
+
+    /**
+     * Load who has opened the call. Reloaded each time the list is expanded,
+     * since the log grows while the page is open.
+     */
+    async loadViewers() {
+        this.isLoading = true;
+        this.error = null;
+        try {
+            const viewers = await getSessionViewers({ sessionId: this.sessionId });
+            this.viewers = (viewers || []).map(viewer => ({
+                ...viewer,
+                lastAccessedLabel: this.formatDateTime(viewer.lastAccessed),
+                listenedLabel: `${viewer.listenedPercent || 0}%`,
+                exportLabel: viewer.exportCount === 1 ? '1 export' : `${viewer.exportCount || 0} exports`
+            }));
+            this.isLoaded = true;
+            log.debug('Viewers loaded', { count: this.viewers.length });
+        } catch (err) {
+            log.error('Failed to load viewers', err);
+            this.error = (err && err.body && err.body.message) || 'The access log could not be loaded.';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleToggle() {
+        this.isExpanded = !this.isExpanded;
+        if (this.isExpanded) {
+            this.loadViewers();
+        }
+    }
+
+    formatDateTime(value) {
+        if (!value) return '';
+        return new Date(value).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    // Computed properties
+    get hasViewers() {
+        return this.viewers.length > 0;
+    }
+
+    get showEmpty() {
+        return this.isLoaded && !this.isLoading && !this.error && !this.hasViewers;
+    }
+
+    get viewerCountLabel() {
+        if (!this.isLoaded) return '';
+        return this.viewers.length === 1 ? '1 person' : `${this.viewers.length} people`;
+    }
+
+    get toggleIcon() {
+        return this.isExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get toggleExpanded() {
+        return this.isExpanded ? 'true' : 'false';
+    }
+}
@@ -0,0 +1,105 @@
+import RecordingCache from 'c/recordingCache';
+
+describe('c-recording-cache', () => {
+    // Entry store kept in memory, in place of IndexedDB
+    const createMemoryStore = () => {
+        const entries = new Map();
+        return {
+            entries,
+            get: async (key) => entries.get(key) || null,
+            put: async (key, value, meta) => {
+                entries.set(key, { ...meta, key, value });
+            },
+            touch: async (meta) => {
+                entries.set(meta.key, { ...entries.get(meta.key), ...meta });
+            },
+            list: async () =>
+                Array.from(entries.values()).map((entry) => {
+                    const meta = { ...entry };
+                    delete meta.value;
+                    return meta;
+                }),
+            remove: async (keys) => keys.forEach((key) => entries.delete(key)),
+            clear: async () => entries.clear()
+        };
+    };
+
+    const createClock = () => {
+        let time = 1000;
+        const now = () => time;
+        now.advance = (ms) => {
+            time += ms;
+        };
+        return now;
+    };
+
+    it('returns cached values and misses unknown versions', async () => {
+        const cache = RecordingCache.createCache(createMemoryStore());
+        const transcript = { entries: [{ speaker: 'Agent', text: 'Hello' }], isRedacted: true };
+
+        expect(await cache.put('068000000000001AAA', transcript)).toBe(true);
+
+        expect(await cache.get('068000000000001AAA')).toEqual(transcript);
+        expect(await cache.get('068000000000002AAA')).toBeNull();
+    });
+
+    it('evicts the least recently used entries over the size cap', async () => {
+        const now = createClock();
+        const store = createMemoryStore();
+        // 'x'.repeat(n) is JSON "xx..x", so n + 2 characters at two bytes each
+        const cache = RecordingCache.createCache(store, { maxBytes: 100, now });
+
+        await cache.put('v1', 'x'.repeat(18));
+        now.advance(1);
+        await cache.put('v2', 'x'.repeat(18));
+        now.advance(1);
+        await cache.get('v1');
+        now.advance(1);
+        await cache.put('v3', 'x'.repeat(18));
+
+        expect(Array.from(store.entries.keys()).sort()).toEqual(['v1', 'v3']);
+    });
+
+    it('does not cache values larger than the size cap', async () => {
+        const store = createMemoryStore();
+        const cache = RecordingCache.createCache(store, { maxBytes: 10 });
+
+        expect(await cache.put('v1', 'x'.repeat(20))).toBe(false);
+        expect(store.entries.size).toBe(0);
+    });
+
+    it('fetches entries again once they are too old', async () => {
+        const now = createClock();
+        const store = createMemoryStore();
+        const cache = RecordingCache.createCache(store, { maxAgeMs: 500, now });
+
+        await cache.put('v1', 'transcript');
+        now.advance(400);
+        expect(await cache.get('v1')).toBe('transcript');
+
+        // Reading does not extend the age
+        now.advance(200);
+        expect(await cache.get('v1')).toBeNull();
+        expect(store.entries.size).toBe(0);
+    });
+
+    it('removes and clears entries', async () => {
+        const store = createMemoryStore();
+        const cache = RecordingCache.createCache(store);
+        await cache.put('v1', 'a');
+        await cache.put('v2', 'b');
+
+        await cache.remove('v1');
+        expect(Array.from(store.entries.keys())).toEqual(['v2']);
+
+        await cache.clear();
+        expect(store.entries.size).toBe(0);
+    });
+
+    it('misses and drops writes where IndexedDB is unavailable', async () => {
+        expect(RecordingCache.isSupported()).toBe(false);
+
+        await RecordingCache.put('v1', 'a');
+        expect(await RecordingCache.get('v1')).toBeNull();
+    });
+});
@@ -0,0 +1,294 @@
+/**
+ * RecordingCache - Browser cache of recordings and parsed transcripts
+ *
+ * Downloaded audio and parsed transcripts are kept in IndexedDB, so reopening
+ * a call, even after leaving the page, does not download it again. Entries are
+ * keyed by ContentVersion Id: a new version of a file is a new key, and the old
+ * version's entry ages out. Each user has their own database, since transcripts
+ * are masked per user. The player does not cache recordings for users whose
+ * transcripts are masked, as the audio of masked lines is only muted on playback.
+ *   Size cap   MAX_CACHE_BYTES; the least recently used entries are evicted
+ *   Max age    MAX_ENTRY_AGE_MS; older entries are fetched again, so changes to
+ *              Redaction Rules reach cached transcripts
+ * Where IndexedDB is unavailable (e.g. some private browsing modes) every read
+ * misses and writes are dropped.
+ *
+ * Reads from the cache are not seen by Apex, so the player logs them to the
+ * Call Access Log through VoicecallSessionController.logCachedFileAccess.
+ *
+ * Usage:
+ *   import RecordingCache from 'c/recordingCache';
+ *   const blob = await RecordingCache.get(versionId);  // null on a miss
+ *   await RecordingCache.put(versionId, blob);
+ *   await RecordingCache.clear();
+ */
+
+import userId from '@salesforce/user/Id';
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Total size of the cached entries, in bytes
+const MAX_CACHE_BYTES = 250 * 1024 * 1024;
+
+// Age after which an entry is fetched again, in milliseconds (7 days)
+const MAX_ENTRY_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DB_NAME_PREFIX = 'callRecordingCache';
+const DB_VERSION = 1;
+
+// Cached values by key, and their size and use times by key
+const DATA_STORE = 'data';
+const META_STORE = 'meta';
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+/**
+ * Approximate size of a value in bytes: a Blob's size, or the JSON length of
+ * anything else, at two bytes per character
+ */
+function sizeOf(value) {
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
+        return value.size;
+    }
+    return JSON.stringify(value === undefined ? null : value).length * 2;
+}
+
+/**
+ * Wait for an IndexedDB request
+ */
+const whenDone = (request) =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ */
+const whenComplete = (transaction) =>
+    new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+/**
+ * Open (and on first use create) the cache database
+ */
+function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore(DATA_STORE);
+            db.createObjectStore(META_STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Entry store backed by IndexedDB. Values and metadata are kept apart so
+ * eviction can read every entry's size without loading the recordings.
+ * @param {string} name - Database name
+ */
+function createIndexedDbStore(name) {
+    let database = null;
+    const transaction = async (mode) => {
+        if (!database) {
+            database = openDatabase(name);
+        }
+        return (await database).transaction([DATA_STORE, META_STORE], mode);
+    };
+
+    return {
+        async get(key) {
+            const tx = await transaction('readonly');
+            const [value, meta] = await Promise.all([
+                whenDone(tx.objectStore(DATA_STORE).get(key)),
+                whenDone(tx.objectStore(META_STORE).get(key))
+            ]);
+            return meta && value !== undefined ? { ...meta, value } : null;
+        },
+
+        async put(key, value, meta) {
+            const tx = await transaction('readwrite');
+            tx.objectStore(DATA_STORE).put(value, key);
+            tx.objectStore(META_STORE).put({ ...meta, key });
+            await whenComplete(tx);
+        },
+
+        async touch(meta) {
+            const tx = await transaction('readwrite');
+            tx.objectStore(META_STORE).put(meta);
+            await whenComplete(tx);
+        },
+
+        async list() {
+            const tx = await transaction('readonly');
+            return whenDone(tx.objectStore(META_STORE).getAll());
+        },
+
+        async remove(keys) {
+            const tx = await transaction('readwrite');
+            keys.forEach((key) => {
+                tx.objectStore(DATA_STORE).delete(key);
+                tx.objectStore(META_STORE).delete(key);
+            });
+            await whenComplete(tx);
+        },
+
+        async clear() {
+            const tx = await transaction('readwrite');
+            tx.objectStore(DATA_STORE).clear();
+            tx.objectStore(META_STORE).clear();
+            await whenComplete(tx);
+        }
+    };
+}
+
+/**
+ * Entry store that keeps nothing, used where IndexedDB is unavailable
+ */
+const NO_STORE = {
+    get: async () => null,
+    put: async () => {},
+    touch: async () => {},
+    list: async () => [],
+    remove: async () => {},
+    clear: async () => {}
+};
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+let defaultCache = null;
+
+const RecordingCache = {
+    MAX_CACHE_BYTES,
+    MAX_ENTRY_AGE_MS,
+
+    /**
+     * Check whether the browser can keep a cache
+     * @returns {boolean} True when IndexedDB is available
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined' && !!indexedDB;
+    },
+
+    /**
+     * Build a cache over an entry store
+     * @param {Object} store - get, put, touch, list, remove and clear, like createIndexedDbStore
+     * @param {Object} [options] - maxBytes, maxAgeMs and now (a clock, for tests)
+     * @returns {{get: Function, put: Function, remove: Function, clear: Function}} The cache
+     */
+    createCache(store, { maxBytes = MAX_CACHE_BYTES, maxAgeMs = MAX_ENTRY_AGE_MS, now = Date.now } = {}) {
+        // Evict the least recently used entries until the cache fits, keeping the newest entry
+        const evict = async (keepKey) => {
+            const entries = await store.list();
+            let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+            const evicted = [];
+            entries
+                .filter((entry) => entry.key !== keepKey)
+                .sort((a, b) => a.lastUsed - b.lastUsed)
+                .forEach((entry) => {
+                    if (total > maxBytes) {
+                        evicted.push(entry.key);
+                        total -= entry.size;
+                    }
+                });
+            if (evicted.length > 0) {
+                await store.remove(evicted);
+            }
+        };
+
+        return {
+            async get(key) {
+                const entry = key ? await store.get(key) : null;
+                if (!entry) {
+                    return null;
+                }
+                if (now() - entry.storedAt > maxAgeMs) {
+                    await store.remove([key]);
+                    return null;
+                }
+                await store.touch({ key, size: entry.size, storedAt: entry.storedAt, lastUsed: now() });
+                return entry.value;
+            },
+
+            async put(key, value) {
+                const size = sizeOf(value);
+                if (!key || size > maxBytes) {
+                    return false;
+                }
+                const time = now();
+                await store.put(key, value, { size, storedAt: time, lastUsed: time });
+                await evict(key);
+                return true;
+            },
+
+            remove(key) {
+                return store.remove([key]);
+            },
+
+            clear() {
+                return store.clear();
+            }
+        };
+    },
+
+    /**
+     * The running user's cache
+     */
+    getCache() {
+        if (!defaultCache) {
+            const store = RecordingCache.isSupported()
+                ? createIndexedDbStore(`${DB_NAME_PREFIX}-${userId}`)
+                : NO_STORE;
+            defaultCache = RecordingCache.createCache(store);
+        }
+        return defaultCache;
+    },
+
+    /**
+     * Read a cached value and mark it as recently used
+     * @param {string} versionId - ContentVersion Id
+     * @returns {Promise<*>} The value, or null when it is not cached or too old
+     */
+    get(versionId) {
+        return RecordingCache.getCache().get(versionId);
+    },
+
+    /**
+     * Cache a value, evicting the least recently used entries over the size cap
+     * @param {string} versionId - ContentVersion Id
+     * @param {*} value - A Blob, or a value IndexedDB can store
+     * @returns {Promise<boolean>} False when the value alone is over the size cap
+     */
+    put(versionId, value) {
+        return RecordingCache.getCache().put(versionId, value);
+    },
+
+    /**
+     * Drop one cached value
+     * @param {string} versionId - ContentVersion Id
+     */
+    remove(versionId) {
+        return RecordingCache.getCache().remove(versionId);
+    },
+
+    /**
+     * Drop every cached recording and transcript of the running user
+     */
+    clear() {
+        return RecordingCache.getCache().clear();
+    }
+};
+
+export default RecordingCache;
@@ -0,0 +1,82 @@
+import RecordingPairing from 'c/recordingPairing';
+
+describe('c-recording-pairing', () => {
+    const audio = (title, fileType = 'MP3') => ({ documentId: title, title, fileType });
+    const transcript = (title) => ({ documentId: title, title, fileType: 'TXT' });
+
+    describe('default rules', () => {
+        const rules = RecordingPairing.normalizeRules([]);
+
+        it('pairs the main recording with the va_ transcript and the _2 recording with the rt_ transcript', () => {
+            const recordings = RecordingPairing.pairRecordings(
+                [audio('call_2'), transcript('rt_transcript_1'), audio('call'), transcript('va_transcript_1')],
+                rules
+            );
+
+            expect(recordings.map((rec) => rec.type)).toEqual(['virtual_agent', 'agent']);
+            expect(recordings[0].audio.title).toBe('call');
+            expect(recordings[0].label).toBe('Virtual Agent');
+            expect(recordings[0].transcriptDoc.title).toBe('va_transcript_1');
+            expect(recordings[1].icon).toBe('👤');
+            expect(recordings[1].transcriptDoc.title).toBe('rt_transcript_1');
+        });
+
+        it('treats the main recording as a generic call when there is no va_ transcript', () => {
+            const recordings = RecordingPairing.pairRecordings([audio('call'), audio('call_2', 'wav')], rules);
+
+            expect(recordings.map((rec) => rec.type)).toEqual(['agent', 'call']);
+            expect(recordings[1]).toEqual(expect.objectContaining({ label: 'Recording', transcriptDoc: null }));
+        });
+
+        it('ignores documents that are not audio', () => {
+            expect(RecordingPairing.pairRecordings([transcript('va_transcript_1')], rules)).toEqual([]);
+            expect(RecordingPairing.pairRecordings(null, rules)).toEqual([]);
+        });
+    });
+
+    describe('configured rules', () => {
+        it('orders rules by sortOrder and falls back to defaults when none are valid', () => {
+            const rules = RecordingPairing.normalizeRules([
+                { name: 'Second', audioPattern: 'b', sortOrder: 20 },
+                { name: 'Unsorted', audioPattern: 'c' },
+                { name: 'First', audioPattern: 'a', sortOrder: 5 },
+                { name: 'Blank', audioPattern: '' }
+            ]);
+
+            expect(rules.map((rule) => rule.name)).toEqual(['First', 'Second', 'Unsorted']);
+            expect(RecordingPairing.normalizeRules(null).map((rule) => rule.name)).toEqual(['Virtual_Agent', 'Agent_Call']);
+        });
+
+        it('applies custom naming rules', () => {
+            const rules = RecordingPairing.normalizeRules([
+                { name: 'Ivr', audioPattern: '-ivr$', transcriptPattern: '^ivr-', recordingType: 'ivr', label: 'IVR', icon: '☎️', sortOrder: 1 },
+                { name: 'Agent', audioPattern: '-agent$', transcriptPattern: '^agent-', recordingType: 'agent', sortOrder: 2 }
+            ]);
+
+            const recordings = RecordingPairing.pairRecordings(
+                [audio('call-agent'), audio('call-ivr'), transcript('IVR-notes'), transcript('agent-notes')],
+                rules
+            );
+
+            expect(recordings.map((rec) => rec.type)).toEqual(['ivr', 'agent']);
+            expect(recordings[0].transcriptDoc.title).toBe('IVR-notes');
+            expect(recordings[1].label).toBe('Recording');
+            expect(recordings[1].transcriptDoc.title).toBe('agent-notes');
+        });
+    });
+
+    describe('helpers', () => {
+        it('matches case-insensitively and never matches blank or invalid patterns', () => {
+            expect(RecordingPairing.matches('^va_', 'VA_transcript')).toBe(true);
+            expect(RecordingPairing.matches('', 'anything')).toBe(false);
+            expect(RecordingPairing.matches('([', 'anything')).toBe(false);
+            expect(RecordingPairing.matches('_2', null)).toBe(false);
+        });
+
+        it('detects audio files by file type', () => {
+            expect(RecordingPairing.isAudioFile({ fileType: 'm4a' })).toBe(true);
+            expect(RecordingPairing.isAudioFile({ fileType: 'TXT' })).toBe(false);
+            expect(RecordingPairing.isAudioFile({})).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * RecordingPairing - Pairs audio recordings with their transcripts by file name
+ *
+ * Mirrors the Apex RecordingPairingRules so the player pairs files the same
+ * way as VoicecallSessionController. Rules come from Recording_Pairing_Rule__mdt
+ * (via getRecordingPairingRules); the built-in defaults match the Google CCAAS naming:
+ *   - Virtual Agent: primary recording (no _2 suffix) paired with va_transcript_*
+ *   - Agent Call:    secondary recording (*_2) paired with rt_transcript_*
+ *
+ * Usage:
+ *   import RecordingPairing from 'c/recordingPairing';
+ *   const rules = RecordingPairing.normalizeRules(await getRecordingPairingRules());
+ *   const recordings = RecordingPairing.pairRecordings(documents, rules);
+ */
+
+import AudioFormat from 'c/audioFormat';
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Keep in step with RecordingPairingRules.getDefaultRules() in Apex
+const DEFAULT_RULES = [
+    {
+        name: 'Virtual_Agent',
+        audioPattern: '^(?!.*_2)',
+        transcriptPattern: '^va_|va_transcript',
+        recordingType: 'virtual_agent',
+        label: 'Virtual Agent',
+        icon: '🤖',
+        sortOrder: 10,
+        requiresTranscript: true
+    },
+    {
+        name: 'Agent_Call',
+        audioPattern: '_2',
+        transcriptPattern: '^rt_|rt_transcript',
+        recordingType: 'agent',
+        label: 'Agent Call',
+        icon: '👤',
+        sortOrder: 20,
+        requiresTranscript: false
+    }
+];
+
+// Used for recordings no rule applies to
+const FALLBACK_RECORDING = {
+    type: 'call',
+    label: 'Recording',
+    icon: '🎙️'
+};
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Case-insensitive regular expression search
+ * @param {string} pattern - The pattern; blank or invalid patterns never match
+ * @param {string} value - The value to search
+ * @returns {boolean} True when the pattern is found in the value
+ */
+function matches(pattern, value) {
+    if (isBlank(pattern) || value === null || value === undefined) {
+        return false;
+    }
+    try {
+        return new RegExp(pattern, 'i').test(value);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Check whether a document is an audio recording (by FileType or file extension)
+ */
+const isAudioFile = (doc) => AudioFormat.isAudioFile(doc);
+
+/**
+ * Find the transcript paired with a rule. As before, the last matching file wins.
+ */
+function findTranscript(rule, transcriptDocs) {
+    if (isBlank(rule.transcriptPattern)) {
+        return null;
+    }
+    const matching = transcriptDocs.filter((doc) => matches(rule.transcriptPattern, doc.title || ''));
+    return matching.length > 0 ? matching[matching.length - 1] : null;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const RecordingPairing = {
+    /**
+     * Order rules for evaluation, falling back to the defaults when none are configured
+     * @param {Array} rules - Rules from getRecordingPairingRules
+     * @returns {Array} Rules with an audio pattern, in sortOrder order
+     */
+    normalizeRules(rules) {
+        const validRules = (rules || []).filter((rule) => rule && !isBlank(rule.audioPattern));
+        if (validRules.length === 0) {
+            return [...DEFAULT_RULES];
+        }
+
+        const sortValue = (rule) => (isBlank(rule.sortOrder) ? Number.MAX_SAFE_INTEGER : Number(rule.sortOrder));
+        return [...validRules].sort((a, b) => sortValue(a) - sortValue(b));
+    },
+
+    /**
+     * Pair each audio document with a rule and its transcript. The first rule whose
+     * audio pattern matches applies, unless it requires a transcript that is missing.
+     * @param {Array} documents - Session documents ({ documentId, title, fileType, ... })
+     * @param {Array} rules - Rules returned by normalizeRules
+     * @returns {Array<{audio: Object, type: string, label: string, icon: string, sortOrder: number, transcriptDoc: Object}>}
+     *          Recordings in rule order
+     */
+    pairRecordings(documents, rules) {
+        const docs = documents || [];
+        const activeRules = rules && rules.length > 0 ? rules : this.normalizeRules([]);
+        const transcriptDocs = docs.filter((doc) => !isAudioFile(doc));
+        const ruleTranscripts = activeRules.map((rule) => findTranscript(rule, transcriptDocs));
+
+        const recordings = docs.filter(isAudioFile).map((audio) => {
+            const ruleIndex = activeRules.findIndex((rule, index) =>
+                matches(rule.audioPattern, audio.title || '') && (!rule.requiresTranscript || !!ruleTranscripts[index])
+            );
+
+            if (ruleIndex < 0) {
+                return { audio, ...FALLBACK_RECORDING, sortOrder: activeRules.length, transcriptDoc: null };
+            }
+
+            const rule = activeRules[ruleIndex];
+            return {
+                audio,
+                type: rule.recordingType || FALLBACK_RECORDING.type,
+                label: rule.label || FALLBACK_RECORDING.label,
+                icon: rule.icon || FALLBACK_RECORDING.icon,
+                sortOrder: ruleIndex,
+                transcriptDoc: ruleTranscripts[ruleIndex]
+            };
+        });
+
+        return recordings.sort((a, b) => a.sortOrder - b.sortOrder);
+    },
+
+    isAudioFile,
+    matches
+};
+
+export default RecordingPairing;
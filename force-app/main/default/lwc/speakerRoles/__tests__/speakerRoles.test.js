@@ -0,0 +1,84 @@
+import SpeakerRoles from 'c/speakerRoles';
+
+describe('c-speaker-roles', () => {
+    const defaultRoles = SpeakerRoles.normalizeRoles([]);
+
+    describe('classify', () => {
+        it('classifies speakers with the default roles', () => {
+            const roleOf = (speaker) => SpeakerRoles.classify(speaker, defaultRoles).roleName;
+
+            expect(roleOf('Virtual Agent')).toBe('Bot');
+            expect(roleOf('CALLER')).toBe('Customer');
+            expect(roleOf('Supervisor Jane')).toBe('Supervisor');
+            expect(roleOf('Interpreter')).toBe('Translator');
+            expect(roleOf('Agent Smith')).toBe('Agent');
+            expect(roleOf('Jane Smith')).toBe('Agent');
+        });
+
+        it('uses a generic participant role when no default role is configured', () => {
+            const roles = SpeakerRoles.normalizeRoles([
+                { name: 'Nurse', roleName: 'Nurse', matchPatterns: ' nurse , ,triage', priority: 1 }
+            ]);
+
+            expect(SpeakerRoles.classify('Triage Desk', roles).roleName).toBe('Nurse');
+            expect(SpeakerRoles.classify('Customer', roles).roleName).toBe('Participant');
+            expect(SpeakerRoles.classify(null, roles).roleName).toBe('Participant');
+        });
+    });
+
+    describe('normalizeRoles', () => {
+        it('orders roles by priority and falls back to defaults', () => {
+            const roles = SpeakerRoles.normalizeRoles([
+                { name: 'Later', matchPatterns: 'b', priority: 20 },
+                { name: 'Unsorted', matchPatterns: 'c' },
+                { name: 'First', matchPatterns: 'a', priority: 5 },
+                { name: 'Empty', matchPatterns: '' }
+            ]);
+
+            expect(roles.map((role) => role.name)).toEqual(['First', 'Later', 'Unsorted']);
+            expect(SpeakerRoles.normalizeRoles(null).map((role) => role.name)).toEqual([
+                'Bot', 'Customer', 'Supervisor', 'Translator', 'Agent'
+            ]);
+        });
+    });
+
+    describe('assignSpeakers', () => {
+        it('gives each distinct speaker a stable colour in order of first appearance', () => {
+            const styles = SpeakerRoles.assignSpeakers(
+                ['Virtual Agent', 'Customer', 'Agent Kai', 'Customer', 'Agent Lani', 'Supervisor', 'Agent Kai'],
+                defaultRoles
+            );
+
+            expect(Array.from(styles.keys())).toEqual(['Virtual Agent', 'Customer', 'Agent Kai', 'Agent Lani', 'Supervisor']);
+            expect(styles.get('Virtual Agent')).toEqual({
+                speaker: 'Virtual Agent',
+                roleName: 'Bot',
+                cssClass: 'entry-speaker speaker-bot',
+                color: '#0d9488',
+                icon: '🤖'
+            });
+            expect(styles.get('Agent Kai').color).toBe('#6366f1');
+            expect(styles.get('Agent Lani').roleName).toBe('Agent');
+            expect(styles.get('Agent Lani').color).toBe('#7c3aed');
+            expect(styles.get('Supervisor').color).toBe('#d97706');
+        });
+
+        it('assigns palette colours to roles without a colour and cycles when the palette runs out', () => {
+            const roles = SpeakerRoles.normalizeRoles([{ name: 'Anyone', roleName: 'Anyone', isDefault: true }]);
+            const speakers = Array.from({ length: 12 }, (value, index) => `Speaker ${index + 1}`);
+
+            const styles = SpeakerRoles.assignSpeakers(speakers, roles);
+            const colors = speakers.map((speaker) => styles.get(speaker).color);
+
+            expect(new Set(colors.slice(0, 10)).size).toBe(10);
+            expect(colors[10]).toBe(colors[0]);
+            expect(colors[11]).toBe(colors[1]);
+            expect(styles.get('Speaker 1').cssClass).toBe('entry-speaker speaker-participant');
+            expect(styles.get('Speaker 1').icon).toBe('💬');
+        });
+
+        it('returns no styles for no speakers', () => {
+            expect(SpeakerRoles.assignSpeakers(null, defaultRoles).size).toBe(0);
+        });
+    });
+});
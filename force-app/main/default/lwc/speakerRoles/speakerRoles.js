@@ -0,0 +1,140 @@
+/**
+ * SpeakerRoles - Speaker role classification and colour assignment for transcripts
+ *
+ * Mirrors the Apex SpeakerRoleRules: roles come from Speaker_Role_Config__mdt (via
+ * getSpeakerRoles) in priority order. A speaker takes the first role with a match
+ * pattern contained in its name, otherwise the default role.
+ *
+ * Each distinct speaker gets its own colour, assigned in order of first appearance:
+ * the first speaker in a role uses the role colour, and every further speaker (or a
+ * role without a colour) takes the next unused palette colour. So a conference call
+ * with two agents shows them in different colours.
+ *
+ * Usage:
+ *   import SpeakerRoles from 'c/speakerRoles';
+ *   const roles = SpeakerRoles.normalizeRoles(await getSpeakerRoles());
+ *   const styles = SpeakerRoles.assignSpeakers(entries.map((entry) => entry.speaker), roles);
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Keep in step with SpeakerRoleRules.getDefaultRoles() in Apex
+const DEFAULT_ROLES = [
+    { name: 'Bot', roleName: 'Bot', matchPatterns: 'virtual agent,bot', cssClass: 'speaker-bot', color: '#0d9488', icon: '🤖', priority: 10, isDefault: false },
+    { name: 'Customer', roleName: 'Customer', matchPatterns: 'customer,caller', cssClass: 'speaker-customer', color: '#64748b', icon: '👤', priority: 20, isDefault: false },
+    { name: 'Supervisor', roleName: 'Supervisor', matchPatterns: 'supervisor,manager', cssClass: 'speaker-supervisor', color: '#d97706', icon: '⭐', priority: 30, isDefault: false },
+    { name: 'Translator', roleName: 'Translator', matchPatterns: 'translator,interpreter', cssClass: 'speaker-translator', color: '#0284c7', icon: '🌐', priority: 40, isDefault: false },
+    { name: 'Agent', roleName: 'Agent', matchPatterns: 'agent', cssClass: 'speaker-agent', color: '#6366f1', icon: '🎧', priority: 50, isDefault: true }
+];
+
+// Used when a speaker matches no role and no default role is configured
+const FALLBACK_ROLE = {
+    name: 'Participant',
+    roleName: 'Participant',
+    matchPatterns: '',
+    cssClass: 'speaker-participant',
+    color: null,
+    icon: '💬',
+    isDefault: true
+};
+
+// Colours for additional speakers, chosen to stay readable on a white background
+const SPEAKER_PALETTE = [
+    '#7c3aed', '#db2777', '#059669', '#ea580c', '#2563eb',
+    '#65a30d', '#9333ea', '#0891b2', '#be123c', '#a16207'
+];
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Split comma-separated match patterns into lower case, non-blank values
+ */
+const splitPatterns = (patterns) => (patterns || '')
+    .split(',')
+    .map((pattern) => pattern.trim().toLowerCase())
+    .filter((pattern) => !isBlank(pattern));
+
+/**
+ * Pick the next palette colour not used yet, cycling by speaker position once the palette runs out
+ */
+function nextPaletteColor(usedColors, speakerIndex) {
+    const unused = SPEAKER_PALETTE.find((color) => !usedColors.has(color));
+    return unused || SPEAKER_PALETTE[speakerIndex % SPEAKER_PALETTE.length];
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const SpeakerRoles = {
+    /**
+     * Order roles for matching, falling back to the defaults when none are configured
+     * @param {Array} roles - Roles from getSpeakerRoles
+     * @returns {Array} Roles in priority order
+     */
+    normalizeRoles(roles) {
+        const validRoles = (roles || []).filter((role) => role && (!isBlank(role.matchPatterns) || role.isDefault));
+        if (validRoles.length === 0) {
+            return [...DEFAULT_ROLES];
+        }
+
+        const sortValue = (role) => (isBlank(role.priority) ? Number.MAX_SAFE_INTEGER : Number(role.priority));
+        return [...validRoles].sort((a, b) => sortValue(a) - sortValue(b));
+    },
+
+    /**
+     * Find the role for a speaker name
+     * @param {string} speaker - The speaker name from the transcript
+     * @param {Array} roles - Roles returned by normalizeRoles
+     * @returns {Object} The first matching role, the default role, or a generic participant role
+     */
+    classify(speaker, roles) {
+        const speakerLower = (speaker || '').toLowerCase();
+        const activeRoles = roles && roles.length > 0 ? roles : DEFAULT_ROLES;
+
+        const matched = activeRoles.find((role) =>
+            splitPatterns(role.matchPatterns).some((pattern) => speakerLower.includes(pattern))
+        );
+        return matched || activeRoles.find((role) => role.isDefault) || FALLBACK_ROLE;
+    },
+
+    /**
+     * Assign a role and a stable colour to every distinct speaker
+     * @param {Array<string>} speakers - Speaker names in transcript order (duplicates allowed)
+     * @param {Array} roles - Roles returned by normalizeRoles
+     * @returns {Map<string, {speaker: string, roleName: string, cssClass: string, color: string, icon: string}>}
+     *          Speaker styles in order of first appearance
+     */
+    assignSpeakers(speakers, roles) {
+        const styles = new Map();
+        const usedColors = new Set();
+
+        for (const speaker of speakers || []) {
+            if (styles.has(speaker)) {
+                continue;
+            }
+
+            const role = this.classify(speaker, roles);
+            const roleColor = isBlank(role.color) ? null : role.color.toLowerCase();
+            const color = roleColor && !usedColors.has(roleColor) ? roleColor : nextPaletteColor(usedColors, styles.size);
+            usedColors.add(color);
+
+            styles.set(speaker, {
+                speaker,
+                roleName: role.roleName || role.name,
+                cssClass: `entry-speaker ${role.cssClass || FALLBACK_ROLE.cssClass}`,
+                color,
+                icon: role.icon || FALLBACK_ROLE.icon
+            });
+        }
+        return styles;
+    }
+};
+
+export default SpeakerRoles;
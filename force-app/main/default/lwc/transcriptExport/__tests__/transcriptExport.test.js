@@ -0,0 +1,105 @@
+import TranscriptExport from 'c/transcriptExport';
+
+describe('c-transcript-export', () => {
+    const entries = [
+        { timestamp: '10:00:00', seconds: 0, speaker: 'Agent', text: 'Hello, how can I help?' },
+        { timestamp: '10:00:15', seconds: 15, speaker: 'Customer', text: 'My bill says "<$50 & due>"' },
+        { timestamp: '10:01:05.5', seconds: 65.5, speaker: 'Agent', text: 'Let me check\nthat for you.' }
+    ];
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('toCsv', () => {
+        it('writes a header and one quoted row per line', () => {
+            expect(TranscriptExport.toCsv(entries).split('\r\n')).toEqual([
+                'Timestamp,Seconds,Speaker,Text',
+                '10:00:00,0,Agent,"Hello, how can I help?"',
+                '10:00:15,15,Customer,"My bill says ""<$50 & due>"""',
+                '10:01:05.5,65.5,Agent,"Let me check\nthat for you."',
+                ''
+            ]);
+        });
+    });
+
+    describe('captions', () => {
+        it('formats caption timestamps', () => {
+            expect(TranscriptExport.formatCueTime(3725.25, '.')).toBe('01:02:05.250');
+            expect(TranscriptExport.formatCueTime(0, ',')).toBe('00:00:00,000');
+        });
+
+        it('builds WebVTT cues that end when the next line starts', () => {
+            const vtt = TranscriptExport.toWebVtt(entries, 80);
+
+            expect(vtt.split('\n\n')).toEqual([
+                'WEBVTT',
+                '1\n00:00:00.000 --> 00:00:15.000\n<v Agent>Hello, how can I help?',
+                '2\n00:00:15.000 --> 00:01:05.500\n<v Customer>My bill says "&lt;$50 &amp; due&gt;"',
+                '3\n00:01:05.500 --> 00:01:20.000\n<v Agent>Let me check that for you.\n'
+            ]);
+        });
+
+        it('builds SRT cues with the speaker in the caption', () => {
+            const srt = TranscriptExport.toSrt(entries.slice(0, 1));
+
+            expect(srt).toBe('1\n00:00:00,000 --> 00:00:05,000\nAgent: Hello, how can I help?\n');
+        });
+
+        it('never ends a cue before it starts', () => {
+            const srt = TranscriptExport.toSrt([entries[1], { ...entries[0], seconds: 15 }], 10);
+
+            expect(srt).toContain('1\n00:00:15,000 --> 00:00:20,000');
+            expect(srt).toContain('2\n00:00:15,000 --> 00:00:20,000');
+        });
+    });
+
+    describe('toHtml', () => {
+        it('lists the call details above the escaped transcript', () => {
+            const html = TranscriptExport.toHtml(entries, {
+                title: 'Call Transcript - Agent Recording',
+                agentName: 'Jane <Agent>',
+                callDate: 'Jan 15, 2024',
+                duration: '1:20',
+                callId: '123',
+                recording: null
+            });
+
+            expect(html).toContain('<title>Call Transcript - Agent Recording</title>');
+            expect(html).toContain('<th>Agent</th><td>Jane &lt;Agent&gt;</td>');
+            expect(html).toContain('<th>Duration</th><td>1:20</td>');
+            expect(html).not.toContain('<th>Recording</th>');
+            expect(html).toContain('<span class="time">1:05</span><span class="speaker">Agent:</span> Let me check');
+            expect(html).toContain('My bill says &quot;&lt;$50 &amp; due&gt;&quot;');
+        });
+    });
+
+    describe('files', () => {
+        it('builds safe file names', () => {
+            expect(TranscriptExport.getFileName('Agent Recording', 'csv')).toBe('Agent_Recording_transcript.csv');
+            expect(TranscriptExport.getFileName('  ', 'vtt')).toBe('call_transcript.vtt');
+        });
+
+        it('downloads through a temporary link', () => {
+            URL.createObjectURL = jest.fn(() => 'blob:export');
+            URL.revokeObjectURL = jest.fn();
+            const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+                expect(this.href).toBe('blob:export');
+                expect(this.download).toBe('call_transcript.csv');
+            });
+
+            TranscriptExport.download('a,b', 'call_transcript.csv', 'text/csv');
+
+            expect(click).toHaveBeenCalled();
+            expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/csv;charset=utf-8');
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+            expect(document.body.children.length).toBe(0);
+        });
+
+        it('reports a blocked print window', () => {
+            jest.spyOn(window, 'open').mockReturnValue(null);
+
+            expect(TranscriptExport.print('<html></html>')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,260 @@
+/**
+ * TranscriptExport - Formatted exports of a parsed transcript
+ *
+ * Builds files from the entries TranscriptParser returns, rather than the
+ * original transcript file:
+ *   pdf   Printable HTML opened in the browser's print dialog (Save as PDF)
+ *   doc   The same HTML saved as a .doc file, which Word opens and can save as DOCX
+ *   vtt   WebVTT captions, one cue per line with the speaker as a voice tag
+ *   srt   SubRip captions
+ *   csv   One row per line: timestamp, seconds, speaker, text
+ *
+ * Usage:
+ *   import TranscriptExport from 'c/transcriptExport';
+ *   const csv = TranscriptExport.toCsv(entries);
+ *   TranscriptExport.download(csv, TranscriptExport.getFileName('Call 1', 'csv'), 'text/csv');
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Export menu entries, in menu order
+const FORMATS = [
+    { value: 'pdf', label: 'Printable (PDF)' },
+    { value: 'doc', label: 'Word document' },
+    { value: 'vtt', label: 'WebVTT captions' },
+    { value: 'srt', label: 'SRT captions' },
+    { value: 'csv', label: 'CSV' }
+];
+
+// How long the last caption stays on screen when the recording length is unknown
+const DEFAULT_CUE_SECONDS = 5;
+
+const CSV_COLUMNS = ['Timestamp', 'Seconds', 'Speaker', 'Text'];
+
+// Printed output: readable on paper and in Word, without the player's styling
+const DOCUMENT_STYLE = [
+    'body { font-family: Arial, sans-serif; font-size: 11pt; color: #000; margin: 2em; }',
+    'h1 { font-size: 16pt; margin-bottom: 0.5em; }',
+    'table.details { border-collapse: collapse; margin-bottom: 1.5em; }',
+    'table.details th { text-align: left; padding: 2px 12px 2px 0; font-weight: bold; }',
+    'table.details td { padding: 2px 0; }',
+    'p.entry { margin: 0 0 0.6em; }',
+    'span.time { color: #555; font-family: monospace; margin-right: 0.5em; }',
+    'span.speaker { font-weight: bold; }'
+].join('\n');
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+const escapeHtml = (value) =>
+    String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ */
+function escapeCsv(value) {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format seconds as m:ss, matching the player's transcript times
+ */
+function formatTime(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format seconds as a caption timestamp: hh:mm:ss.mmm (WebVTT) or hh:mm:ss,mmm (SRT)
+ */
+function formatCueTime(totalSeconds, separator) {
+    const millis = Math.max(0, Math.round((totalSeconds || 0) * 1000));
+    const hours = Math.floor(millis / 3600000);
+    const minutes = Math.floor((millis % 3600000) / 60000);
+    const seconds = Math.floor((millis % 60000) / 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis % 1000, 3)}`;
+}
+
+/**
+ * Pair each entry with the time its caption ends: the next line's start, or
+ * the end of the recording for the last line
+ */
+function toCues(entries, duration) {
+    const list = entries || [];
+    return list.map((entry, index) => {
+        const start = entry.seconds || 0;
+        const next = list[index + 1];
+        let end = next ? next.seconds : duration;
+        if (!(end > start)) {
+            end = start + DEFAULT_CUE_SECONDS;
+        }
+        return { entry, start, end };
+    });
+}
+
+/**
+ * Caption text must not contain blank lines, which end a cue
+ */
+const toCueText = (text) => (text || '').replace(/\s*\r?\n\s*/g, ' ').trim();
+
+/**
+ * WebVTT cue text is markup: & and < start entities and tags
+ */
+const escapeVtt = (text) => toCueText(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const TranscriptExport = {
+    FORMATS,
+    DEFAULT_CUE_SECONDS,
+
+    formatCueTime,
+
+    /**
+     * Build a standalone HTML document for printing or opening in Word
+     * @param {Array<{seconds: number, speaker: string, text: string}>} entries - Transcript entries in order
+     * @param {{title: string, agentName: string, callDate: string, duration: string, callId: string, recording: string}} details -
+     *        Call details listed above the transcript; blank values are left out
+     * @returns {string} The HTML document
+     */
+    toHtml(entries, details = {}) {
+        const title = details.title || 'Call Transcript';
+        const rows = [
+            ['Agent', details.agentName],
+            ['Date', details.callDate],
+            ['Duration', details.duration],
+            ['Call ID', details.callId],
+            ['Recording', details.recording]
+        ]
+            .filter(([, value]) => value)
+            .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`);
+
+        const lines = (entries || []).map(
+            (entry) =>
+                '<p class="entry">' +
+                `<span class="time">${formatTime(entry.seconds)}</span>` +
+                `<span class="speaker">${escapeHtml(entry.speaker)}:</span> ` +
+                `${escapeHtml(entry.text)}</p>`
+        );
+
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${escapeHtml(title)}</title>`,
+            `<style>\n${DOCUMENT_STYLE}\n</style>`,
+            '</head>',
+            '<body>',
+            `<h1>${escapeHtml(title)}</h1>`,
+            rows.length > 0 ? `<table class="details">\n${rows.join('\n')}\n</table>` : '',
+            ...lines,
+            '</body>',
+            '</html>'
+        ].join('\n');
+    },
+
+    /**
+     * Build WebVTT captions
+     * @param {Array<{seconds: number, speaker: string, text: string}>} entries - Transcript entries in order
+     * @param {number} duration - Recording length in seconds, used to end the last cue
+     * @returns {string} The WebVTT file
+     */
+    toWebVtt(entries, duration) {
+        const cues = toCues(entries, duration).map(({ entry, start, end }, index) => {
+            const voice = entry.speaker ? `<v ${escapeVtt(entry.speaker)}>` : '';
+            return `${index + 1}\n${formatCueTime(start, '.')} --> ${formatCueTime(end, '.')}\n${voice}${escapeVtt(entry.text)}`;
+        });
+        return ['WEBVTT', ...cues].join('\n\n') + '\n';
+    },
+
+    /**
+     * Build SRT captions; the speaker prefixes each caption
+     * @param {Array<{seconds: number, speaker: string, text: string}>} entries - Transcript entries in order
+     * @param {number} duration - Recording length in seconds, used to end the last cue
+     * @returns {string} The SRT file
+     */
+    toSrt(entries, duration) {
+        return toCues(entries, duration)
+            .map(({ entry, start, end }, index) => {
+                const speaker = entry.speaker ? `${toCueText(entry.speaker)}: ` : '';
+                return `${index + 1}\n${formatCueTime(start, ',')} --> ${formatCueTime(end, ',')}\n${speaker}${toCueText(entry.text)}\n`;
+            })
+            .join('\n');
+    },
+
+    /**
+     * Build CSV rows with a header row
+     * @param {Array<{timestamp: string, seconds: number, speaker: string, text: string}>} entries - Transcript entries in order
+     * @returns {string} The CSV file, with CRLF line endings
+     */
+    toCsv(entries) {
+        const rows = (entries || []).map((entry) =>
+            [entry.timestamp, entry.seconds, entry.speaker, entry.text].map(escapeCsv).join(',')
+        );
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Build a file name from a label, e.g. "Agent Recording" -> "Agent_Recording_transcript.csv"
+     * @param {string} label - Recording or call label
+     * @param {string} extension - File extension without the dot
+     * @returns {string} The file name
+     */
+    getFileName(label, extension) {
+        const base = (label || 'call').trim().replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'call';
+        return `${base}_transcript.${extension}`;
+    },
+
+    /**
+     * Save generated content as a file through a temporary link
+     * @param {string} content - File content
+     * @param {string} fileName - Name offered in the save dialog
+     * @param {string} mimeType - Content type, e.g. 'text/csv'
+     */
+    download(content, fileName, mimeType) {
+        // The byte order mark lets Excel and Word detect UTF-8
+        const url = URL.createObjectURL(new Blob(['\uFEFF', content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Open an HTML document in a new window and show the print dialog, where
+     * the user can choose Save as PDF
+     * @param {string} html - Document from toHtml
+     * @returns {boolean} False when the browser blocked the window
+     */
+    print(html) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            return false;
+        }
+        printWindow.document.open();
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        return true;
+    }
+};
+
+export default TranscriptExport;
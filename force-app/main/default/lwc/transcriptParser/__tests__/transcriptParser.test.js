@@ -0,0 +1,338 @@
+import TranscriptParser from 'c/transcriptParser';
+
+describe('c-transcript-parser', () => {
+    describe('CCAAS format', () => {
+        const content =
+            'Call ID: 12345\n' +
+            '---\n' +
+            '[10:30:00     Virtual Agent]     Hello, how can I help you today?\n' +
+            '[10:30:15     Customer]     I have a question about my order.\n' +
+            '[10:30:30     Virtual Agent]     Sure, I can help with that.\n';
+
+        it('detects the CCAAS format', () => {
+            expect(TranscriptParser.detectFormat(content)).toBe('CCAAS');
+        });
+
+        it('parses entries offset from the recording start time', () => {
+            const entries = TranscriptParser.parse(content, '10:30:00');
+
+            expect(entries).toEqual([
+                { timestamp: '10:30:00', seconds: 0, speaker: 'Virtual Agent', text: 'Hello, how can I help you today?', entryIndex: 0 },
+                { timestamp: '10:30:15', seconds: 15, speaker: 'Customer', text: 'I have a question about my order.', entryIndex: 1 },
+                { timestamp: '10:30:30', seconds: 30, speaker: 'Virtual Agent', text: 'Sure, I can help with that.', entryIndex: 2 }
+            ]);
+        });
+
+        it('calculates seconds from midnight without a start time', () => {
+            const entries = TranscriptParser.parse('[10:00:30     Agent]     Hello there.', null);
+
+            expect(entries[0].seconds).toBe(36030);
+        });
+
+        it('appends continuation lines to the previous entry', () => {
+            const entries = TranscriptParser.parse(
+                '[10:00:00     Agent]     This is the first line\r\n' +
+                'and this continues on the second line\r\n' +
+                '[10:00:30     Customer]     Got it.',
+                '10:00:00'
+            );
+
+            expect(entries.length).toBe(2);
+            expect(entries[0].text).toBe('This is the first line and this continues on the second line');
+        });
+
+        it('clamps negative offsets to 0', () => {
+            const entries = TranscriptParser.parse('[10:00:00     Agent]     Hello.', '10:00:30');
+
+            expect(entries[0].seconds).toBe(0);
+        });
+
+        it('keeps millisecond precision in timestamps and start time', () => {
+            const millisContent =
+                '[10:00:00.250     Agent]     Hello.\n' +
+                '[10:00:02,750     Customer]     Hi.';
+
+            const startTime = TranscriptParser.extractStartTime(millisContent);
+            const entries = TranscriptParser.parse(millisContent, startTime);
+
+            expect(startTime).toBe('10:00:00.250');
+            expect(entries.map((entry) => entry.seconds)).toEqual([0, 2.5]);
+            expect(entries[1].timestamp).toBe('10:00:02,750');
+        });
+
+        it('carries timestamps past midnight into the next day', () => {
+            const overnightContent =
+                '[23:59:50     Agent]     Still there?\n' +
+                '[23:59:58     Customer]     Yes.\n' +
+                '[00:00:05     Agent]     Great.\n' +
+                '[00:10:00     Customer]     Bye.';
+
+            const entries = TranscriptParser.parse(overnightContent, '23:59:50');
+
+            expect(entries.map((entry) => entry.seconds)).toEqual([0, 8, 15, 610]);
+        });
+
+        it('offsets entries after midnight from a start time the evening before', () => {
+            const entries = TranscriptParser.parse('[00:00:05     Agent]     Hello.', '23:59:50');
+
+            expect(entries[0].seconds).toBe(15);
+        });
+
+        it('keeps entries monotonically ordered', () => {
+            const entries = TranscriptParser.parse(
+                '[10:00:10     Agent]     First.\n' +
+                '[10:00:08     Customer]     Overlapping.\n' +
+                '[10:00:20     Agent]     Third.',
+                '10:00:00'
+            );
+
+            expect(entries.map((entry) => entry.seconds)).toEqual([10, 10, 20]);
+        });
+
+        it('ignores an invalid start time', () => {
+            const entries = TranscriptParser.parse('[00:00:30     Agent]     Hello.', 'invalid');
+
+            expect(entries[0].seconds).toBe(30);
+        });
+    });
+
+    describe('caption formats', () => {
+        it('parses WebVTT cues with voice tags and sub-second offsets', () => {
+            const content =
+                'WEBVTT\n\n' +
+                'NOTE exported from recorder\n\n' +
+                '1\n' +
+                '00:00:01.500 --> 00:00:04.000\n' +
+                '<v Virtual Agent>Hello, how can I help?</v>\n\n' +
+                '00:05.250 --> 00:08.000\n' +
+                '<v.loud Customer>I have a question\n' +
+                'about my order.\n';
+
+            const entries = TranscriptParser.parse(content, '10:00:00');
+
+            expect(TranscriptParser.detectFormat(content)).toBe('WEBVTT');
+            expect(entries).toEqual([
+                { timestamp: '00:00:01.500', seconds: 1.5, speaker: 'Virtual Agent', text: 'Hello, how can I help?', entryIndex: 0 },
+                { timestamp: '00:05.250', seconds: 5.25, speaker: 'Customer', text: 'I have a question about my order.', entryIndex: 1 }
+            ]);
+        });
+
+        it('parses SRT cues with speaker prefixes', () => {
+            const content =
+                '1\r\n' +
+                '00:00:00,000 --> 00:00:05,000\r\n' +
+                'Agent: Hello, how can I help?\r\n' +
+                '\r\n' +
+                '2\r\n' +
+                '00:00:05,500 --> 00:00:10,000\r\n' +
+                'I need assistance.\r\n';
+
+            const entries = TranscriptParser.parse(content, '00:00:00');
+
+            expect(TranscriptParser.detectFormat(content)).toBe('SRT');
+            expect(entries[0].speaker).toBe('Agent');
+            expect(entries[0].text).toBe('Hello, how can I help?');
+            expect(entries[1].speaker).toBe('Unknown Speaker');
+            expect(entries[1].seconds).toBe(5.5);
+            expect(entries[1].timestamp).toBe('00:00:05.500');
+        });
+    });
+
+    describe('JSON format', () => {
+        it('parses Amazon Connect style transcripts', () => {
+            const content = JSON.stringify({
+                Version: '1.1.0',
+                Transcript: [
+                    { ParticipantId: 'AGENT', BeginOffsetMillis: 1200, Content: 'Hello, how can I help you today?' },
+                    { ParticipantId: 'CUSTOMER', BeginOffsetMillis: 65000, Content: 'I have a question.' }
+                ]
+            });
+
+            const entries = TranscriptParser.parse(content, '10:00:00');
+
+            expect(TranscriptParser.detectFormat(content)).toBe('JSON');
+            expect(entries[0]).toEqual({
+                timestamp: '00:00:01',
+                seconds: 1.2,
+                speaker: 'AGENT',
+                text: 'Hello, how can I help you today?',
+                entryIndex: 0
+            });
+            expect(entries[1].timestamp).toBe('00:01:05');
+        });
+
+        it('parses Twilio style transcripts and reuses missing offsets', () => {
+            const content = JSON.stringify({
+                sentences: [
+                    { media_channel: 1, start_time: 0.5, transcript: 'Thanks for calling.' },
+                    { media_channel: 2, start_time: '00:00:04', transcript: 'Hi there.' },
+                    { media_channel: 2, transcript: 'Follow up.' }
+                ]
+            });
+
+            const entries = TranscriptParser.parse(content, null);
+
+            expect(entries.map((entry) => entry.seconds)).toEqual([0.5, 4, 4]);
+            expect(entries[0].speaker).toBe('1');
+        });
+
+        it('skips items without text in a top-level array', () => {
+            const entries = TranscriptParser.parse(
+                '[{"speaker": "Agent", "start": 3, "text": "Hello"}, {"speaker": "Customer", "start": 6}]',
+                null
+            );
+
+            expect(entries.length).toBe(1);
+            expect(entries[0].seconds).toBe(3);
+        });
+
+        it('does not mistake bracket transcripts for JSON arrays', () => {
+            expect(TranscriptParser.detectFormat('[10:00:00     Agent]     Hello.')).toBe('CCAAS');
+        });
+    });
+
+    describe('header metadata', () => {
+        it('parses a CCAAS header with "|" separated segments', () => {
+            const header = TranscriptParser.parseHeader(
+                'Call ID: 2403   |   2025-12-18     HST   |   49 sec\n' +
+                'Participants: Virtual Agent, Customer\n' +
+                'Language: en-US\n' +
+                '---\n' +
+                '[16:55:50     Virtual Agent]     Aloha!\n' +
+                'Note: not a header line'
+            );
+
+            expect(header.callId).toBe('2403');
+            expect(header.participants).toEqual(['Virtual Agent', 'Customer']);
+            expect(header.language).toBe('en-US');
+            expect(header.fields).toEqual([
+                { key: 'Call ID', value: '2403' },
+                { key: 'Date', value: '2025-12-18' },
+                { key: 'Time Zone', value: 'HST' },
+                { key: 'Duration', value: '49 sec' },
+                { key: 'Participants', value: 'Virtual Agent, Customer' },
+                { key: 'Language', value: 'en-US' }
+            ]);
+        });
+
+        it('collects the participants of every participant line', () => {
+            const header = TranscriptParser.parseHeader(
+                'Participants: Virtual Agent, Customer\n' +
+                'Participant: Agent; Supervisor\n' +
+                '[16:55:50     Virtual Agent]     Aloha!'
+            );
+
+            expect(header.participants).toEqual(['Virtual Agent', 'Customer', 'Agent', 'Supervisor']);
+        });
+
+        it('parses WebVTT header lines and start/end times', () => {
+            const header = TranscriptParser.parseHeader(
+                'WEBVTT\n' +
+                'Kind: captions\n' +
+                'Recording Start: 2024-01-15 10:29:45\n' +
+                'End Time: 2024-01-15 10:45:00\n\n' +
+                '00:00:01.000 --> 00:00:02.000\n' +
+                'Agent: Hello'
+            );
+
+            expect(header.fields.length).toBe(3);
+            expect(header.startTime).toBe('2024-01-15 10:29:45');
+            expect(header.endTime).toBe('2024-01-15 10:45:00');
+            expect(header.callId).toBeNull();
+        });
+
+        it('reads top-level scalar JSON properties', () => {
+            const header = TranscriptParser.parseHeader(JSON.stringify({
+                ContactId: 'abc-123',
+                LanguageCode: 'en-US',
+                Participants: [{ ParticipantId: 'AGENT' }],
+                Transcript: [{ ParticipantId: 'AGENT', BeginOffsetMillis: 0, Content: 'Hello' }]
+            }));
+
+            expect(header.callId).toBe('abc-123');
+            expect(header.language).toBe('en-US');
+            expect(header.fields).toEqual([
+                { key: 'ContactId', value: 'abc-123' },
+                { key: 'LanguageCode', value: 'en-US' }
+            ]);
+        });
+
+        it('returns an empty header when there is none', () => {
+            expect(TranscriptParser.parseHeader('[10:00:00     Agent]     Hello').fields).toEqual([]);
+            expect(TranscriptParser.parseHeader(null)).toEqual({
+                callId: null,
+                participants: [],
+                language: null,
+                startTime: null,
+                endTime: null,
+                fields: []
+            });
+        });
+
+        it('flags a Call ID that differs from the session', () => {
+            const header = TranscriptParser.parseHeader('Call ID: 2403\n---');
+
+            expect(TranscriptParser.isCallIdMismatch(header, ' 2403 ')).toBe(false);
+            expect(TranscriptParser.isCallIdMismatch(header, 9999)).toBe(true);
+            expect(TranscriptParser.isCallIdMismatch(header, null)).toBe(false);
+            expect(TranscriptParser.isCallIdMismatch(null, '2403')).toBe(false);
+        });
+    });
+
+    describe('detection and helpers', () => {
+        it('returns no entries for unrecognised or empty content', () => {
+            expect(TranscriptParser.detectFormat('Just some notes')).toBeNull();
+            expect(TranscriptParser.parse('Just some notes', '10:00:00')).toEqual([]);
+            expect(TranscriptParser.parse('', '10:00:00')).toEqual([]);
+            expect(TranscriptParser.parse(null, '10:00:00')).toEqual([]);
+        });
+
+        it('extracts the first bracketed timestamp as start time', () => {
+            expect(TranscriptParser.extractStartTime('Call ID: 1\n[10:30:45     Agent]     Hi')).toBe('10:30:45');
+            expect(TranscriptParser.extractStartTime('No timestamp here')).toBe('00:00:00');
+        });
+
+        it('extracts an explicit Recording Start header', () => {
+            expect(TranscriptParser.extractRecordingStart('Call ID: 1\nRecording Start: 10:29:45\n---')).toBe('10:29:45');
+            expect(TranscriptParser.extractRecordingStart('recording start time: 2024-01-15T10:29:45.250Z')).toBe('10:29:45.250');
+            expect(TranscriptParser.extractRecordingStart('[10:30:45     Agent]     Recording Start: 09:00:00')).toBeNull();
+            expect(TranscriptParser.extractRecordingStart('Call ID: 1\n[10:30:45     Agent]     Hi')).toBeNull();
+            expect(TranscriptParser.extractRecordingStart(null)).toBeNull();
+        });
+
+        it('converts time strings to seconds', () => {
+            expect(TranscriptParser.toSeconds('10:30:00')).toBe(37800);
+            expect(TranscriptParser.toSeconds('10:30:00.125')).toBe(37800.125);
+            expect(TranscriptParser.toSeconds('invalid')).toBe(0);
+            expect(TranscriptParser.cueTimeToSeconds('01:01:01,250')).toBe(3661.25);
+            expect(TranscriptParser.cueTimeToSeconds('abc')).toBe(0);
+        });
+
+        it('tries registered parsers before the built-in ones', () => {
+            TranscriptParser.register({
+                name: 'STUB',
+                usesClockTime: false,
+                canParse: (content) => content.startsWith('STUB'),
+                parse: (content) => [{ timestamp: '00:00:07', seconds: 7, speaker: 'Stub', text: content }]
+            });
+            TranscriptParser.register(null);
+
+            const entries = TranscriptParser.parse('STUB [10:00:00     Agent]     Hello', '10:00:00');
+
+            expect(entries).toEqual([
+                { timestamp: '00:00:07', seconds: 7, speaker: 'Stub', text: 'STUB [10:00:00     Agent]     Hello', entryIndex: 0 }
+            ]);
+        });
+
+        it('aligns entries parsed elsewhere to the recording', () => {
+            const entries = TranscriptParser.align([
+                { timestamp: '23:59:50', seconds: 86390, speaker: 'Agent', text: 'Hello' },
+                { timestamp: '00:00:10', seconds: 10, speaker: 'Customer', text: 'Hi' }
+            ], true, '23:59:40');
+
+            expect(entries.map((entry) => [entry.entryIndex, entry.seconds])).toEqual([[0, 10], [1, 30]]);
+            expect(TranscriptParser.align([{ seconds: 5 }], false, '10:00:00')[0].seconds).toBe(5);
+            expect(TranscriptParser.align(null, false, null)).toEqual([]);
+        });
+    });
+});
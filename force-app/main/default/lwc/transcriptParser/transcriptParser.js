@@ -0,0 +1,628 @@
+/**
+ * TranscriptParser - Client-side transcript parsing for LWC components
+ *
+ * Mirrors the Apex TranscriptParserRegistry so transcripts can be parsed in the
+ * browser without a round-trip to VoicecallSessionController.parseTranscript.
+ * Produces the same entries: { timestamp, seconds, speaker, text, entryIndex }.
+ *
+ * Built-in formats, in detection order:
+ *   - WebVTT captions          (WEBVTT header, cue timings relative to the audio)
+ *   - JSON transcripts         (Amazon Connect / Twilio style, offsets relative to the audio)
+ *   - SRT captions             (numbered cues, cue timings relative to the audio)
+ *   - Google CCAAS bracket     ([HH:MM:SS     Speaker]     Text, wall-clock times)
+ *
+ * Custom formats configured in Apex (Transcript_Parsers__c) are parsed on the
+ * server; align() times their entries like the built-in ones.
+ *
+ * Usage:
+ *   import TranscriptParser from 'c/transcriptParser';
+ *   const startTime = TranscriptParser.extractRecordingStart(content) || TranscriptParser.extractStartTime(content);
+ *   const entries = TranscriptParser.parse(content, startTime);
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const UNKNOWN_SPEAKER = 'Unknown Speaker';
+
+const SECONDS_PER_DAY = 86400;
+const HALF_DAY = SECONDS_PER_DAY / 2;
+
+// JSON keys (lower case) that may hold the list of transcript items
+const JSON_LIST_KEYS = ['transcript', 'sentences', 'entries', 'segments', 'results'];
+
+// JSON keys (lower case) checked in order for each entry field
+const JSON_TEXT_KEYS = ['text', 'content', 'transcript'];
+const JSON_SPEAKER_KEYS = ['speaker', 'participantrole', 'participantid', 'participant', 'role', 'channel', 'media_channel'];
+const JSON_SECONDS_KEYS = ['start_time', 'starttime', 'start', 'offset', 'seconds', 'timestamp'];
+const JSON_MILLIS_KEY = 'beginoffsetmillis';
+
+// Header keys (lower case, letters only) recognised for each header field
+const HEADER_KEYS = {
+    callId: ['callid', 'contactid', 'callsid', 'conversationid'],
+    participants: ['participants', 'participant', 'parties'],
+    language: ['language', 'languagecode', 'locale'],
+    startTime: ['starttime', 'start', 'started', 'recordingstart', 'recordingstarttime'],
+    endTime: ['endtime', 'end', 'ended', 'recordingend', 'recordingendtime']
+};
+
+// Patterns
+const CCAAS_LINE_PATTERN = /\[(\d{2}:\d{2}:\d{2}(?:[.,]\d{1,3})?)\s+(.+?)\]\s*(.*)/;
+const CUE_TIMING_PATTERN = /^((?:\d{1,2}:)?\d{2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d{1,2}:)?\d{2}:\d{2}[.,]\d{1,3})/;
+const SRT_TIMING_PATTERN = /^\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/m;
+const VOICE_TAG_PATTERN = /^<v(?:\.[^\s>]+)*\s+([^>]+)>(.*)$/;
+const SPEAKER_PREFIX_PATTERN = /^([^:<>]{1,40}):\s+(.*)$/;
+const START_TIME_PATTERN = /\[(\d{2}:\d{2}:\d{2}(?:[.,]\d{1,3})?)/;
+// "Recording Start: 10:29:45", optionally with a date ("2024-01-15 10:29:45" or ISO "2024-01-15T10:29:45.250Z")
+const RECORDING_START_PATTERN = /^\s*recording\s+start(?:\s+time)?\s*:[^\n]*?(\d{2}:\d{2}:\d{2}(?:[.,]\d{1,3})?)/im;
+const CLOCK_TIME_PATTERN = /^(\d+):(\d+):(\d+(?:\.\d+)?)$/;
+const HEADER_LINE_PATTERN = /^([A-Za-z][\w .\-/]{0,39}?)\s*:\s*(.*)$/;
+
+// Labels for unlabelled header segments, e.g. "Call ID: 2403   |   2025-12-18     HST   |   49 sec"
+const HEADER_SEGMENT_LABELS = [
+    { label: 'Date', pattern: /^(?:\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4})$/ },
+    { label: 'Duration', pattern: /^\d+(?:\.\d+)?\s*(?:s|secs?|seconds|m|mins?|minutes)$/i },
+    { label: 'Time Zone', pattern: /^(?:[A-Z]{2,5}|[A-Za-z_]+\/[A-Za-z_]+)$/ }
+];
+const HEADER_SEGMENT_DEFAULT_LABEL = 'Info';
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Convert HH:MM:SS or HH:MM:SS.mmm to total seconds
+ * @param {string} timeStr - Time string
+ * @returns {number} Seconds including the fractional part, or 0 when the value is not a clock time
+ */
+function toSeconds(timeStr) {
+    if (isBlank(timeStr)) return 0;
+
+    const match = String(timeStr).trim().replace(',', '.').match(CLOCK_TIME_PATTERN);
+    if (!match) return 0;
+
+    return (parseInt(match[1], 10) * 3600) + (parseInt(match[2], 10) * 60) + parseFloat(match[3]);
+}
+
+/**
+ * Convert a cue time (HH:MM:SS.mmm, MM:SS.mmm or HH:MM:SS,mmm) to seconds
+ * @param {string} timeStr - Cue time string
+ * @returns {number} Seconds including the fractional part, or 0 when invalid
+ */
+function cueTimeToSeconds(timeStr) {
+    if (isBlank(timeStr)) return 0;
+
+    const parts = String(timeStr).trim().replace(',', '.').split(':');
+    if (parts.length < 2 || parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) return 0;
+
+    return parts.reduce((total, part) => (total * 60) + parseFloat(part), 0);
+}
+
+/**
+ * Format seconds as HH:MM:SS
+ */
+function formatSeconds(totalSeconds) {
+    const whole = Math.floor(totalSeconds || 0);
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor((whole % 3600) / 60);
+    const seconds = whole % 60;
+    return [hours, minutes, seconds].map((part) => String(part).padStart(2, '0')).join(':');
+}
+
+/**
+ * Round to millisecond precision to avoid floating point noise
+ */
+const roundMillis = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Align raw entry seconds to the recording and assign entry indexes.
+ * Wall-clock formats are offset by the recording start time, and clock times
+ * that jump back by more than half a day are treated as crossing midnight.
+ * Entries never move backwards in time, so highlighting stays in order.
+ * @param {Array} entries - Entries with raw seconds
+ * @param {boolean} usesClockTime - True when the entry seconds are wall-clock times
+ * @param {number} startSeconds - The recording start as seconds from midnight
+ * @returns {Array} New entries with aligned seconds and entryIndex
+ */
+function alignToRecording(entries, usesClockTime, startSeconds) {
+    let dayOffset = 0;
+    let previousClock = null;
+    let previousSeconds = 0;
+
+    return entries.map((entry, entryIndex) => {
+        let seconds = entry.seconds;
+        if (usesClockTime) {
+            // Rolled over past 23:59:59 since the previous entry
+            if (previousClock !== null && entry.seconds < previousClock - HALF_DAY) {
+                dayOffset += SECONDS_PER_DAY;
+            }
+            previousClock = entry.seconds;
+
+            seconds = entry.seconds + dayOffset - startSeconds;
+
+            // Entry after midnight when the recording started the evening before
+            if (seconds < -HALF_DAY) {
+                seconds += SECONDS_PER_DAY;
+            }
+        }
+
+        // Negative times (recording starts after the entry) become 0,
+        // and out-of-order times are held at the previous entry
+        seconds = Math.max(0, roundMillis(seconds), previousSeconds);
+        previousSeconds = seconds;
+
+        return { ...entry, seconds, entryIndex };
+    });
+}
+
+/**
+ * Split content into lines. Lines are trimmed where they are used,
+ * so Windows line endings are tolerated.
+ */
+const splitLines = (content) => content.split('\n');
+
+// =============================================================================
+// Format Parsers
+// =============================================================================
+
+/**
+ * Google CCAAS bracket format. Timestamps may carry milliseconds
+ * ([16:55:50.250 ...]). Lines without a bracketed timestamp continue
+ * the previous entry; "Call ID:" headers and "---" separators are skipped.
+ */
+const ccaasParser = {
+    name: 'CCAAS',
+    usesClockTime: true,
+
+    canParse(content) {
+        return splitLines(content).some((line) => CCAAS_LINE_PATTERN.test(line.trim()));
+    },
+
+    parse(content) {
+        const entries = [];
+        let currentEntry = null;
+
+        for (const line of splitLines(content)) {
+            // Skip header lines and separators
+            if (line.startsWith('Call ID:') || line.startsWith('---') || isBlank(line)) {
+                continue;
+            }
+
+            const match = line.trim().match(CCAAS_LINE_PATTERN);
+            if (match) {
+                // New entry with timestamp
+                if (currentEntry) {
+                    entries.push(currentEntry);
+                }
+                currentEntry = {
+                    timestamp: match[1],
+                    seconds: toSeconds(match[1]),
+                    speaker: match[2].trim(),
+                    text: match[3].trim()
+                };
+            } else if (currentEntry) {
+                // Continuation of previous entry
+                currentEntry.text += ' ' + line.trim();
+            }
+        }
+
+        // Add last entry
+        if (currentEntry) {
+            entries.push(currentEntry);
+        }
+        return entries;
+    }
+};
+
+/**
+ * Append a caption text line to a cue, picking up the speaker from a
+ * WebVTT voice tag (<v Agent>) or a "Speaker: text" prefix on the first line
+ */
+function appendCueText(entry, line) {
+    let text = line;
+
+    if (isBlank(entry.text) && isBlank(entry.speaker)) {
+        const voiceTag = text.match(VOICE_TAG_PATTERN);
+        const speakerPrefix = text.match(SPEAKER_PREFIX_PATTERN);
+        if (voiceTag) {
+            entry.speaker = voiceTag[1].trim();
+            text = voiceTag[2];
+        } else if (speakerPrefix) {
+            entry.speaker = speakerPrefix[1].trim();
+            text = speakerPrefix[2];
+        }
+    }
+
+    // Strip remaining markup such as </v>, <i> or <00:00:01.000>
+    text = text.replace(/<[^>]*>/g, '').trim();
+    if (isBlank(text)) {
+        return;
+    }
+    entry.text = isBlank(entry.text) ? text : `${entry.text} ${text}`;
+}
+
+/**
+ * Shared cue parsing for caption formats. A cue is a timing line
+ * (start --> end) followed by one or more text lines up to a blank line.
+ */
+function parseCues(content) {
+    const entries = [];
+    let currentEntry = null;
+
+    for (const rawLine of splitLines(content)) {
+        const line = rawLine.trim();
+
+        // A blank line ends the current cue
+        if (isBlank(line)) {
+            currentEntry = null;
+            continue;
+        }
+
+        const timing = line.match(CUE_TIMING_PATTERN);
+        if (timing) {
+            currentEntry = {
+                timestamp: timing[1].replace(',', '.'),
+                seconds: cueTimeToSeconds(timing[1]),
+                speaker: null,
+                text: ''
+            };
+            entries.push(currentEntry);
+            continue;
+        }
+
+        // Cue identifiers, headers and NOTE/STYLE blocks sit outside a cue
+        if (currentEntry) {
+            appendCueText(currentEntry, line);
+        }
+    }
+
+    return entries
+        .filter((entry) => !isBlank(entry.text))
+        .map((entry) => ({ ...entry, speaker: isBlank(entry.speaker) ? UNKNOWN_SPEAKER : entry.speaker }));
+}
+
+const webVttParser = {
+    name: 'WEBVTT',
+    usesClockTime: false,
+
+    canParse(content) {
+        return content.replace(/^\uFEFF/, '').trim().startsWith('WEBVTT');
+    },
+
+    parse: parseCues
+};
+
+const srtParser = {
+    name: 'SRT',
+    usesClockTime: false,
+
+    canParse(content) {
+        return SRT_TIMING_PATTERN.test(content);
+    },
+
+    parse: parseCues
+};
+
+/**
+ * Find the list of transcript items in parsed JSON and normalise their keys to lower case
+ */
+function extractJsonItems(root) {
+    let rawItems = [];
+    if (Array.isArray(root)) {
+        rawItems = root;
+    } else if (root && typeof root === 'object') {
+        const listKey = Object.keys(root).find(
+            (key) => JSON_LIST_KEYS.includes(key.toLowerCase()) && Array.isArray(root[key])
+        );
+        rawItems = listKey ? root[listKey] : [];
+    }
+
+    return rawItems
+        .filter((item) => item && typeof item === 'object' && !Array.isArray(item))
+        .map((item) => Object.keys(item).reduce((normalised, key) => {
+            normalised[key.toLowerCase()] = item[key];
+            return normalised;
+        }, {}));
+}
+
+function firstJsonValue(item, keys) {
+    for (const key of keys) {
+        const value = item[key];
+        if (!isBlank(value)) {
+            return String(value);
+        }
+    }
+    return null;
+}
+
+function readJsonSeconds(item) {
+    const millis = item[JSON_MILLIS_KEY];
+    if (!isBlank(millis)) {
+        const value = Number(millis);
+        return isNaN(value) ? null : value / 1000;
+    }
+
+    const value = firstJsonValue(item, JSON_SECONDS_KEYS);
+    if (value === null) {
+        return null;
+    }
+    if (value.includes(':')) {
+        return cueTimeToSeconds(value);
+    }
+    const seconds = Number(value);
+    return isNaN(seconds) ? null : seconds;
+}
+
+function parseJson(content) {
+    try {
+        return JSON.parse(content.trim());
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * JSON transcripts, either a top-level array of items or an object holding the
+ * array under a known key (Amazon Connect "Transcript", Twilio "sentences").
+ * Offsets are relative to the start of the audio.
+ */
+const jsonParser = {
+    name: 'JSON',
+    usesClockTime: false,
+
+    canParse(content) {
+        const trimmed = content.trim();
+        if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+            return false;
+        }
+        return extractJsonItems(parseJson(trimmed)).length > 0;
+    },
+
+    parse(content) {
+        const entries = [];
+        let lastSeconds = 0;
+
+        for (const item of extractJsonItems(parseJson(content))) {
+            const text = firstJsonValue(item, JSON_TEXT_KEYS);
+            if (isBlank(text)) {
+                continue;
+            }
+
+            let seconds = readJsonSeconds(item);
+            if (seconds === null) {
+                seconds = lastSeconds;
+            }
+            lastSeconds = seconds;
+
+            const speaker = firstJsonValue(item, JSON_SPEAKER_KEYS);
+            entries.push({
+                timestamp: formatSeconds(seconds),
+                seconds,
+                speaker: isBlank(speaker) ? UNKNOWN_SPEAKER : speaker,
+                text: text.trim()
+            });
+        }
+        return entries;
+    }
+};
+
+// Registered parsers in detection order
+const parsers = [webVttParser, jsonParser, srtParser, ccaasParser];
+
+// =============================================================================
+// Header Metadata
+// =============================================================================
+
+/**
+ * Label a header segment without a "Key:" prefix by the shape of its value
+ */
+function labelHeaderSegment(value) {
+    const rule = HEADER_SEGMENT_LABELS.find((segmentLabel) => segmentLabel.pattern.test(value));
+    return rule ? rule.label : HEADER_SEGMENT_DEFAULT_LABEL;
+}
+
+/**
+ * Collect the "Key: value" lines at the top of a text transcript, before the
+ * first entry. "---" separators and the WEBVTT signature line are skipped.
+ * A line may hold several "|" separated segments; segments without a key
+ * (a date, time zone or duration) are labelled by their value.
+ */
+function readTextHeaderFields(content) {
+    const fields = [];
+
+    for (const rawLine of splitLines(content.replace(/^\uFEFF/, ''))) {
+        const line = rawLine.trim();
+        if (isBlank(line) || line.startsWith('---') || (fields.length === 0 && line.startsWith('WEBVTT'))) {
+            continue;
+        }
+
+        const segments = line.split('|').map((segment) => segment.trim()).filter((segment) => !isBlank(segment));
+        const match = segments.length > 0 ? segments[0].match(HEADER_LINE_PATTERN) : null;
+        if (!match) {
+            break;
+        }
+        fields.push({ key: match[1].trim(), value: match[2].trim() });
+
+        for (const segment of segments.slice(1)) {
+            const segmentMatch = segment.match(HEADER_LINE_PATTERN);
+            if (segmentMatch) {
+                fields.push({ key: segmentMatch[1].trim(), value: segmentMatch[2].trim() });
+                continue;
+            }
+            for (const value of segment.split(/\s{2,}/)) {
+                fields.push({ key: labelHeaderSegment(value), value });
+            }
+        }
+    }
+    return fields;
+}
+
+/**
+ * Collect the top-level scalar properties of a JSON transcript object
+ */
+function readJsonHeaderFields(root) {
+    if (!root || typeof root !== 'object' || Array.isArray(root)) {
+        return [];
+    }
+    return Object.keys(root)
+        .filter((key) => ['string', 'number', 'boolean'].includes(typeof root[key]))
+        .map((key) => ({ key, value: String(root[key]) }));
+}
+
+/**
+ * Build the structured header from its raw key/value fields
+ */
+function buildHeader(fields) {
+    const header = {
+        callId: null,
+        participants: [],
+        language: null,
+        startTime: null,
+        endTime: null,
+        fields
+    };
+
+    for (const field of fields) {
+        const normalisedKey = field.key.toLowerCase().replace(/[^a-z]/g, '');
+        const headerKey = Object.keys(HEADER_KEYS).find((name) => HEADER_KEYS[name].includes(normalisedKey));
+        if (!headerKey || isBlank(field.value)) {
+            continue;
+        }
+
+        if (headerKey === 'participants') {
+            // Every participant line adds to the list, as in Apex
+            header.participants.push(...field.value.split(/[,;]/).map((name) => name.trim()).filter((name) => !isBlank(name)));
+        } else if (header[headerKey] === null) {
+            header[headerKey] = field.value;
+        }
+    }
+    return header;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const TranscriptParser = {
+    /**
+     * Detect the parser for the given transcript content
+     * @param {string} content - The raw transcript text
+     * @returns {Object|null} The first parser that accepts the content
+     */
+    detect(content) {
+        if (isBlank(content)) {
+            return null;
+        }
+        return parsers.find((parser) => parser.canParse(content)) || null;
+    },
+
+    /**
+     * Detect the format name for the given transcript content
+     * @param {string} content - The raw transcript text
+     * @returns {string|null} Format name, e.g. 'CCAAS' or 'WEBVTT'
+     */
+    detectFormat(content) {
+        const parser = this.detect(content);
+        return parser ? parser.name : null;
+    },
+
+    /**
+     * Register an additional parser. Registered parsers are tried before the built-in ones.
+     * @param {{name: string, usesClockTime: boolean, canParse: Function, parse: Function}} parser
+     */
+    register(parser) {
+        if (parser && typeof parser.canParse === 'function' && typeof parser.parse === 'function') {
+            parsers.unshift(parser);
+        }
+    },
+
+    /**
+     * Extract the recording start time from the first bracketed timestamp
+     * @param {string} content - The raw transcript text
+     * @returns {string} HH:MM:SS (with milliseconds when present), or 00:00:00 when none is found
+     */
+    extractStartTime(content) {
+        const match = (content || '').match(START_TIME_PATTERN);
+        return match ? match[1] : '00:00:00';
+    },
+
+    /**
+     * Extract an explicit recording start time from a "Recording Start:" header line
+     * @param {string} content - The raw transcript text
+     * @returns {string|null} HH:MM:SS (with milliseconds when present), or null when there is no header
+     */
+    extractRecordingStart(content) {
+        const match = (content || '').match(RECORDING_START_PATTERN);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Parse the header block of a transcript: the "Key: value" lines before the first
+     * entry, or the top-level properties of a JSON transcript
+     * @param {string} content - The raw transcript text
+     * @returns {{callId: string, participants: string[], language: string, startTime: string, endTime: string, fields: Array<{key: string, value: string}>}}
+     */
+    parseHeader(content) {
+        if (isBlank(content)) {
+            return buildHeader([]);
+        }
+        const parser = this.detect(content);
+        const fields = parser && parser.name === 'JSON'
+            ? readJsonHeaderFields(parseJson(content))
+            : readTextHeaderFields(content);
+        return buildHeader(fields);
+    },
+
+    /**
+     * Check whether the transcript header names a different call than the session
+     * @param {Object} header - Header returned by parseHeader
+     * @param {string} expectedCallId - The session's call ID
+     * @returns {boolean} True only when both IDs are present and differ
+     */
+    isCallIdMismatch(header, expectedCallId) {
+        if (!header || isBlank(header.callId) || isBlank(expectedCallId)) {
+            return false;
+        }
+        return header.callId.trim().toLowerCase() !== String(expectedCallId).trim().toLowerCase();
+    },
+
+    /**
+     * Parse transcript content into structured entries with timing
+     * @param {string} content - The raw transcript text
+     * @param {string} recordingStartTime - The time the recording started (HH:MM:SS or HH:MM:SS.mmm)
+     * @returns {Array<{timestamp: string, seconds: number, speaker: string, text: string, entryIndex: number}>}
+     */
+    parse(content, recordingStartTime) {
+        const parser = this.detect(content);
+        if (!parser) {
+            return [];
+        }
+        return this.align(parser.parse(content), parser.usesClockTime, recordingStartTime);
+    },
+
+    /**
+     * Align entries with raw seconds to the recording, e.g. entries of a custom
+     * format parsed by an Apex TranscriptFormatParser
+     * @param {Array<{timestamp: string, seconds: number, speaker: string, text: string}>} entries - Entries with raw seconds
+     * @param {boolean} usesClockTime - True when the entry seconds are wall-clock times
+     * @param {string} recordingStartTime - The time the recording started (HH:MM:SS or HH:MM:SS.mmm)
+     * @returns {Array<{timestamp: string, seconds: number, speaker: string, text: string, entryIndex: number}>}
+     */
+    align(entries, usesClockTime, recordingStartTime) {
+        // Only wall-clock formats are offset by the recording start time;
+        // caption and JSON timings are already relative to the audio
+        const startSeconds = usesClockTime && !isBlank(recordingStartTime)
+            ? toSeconds(recordingStartTime)
+            : 0;
+
+        return alignToRecording(entries || [], !!usesClockTime, startSeconds);
+    },
+
+    toSeconds,
+    cueTimeToSeconds
+};
+
+export default TranscriptParser;
@@ -0,0 +1,51 @@
+import TranscriptSearch from 'c/transcriptSearch';
+
+describe('c-transcript-search', () => {
+    const entries = [
+        { text: 'Do you want a refund?' },
+        { text: 'Refund, refund, REFUND!' },
+        { text: 'No thanks.' }
+    ];
+
+    describe('findMatches', () => {
+        it('finds every case-insensitive match in order', () => {
+            const matches = TranscriptSearch.findMatches(entries, 'refund');
+
+            expect(matches).toEqual([
+                { entryIndex: 0, position: 14 },
+                { entryIndex: 1, position: 0 },
+                { entryIndex: 1, position: 8 },
+                { entryIndex: 1, position: 16 }
+            ]);
+        });
+
+        it('matches the query literally', () => {
+            expect(TranscriptSearch.findMatches([{ text: 'Total: $4.99 (approx.)' }], '$4.99 (').length).toBe(1);
+            expect(TranscriptSearch.findMatches([{ text: 'Total: 4199' }], '4.99').length).toBe(0);
+        });
+
+        it('ignores queries shorter than the minimum length', () => {
+            expect(TranscriptSearch.isSearchable(' a ')).toBe(false);
+            expect(TranscriptSearch.isSearchable('no')).toBe(true);
+            expect(TranscriptSearch.findMatches(entries, 'a')).toEqual([]);
+            expect(TranscriptSearch.findMatches(null, 'refund')).toEqual([]);
+        });
+    });
+
+    describe('splitText', () => {
+        it('splits text into plain and matching segments', () => {
+            expect(TranscriptSearch.splitText('Refund, refund!', 'refund')).toEqual([
+                { text: 'Refund', isMatch: true },
+                { text: ', ', isMatch: false },
+                { text: 'refund', isMatch: true },
+                { text: '!', isMatch: false }
+            ]);
+        });
+
+        it('returns the whole text when there is nothing to highlight', () => {
+            expect(TranscriptSearch.splitText('No thanks.', 'refund')).toEqual([{ text: 'No thanks.', isMatch: false }]);
+            expect(TranscriptSearch.splitText('No thanks.', '')).toEqual([{ text: 'No thanks.', isMatch: false }]);
+            expect(TranscriptSearch.splitText(null, 'refund')).toEqual([{ text: '', isMatch: false }]);
+        });
+    });
+});
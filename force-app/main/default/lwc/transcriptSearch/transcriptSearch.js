@@ -0,0 +1,100 @@
+/**
+ * TranscriptSearch - Full-text search within parsed transcript entries
+ *
+ * Finds every occurrence of a query in the entry text (case-insensitive,
+ * matched literally) and splits text into segments so matches can be
+ * highlighted without rendering HTML.
+ *
+ * Usage:
+ *   import TranscriptSearch from 'c/transcriptSearch';
+ *   const matches = TranscriptSearch.findMatches(entries, 'refund');
+ *   const segments = TranscriptSearch.splitText(entry.text, 'refund');
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Shorter queries would highlight most of the transcript
+const MIN_QUERY_LENGTH = 2;
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeQuery = (query) => (query || '').trim();
+
+/**
+ * Build a global, case-insensitive pattern that matches the query literally
+ */
+const buildPattern = (query) => new RegExp(escapeRegExp(normalizeQuery(query)), 'gi');
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+const TranscriptSearch = {
+    MIN_QUERY_LENGTH,
+
+    /**
+     * Check whether a query is long enough to search for
+     * @param {string} query - The search text
+     * @returns {boolean} True when the trimmed query has at least MIN_QUERY_LENGTH characters
+     */
+    isSearchable(query) {
+        return normalizeQuery(query).length >= MIN_QUERY_LENGTH;
+    },
+
+    /**
+     * Find every match of a query in the entries' text
+     * @param {Array<{text: string}>} entries - Transcript entries in order
+     * @param {string} query - The search text
+     * @returns {Array<{entryIndex: number, position: number}>} Matches in transcript order;
+     *          entryIndex is the position of the entry in the array
+     */
+    findMatches(entries, query) {
+        if (!this.isSearchable(query)) {
+            return [];
+        }
+
+        const pattern = buildPattern(query);
+        const matches = [];
+        (entries || []).forEach((entry, entryIndex) => {
+            for (const match of (entry.text || '').matchAll(pattern)) {
+                matches.push({ entryIndex, position: match.index });
+            }
+        });
+        return matches;
+    },
+
+    /**
+     * Split text into plain and matching segments
+     * @param {string} text - The entry text
+     * @param {string} query - The search text
+     * @returns {Array<{text: string, isMatch: boolean}>} Segments that join back into the text
+     */
+    splitText(text, query) {
+        const value = text || '';
+        if (!this.isSearchable(query)) {
+            return [{ text: value, isMatch: false }];
+        }
+
+        const segments = [];
+        let lastIndex = 0;
+        for (const match of value.matchAll(buildPattern(query))) {
+            if (match.index > lastIndex) {
+                segments.push({ text: value.substring(lastIndex, match.index), isMatch: false });
+            }
+            segments.push({ text: match[0], isMatch: true });
+            lastIndex = match.index + match[0].length;
+        }
+        if (lastIndex < value.length || segments.length === 0) {
+            segments.push({ text: value.substring(lastIndex), isMatch: false });
+        }
+        return segments;
+    }
+};
+
+export default TranscriptSearch;
@@ -1,10 +1,15 @@
 import { createElement } from "lwc";
 import VoicecallSessionPlayer from "c/voicecallSessionPlayer";
-import getVoicecallSessions from "@salesforce/apex/VoicecallSessionController.getVoicecallSessions";
+import getVoicecallSessionPage from "@salesforce/apex/VoicecallSessionController.getVoicecallSessionPage";
+import searchCaseTranscripts from "@salesforce/apex/VoicecallSessionController.searchCaseTranscripts";
+import logCallAccess from "@salesforce/apex/VoicecallSessionController.logCallAccess";
+import getVoicecallSessionCount from "@salesforce/apex/VoicecallSessionController.getVoicecallSessionCount";
+import RecordingCache from "c/recordingCache";
+import { CurrentPageReference } from "lightning/navigation";
 
 // Mock the Apex wire adapter
 jest.mock(
-  "@salesforce/apex/VoicecallSessionController.getVoicecallSessions",
+  "@salesforce/apex/VoicecallSessionController.getVoicecallSessionPage",
   () => {
     const { createApexTestWireAdapter } = require("@salesforce/sfdx-lwc-jest");
     return {
@@ -14,6 +19,29 @@ jest.mock(
   { virtual: true }
 );
 
+jest.mock(
+  "@salesforce/apex/VoicecallSessionController.getVoicecallSessionCount",
+  () => {
+    const { createApexTestWireAdapter } = require("@salesforce/sfdx-lwc-jest");
+    return {
+      default: createApexTestWireAdapter(jest.fn()),
+    };
+  },
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/VoicecallSessionController.searchCaseTranscripts",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/VoicecallSessionController.logCallAccess",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+
 describe("c-voicecall-session-player", () => {
   afterEach(() => {
     // Clean up DOM after each test
@@ -85,7 +113,7 @@ describe("c-voicecall-session-player", () => {
       document.body.appendChild(element);
 
       // Emit data from the wire adapter
-      getVoicecallSessions.emit(mockSessionData);
+      getVoicecallSessionPage.emit(mockSessionData);
 
       await flushPromises();
 
@@ -101,7 +129,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit(mockSessionData);
+      getVoicecallSessionPage.emit(mockSessionData);
 
       await flushPromises();
 
@@ -116,7 +144,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit(mockSessionData);
+      getVoicecallSessionPage.emit(mockSessionData);
 
       await flushPromises();
 
@@ -134,7 +162,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit(mockSessionData);
+      getVoicecallSessionPage.emit(mockSessionData);
 
       await flushPromises();
 
@@ -151,7 +179,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit(mockSessionData);
+      getVoicecallSessionPage.emit(mockSessionData);
 
       await flushPromises();
 
@@ -166,7 +194,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit(mockSessionData);
+      getVoicecallSessionPage.emit(mockSessionData);
 
       await flushPromises();
 
@@ -185,7 +213,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([]);
+      getVoicecallSessionPage.emit([]);
 
       await flushPromises();
 
@@ -200,7 +228,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([]);
+      getVoicecallSessionPage.emit([]);
 
       await flushPromises();
 
@@ -217,7 +245,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.error({
+      getVoicecallSessionPage.error({
         body: { message: "Test error message" },
       });
 
@@ -234,7 +262,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.error({
+      getVoicecallSessionPage.error({
         body: { message: "Test error message" },
       });
 
@@ -253,7 +281,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.error({});
+      getVoicecallSessionPage.error({});
 
       await flushPromises();
 
@@ -272,7 +300,7 @@ describe("c-voicecall-session-player", () => {
       });
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "test",
           createdDate: null,
@@ -297,7 +325,7 @@ describe("c-voicecall-session-player", () => {
       });
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "test",
           createdDate: "2024-01-15T10:30:00.000Z",
@@ -320,7 +348,7 @@ describe("c-voicecall-session-player", () => {
       });
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "test",
           createdDate: "2024-01-15T10:30:00.000Z",
@@ -343,7 +371,7 @@ describe("c-voicecall-session-player", () => {
       });
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "test",
           createdDate: "2024-01-15T10:30:00.000Z",
@@ -369,7 +397,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "session1",
           createdDate: "2024-01-15T10:30:00.000Z",
@@ -397,7 +425,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "session1",
           createdDate: "2024-01-15T10:30:00.000Z",
@@ -427,7 +455,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "session1",
           createdDate: "2024-01-15T10:30:00.000Z",
@@ -460,7 +488,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "test",
           createdDate: "2024-01-15T10:30:00.000Z",
@@ -488,7 +516,7 @@ describe("c-voicecall-session-player", () => {
       element.recordId = "500000000000001AAA";
       document.body.appendChild(element);
 
-      getVoicecallSessions.emit([
+      getVoicecallSessionPage.emit([
         {
           sessionId: "test",
           createdDate: "2024-01-15T10:30:00.000Z",
@@ -511,4 +539,572 @@ describe("c-voicecall-session-player", () => {
       expect(transcriptPlayer.agentName).toBe("Test Agent");
     });
   });
+
+  describe("case transcript search", () => {
+    const searchSessions = [
+      {
+        sessionId: "a00000000000001AAA",
+        createdDate: "2024-01-16T10:30:00.000Z",
+        duration: 120,
+        documents: [
+          { documentId: "069000000000001AAA", title: "call_recording", fileType: "MP3" },
+          { documentId: "069000000000002AAA", title: "call_recording_2", fileType: "MP3" },
+          { documentId: "069000000000003AAA", title: "va_transcript_1", fileType: "TEXT" },
+          { documentId: "069000000000004AAA", title: "rt_transcript_1", fileType: "TEXT" },
+        ],
+      },
+      {
+        sessionId: "a00000000000002AAA",
+        createdDate: "2024-01-15T10:30:00.000Z",
+        duration: 60,
+        documents: [
+          { documentId: "069000000000005AAA", title: "call_recording", fileType: "MP3" },
+          { documentId: "069000000000006AAA", title: "va_transcript_2", fileType: "TEXT" },
+        ],
+      },
+    ];
+
+    const searchResults = [
+      {
+        sessionId: "a00000000000001AAA",
+        documentId: "069000000000004AAA",
+        documentTitle: "rt_transcript_1",
+        entryIndex: 3,
+        timestamp: "10:00:30",
+        speaker: "Customer",
+        text: "I want a refund",
+      },
+      {
+        sessionId: "a00000000000002AAA",
+        documentId: "069000000000006AAA",
+        documentTitle: "va_transcript_2",
+        entryIndex: 0,
+        timestamp: "09:00:00",
+        speaker: "Virtual Agent",
+        text: "Refunds take five days",
+      },
+    ];
+
+    const search = async (element, value) => {
+      const input = element.shadowRoot.querySelector(".case-search-input");
+      input.value = value;
+      input.dispatchEvent(new CustomEvent("change", { detail: { value } }));
+      input.dispatchEvent(new CustomEvent("commit"));
+      await flushPromises();
+      await flushPromises();
+    };
+
+    it("groups results by call and recording", async () => {
+      searchCaseTranscripts.mockResolvedValue({ results: searchResults, isTruncated: false });
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      getVoicecallSessionPage.emit(searchSessions);
+      await flushPromises();
+
+      await search(element, " refund ");
+
+      expect(searchCaseTranscripts).toHaveBeenCalledWith({
+        recordId: "500000000000001AAA",
+        query: "refund",
+      });
+      const callLabels = element.shadowRoot.querySelectorAll(".search-call-label");
+      expect(callLabels.length).toBe(2);
+      expect(callLabels[0].textContent).toContain("Call 1");
+      expect(callLabels[1].textContent).toContain("Call 2");
+
+      const recordingLabels = element.shadowRoot.querySelectorAll(".search-recording-label");
+      expect(recordingLabels[0].textContent).toContain("2. Agent Call");
+      expect(recordingLabels[1].textContent).toContain("Virtual Agent");
+
+      const matches = element.shadowRoot.querySelectorAll(".search-match");
+      expect(Array.from(matches).map((match) => match.textContent)).toEqual(["refund", "Refund"]);
+      expect(element.shadowRoot.querySelector(".case-search-summary").textContent).toBe("2 lines in 2 calls");
+    });
+
+    it("opens the call and shows the line in its player", async () => {
+      searchCaseTranscripts.mockResolvedValue({ results: searchResults, isTruncated: false });
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      getVoicecallSessionPage.emit(searchSessions);
+      await flushPromises();
+      await search(element, "refund");
+
+      const player = element.shadowRoot.querySelector(
+        'c-call-transcript-player[data-session-id="a00000000000002AAA"]'
+      );
+      const showEntry = jest.spyOn(player, "showEntry").mockImplementation(() => {});
+
+      element.shadowRoot.querySelectorAll(".search-result")[1].click();
+      await flushPromises();
+
+      const accordion = element.shadowRoot.querySelector("lightning-accordion");
+      expect(accordion.activeSectionName).toContain("a00000000000002AAA");
+      expect(showEntry).toHaveBeenCalledWith("069000000000005AAA", 0, "refund");
+    });
+
+    it("reports when nothing matches and ignores short queries", async () => {
+      searchCaseTranscripts.mockResolvedValue({ results: [], isTruncated: false });
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      getVoicecallSessionPage.emit(searchSessions);
+      await flushPromises();
+
+      await search(element, "x");
+      expect(searchCaseTranscripts).not.toHaveBeenCalled();
+      expect(element.shadowRoot.querySelector(".case-search-summary")).toBeNull();
+
+      await search(element, "cancel");
+      expect(element.shadowRoot.querySelector(".case-search-summary").textContent).toBe(
+        'No transcript lines match "cancel"'
+      );
+      expect(element.shadowRoot.querySelector(".search-result")).toBeNull();
+    });
+
+    it("says when not every transcript could be searched", async () => {
+      searchCaseTranscripts.mockResolvedValue({ results: searchResults.slice(0, 1), isTruncated: true });
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      getVoicecallSessionPage.emit(searchSessions);
+      await flushPromises();
+
+      await search(element, "refund");
+
+      expect(element.shadowRoot.querySelector(".case-search-summary").textContent).toBe(
+        "1 line in 1 call. Not every transcript could be searched in full."
+      );
+    });
+
+    it("shows an error when the search fails", async () => {
+      searchCaseTranscripts.mockRejectedValue({ body: { message: "Error searching transcripts: boom" } });
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      getVoicecallSessionPage.emit(searchSessions);
+      await flushPromises();
+
+      await search(element, "refund");
+
+      expect(element.shadowRoot.querySelector(".case-search-error").textContent).toBe(
+        "Error searching transcripts: boom"
+      );
+    });
+  });
+
+  describe("deep links", () => {
+    const linkSessions = [
+      {
+        sessionId: "a00000000000001AAA",
+        createdDate: "2024-01-16T10:30:00.000Z",
+        duration: 120,
+        documents: [
+          { documentId: "069000000000001AAA", title: "call_recording", fileType: "MP3" },
+          { documentId: "069000000000002AAA", title: "call_recording_2", fileType: "MP3" },
+        ],
+      },
+      {
+        sessionId: "a00000000000002AAA",
+        createdDate: "2024-01-15T10:30:00.000Z",
+        duration: 60,
+        documents: [],
+      },
+    ];
+
+    const createPlayer = () => {
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      return element;
+    };
+
+    it("opens the linked call and selects the recording", async () => {
+      const element = createPlayer();
+      CurrentPageReference.emit({
+        state: { c__session: "a00000000000001AAA", c__recording: "069000000000002AAA", c__t: "12:00" },
+      });
+      getVoicecallSessionPage.emit(linkSessions);
+      await flushPromises();
+
+      const accordion = element.shadowRoot.querySelector("lightning-accordion");
+      expect(accordion.activeSectionName).toEqual(["a00000000000001AAA"]);
+
+      const player = element.shadowRoot.querySelector(
+        'c-call-transcript-player[data-session-id="a00000000000001AAA"]'
+      );
+      expect(player.shadowRoot.querySelector(".recording-pill.active").dataset.id).toBe("069000000000002AAA");
+    });
+
+    it("seeks the open player when the link changes", async () => {
+      const element = createPlayer();
+      getVoicecallSessionPage.emit(linkSessions);
+      await flushPromises();
+
+      const player = element.shadowRoot.querySelector(
+        'c-call-transcript-player[data-session-id="a00000000000002AAA"]'
+      );
+      const showMoment = jest.spyOn(player, "showMoment").mockImplementation(() => {});
+
+      CurrentPageReference.emit({ state: { c__session: "a00000000000002AAA", c__t: "95" } });
+      await flushPromises();
+
+      expect(showMoment).toHaveBeenCalledWith(null, 95);
+      expect(element.shadowRoot.querySelector("lightning-accordion").activeSectionName).toContain(
+        "a00000000000002AAA"
+      );
+    });
+
+    it("ignores links to calls on other Cases", async () => {
+      const element = createPlayer();
+      CurrentPageReference.emit({ state: { c__session: "a00000000000009AAA", c__t: "10" } });
+      getVoicecallSessionPage.emit(linkSessions);
+      await flushPromises();
+
+      expect(element.shadowRoot.querySelector("lightning-accordion").activeSectionName).toEqual([]);
+    });
+  });
+
+  describe("listening milestones", () => {
+    const sessions = [
+      {
+        sessionId: "a00000000000001AAA",
+        createdDate: "2024-01-16T10:30:00.000Z",
+        duration: 100,
+        documents: [],
+      },
+    ];
+
+    const createPlayer = async () => {
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      getVoicecallSessionPage.emit(sessions);
+      await flushPromises();
+      return element;
+    };
+
+    const update = (player, currentTime, documentId = "069000000000001AAA") => {
+      player.dispatchEvent(
+        new CustomEvent("playbackupdate", {
+          detail: { sessionId: "a00000000000001AAA", documentId, currentTime, duration: 100, isPlaying: true },
+        })
+      );
+    };
+
+    it("logs the start of playback and each milestone once", async () => {
+      logCallAccess.mockResolvedValue();
+      const element = await createPlayer();
+      const player = element.shadowRoot.querySelector("c-call-transcript-player");
+
+      for (let time = 0; time <= 55; time += 0.25) {
+        update(player, time);
+      }
+
+      expect(logCallAccess.mock.calls.map(([params]) => params.action)).toEqual([
+        "Playback_Started",
+        "Listened_25",
+        "Listened_50",
+      ]);
+      expect(logCallAccess).toHaveBeenCalledWith({
+        sessionId: "a00000000000001AAA",
+        documentId: "069000000000001AAA",
+        action: "Listened_50",
+        detail: null,
+      });
+    });
+
+    it("tracks each recording separately", async () => {
+      logCallAccess.mockResolvedValue();
+      const element = await createPlayer();
+      const player = element.shadowRoot.querySelector("c-call-transcript-player");
+
+      update(player, 0);
+      update(player, 0, "069000000000002AAA");
+
+      expect(logCallAccess.mock.calls.map(([params]) => params.documentId)).toEqual([
+        "069000000000001AAA",
+        "069000000000002AAA",
+      ]);
+    });
+  });
+
+  describe("paging", () => {
+    // Sessions numbered from the newest, like the Apex page order
+    const pageOf = (from, count) =>
+      Array.from({ length: count }, (_, i) => ({
+        sessionId: `a0000000000${String(from + i).padStart(4, "0")}AAA`,
+        createdDate: "2024-01-16T10:30:00.000Z",
+        duration: 60,
+        documents: [],
+      }));
+
+    const createPlayer = async (firstPage, count) => {
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      getVoicecallSessionPage.emit(firstPage);
+      if (count !== undefined) {
+        getVoicecallSessionCount.emit(count);
+      }
+      await flushPromises();
+      return element;
+    };
+
+    const sectionLabels = (element) =>
+      Array.from(element.shadowRoot.querySelectorAll("lightning-accordion-section")).map((section) =>
+        section.label.split(" • ")[0]
+      );
+
+    it("loads the next page when Load more is clicked", async () => {
+      getVoicecallSessionPage.mockResolvedValue(pageOf(20, 5));
+      const element = await createPlayer(pageOf(0, 20), 25);
+
+      const badge = element.shadowRoot.querySelector(".slds-badge");
+      expect(badge.textContent).toBe("25");
+      const button = element.shadowRoot.querySelector(".load-more-button");
+      expect(button.label).toBe("Load more calls (20 of 25)");
+
+      button.click();
+      await flushPromises();
+
+      expect(getVoicecallSessionPage).toHaveBeenCalledWith({
+        recordId: "500000000000001AAA",
+        pageSize: 20,
+        pageOffset: 20,
+      });
+      const labels = sectionLabels(element);
+      expect(labels).toHaveLength(25);
+      expect(labels[24]).toBe("Call 25");
+      expect(element.shadowRoot.querySelector(".load-more-button")).toBeNull();
+    });
+
+    it("hides Load more when the first page is not full", async () => {
+      const element = await createPlayer(pageOf(0, 3), 3);
+
+      expect(sectionLabels(element)).toHaveLength(3);
+      expect(element.shadowRoot.querySelector(".load-more-button")).toBeNull();
+    });
+
+    it("shows an error when a page fails to load", async () => {
+      getVoicecallSessionPage.mockRejectedValue({ body: { message: "Session page offset must be between 0 and 2000" } });
+      const element = await createPlayer(pageOf(0, 20));
+
+      element.shadowRoot.querySelector(".load-more-button").click();
+      await flushPromises();
+
+      expect(element.shadowRoot.querySelector(".load-more-error").textContent).toBe(
+        "Session page offset must be between 0 and 2000"
+      );
+      expect(sectionLabels(element)).toHaveLength(20);
+    });
+
+    it("defers each player's loads until its section is expanded", async () => {
+      const element = await createPlayer(pageOf(0, 3), 3);
+
+      const players = element.shadowRoot.querySelectorAll("c-call-transcript-player");
+      expect(Array.from(players).map((player) => player.deferLoad)).toEqual([true, true, true]);
+
+      const accordion = element.shadowRoot.querySelector("lightning-accordion");
+      accordion.dispatchEvent(
+        new CustomEvent("sectiontoggle", { detail: { openSections: ["a00000000000001AAA"] } })
+      );
+      await flushPromises();
+
+      expect(Array.from(players).map((player) => player.deferLoad)).toEqual([true, false, true]);
+    });
+
+    it("loads pages until a deep linked call is found", async () => {
+      getVoicecallSessionPage.mockResolvedValueOnce(pageOf(20, 20)).mockResolvedValueOnce(pageOf(40, 2));
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      CurrentPageReference.emit({ state: { c__session: "a00000000000041AAA", c__t: "30" } });
+      getVoicecallSessionPage.emit(pageOf(0, 20));
+      await flushPromises();
+      await flushPromises();
+      await flushPromises();
+
+      expect(getVoicecallSessionPage).toHaveBeenCalledTimes(2);
+      expect(sectionLabels(element)).toHaveLength(42);
+      expect(element.shadowRoot.querySelector("lightning-accordion").activeSectionName).toEqual([
+        "a00000000000041AAA",
+      ]);
+    });
+
+    it("loads the pages of calls with search matches", async () => {
+      getVoicecallSessionPage.mockResolvedValue(pageOf(20, 4));
+      searchCaseTranscripts.mockResolvedValue({
+        results: [
+          {
+            sessionId: "a00000000000022AAA",
+            documentId: "069000000000001AAA",
+            documentTitle: "transcript",
+            entryIndex: 0,
+            timestamp: "10:00:00",
+            speaker: "Agent",
+            text: "refund issued",
+          },
+        ],
+        isTruncated: false,
+      });
+      const element = await createPlayer(pageOf(0, 20), 24);
+
+      const input = element.shadowRoot.querySelector(".case-search-input");
+      input.dispatchEvent(new CustomEvent("change", { detail: { value: "refund" } }));
+      input.dispatchEvent(new CustomEvent("commit"));
+      await flushPromises();
+      await flushPromises();
+
+      expect(sectionLabels(element)).toHaveLength(24);
+      const callLabels = element.shadowRoot.querySelectorAll(".search-call-label");
+      expect(callLabels.length).toBe(1);
+      expect(callLabels[0].textContent).toContain("Call 23");
+    });
+  });
+
+  describe("play every call", () => {
+    const callSessions = (from, count) =>
+      Array.from({ length: count }, (_, i) => ({
+        sessionId: `a0000000000${String(from + i).padStart(4, "0")}AAA`,
+        createdDate: "2024-01-16T10:30:00.000Z",
+        duration: 60,
+        documents: [],
+      }));
+
+    const createPlayer = async (sessions) => {
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+      getVoicecallSessionPage.emit(sessions);
+      await flushPromises();
+      return element;
+    };
+
+    const playerFor = (element, sessionId) =>
+      element.shadowRoot.querySelector(`c-call-transcript-player[data-session-id="${sessionId}"]`);
+
+    const togglePlayEveryCall = async (element) => {
+      element.shadowRoot
+        .querySelector(".options-menu")
+        .dispatchEvent(new CustomEvent("select", { detail: { value: "playEveryCall" } }));
+      await flushPromises();
+    };
+
+    it("plays the next call in the list when one ends", async () => {
+      const element = await createPlayer(callSessions(0, 2));
+      await togglePlayEveryCall(element);
+
+      const first = playerFor(element, "a00000000000000AAA");
+      const next = playerFor(element, "a00000000000001AAA");
+      const playFromStart = jest.spyOn(next, "playFromStart").mockImplementation(() => {});
+      expect(first.wholeCall).toBe(true);
+
+      first.dispatchEvent(new CustomEvent("callended", { detail: { sessionId: "a00000000000000AAA" } }));
+      await flushPromises();
+
+      expect(playFromStart).toHaveBeenCalledTimes(1);
+      expect(element.shadowRoot.querySelector("lightning-accordion").activeSectionName).toContain(
+        "a00000000000001AAA"
+      );
+    });
+
+    it("stops after each call unless every call is playing", async () => {
+      const element = await createPlayer(callSessions(0, 2));
+      const next = playerFor(element, "a00000000000001AAA");
+      const playFromStart = jest.spyOn(next, "playFromStart").mockImplementation(() => {});
+
+      playerFor(element, "a00000000000000AAA").dispatchEvent(
+        new CustomEvent("callended", { detail: { sessionId: "a00000000000000AAA" } })
+      );
+      await flushPromises();
+
+      expect(next.wholeCall).toBe(false);
+      expect(playFromStart).not.toHaveBeenCalled();
+    });
+
+    it("loads the next page after the last loaded call", async () => {
+      getVoicecallSessionPage.mockResolvedValue(callSessions(20, 1));
+      const element = await createPlayer(callSessions(0, 20));
+      await togglePlayEveryCall(element);
+
+      playerFor(element, "a00000000000019AAA").dispatchEvent(
+        new CustomEvent("callended", { detail: { sessionId: "a00000000000019AAA" } })
+      );
+      await flushPromises();
+      await flushPromises();
+
+      expect(getVoicecallSessionPage).toHaveBeenCalledWith(expect.objectContaining({ pageOffset: 20 }));
+      expect(element.shadowRoot.querySelector("lightning-accordion").activeSectionName).toContain(
+        "a00000000000020AAA"
+      );
+    });
+  });
+
+  describe("recording cache", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const selectMenuItem = async (element, value) => {
+      const toastHandler = jest.fn();
+      element.addEventListener("lightning__showtoast", toastHandler);
+      element.shadowRoot
+        .querySelector(".options-menu")
+        .dispatchEvent(new CustomEvent("select", { detail: { value } }));
+      await flushPromises();
+      return toastHandler;
+    };
+
+    it("clears the cached recordings from the card menu", async () => {
+      const clear = jest.spyOn(RecordingCache, "clear").mockResolvedValue(undefined);
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+
+      const toastHandler = await selectMenuItem(element, "clearCache");
+
+      expect(clear).toHaveBeenCalledTimes(1);
+      expect(toastHandler.mock.calls[0][0].detail.variant).toBe("success");
+    });
+
+    it("reports a cache that cannot be cleared", async () => {
+      jest.spyOn(RecordingCache, "clear").mockRejectedValue(new Error("Blocked"));
+      const element = createElement("c-voicecall-session-player", {
+        is: VoicecallSessionPlayer,
+      });
+      element.recordId = "500000000000001AAA";
+      document.body.appendChild(element);
+
+      const toastHandler = await selectMenuItem(element, "clearCache");
+
+      expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+        variant: "error",
+        message: "Blocked",
+      });
+    });
+  });
 });
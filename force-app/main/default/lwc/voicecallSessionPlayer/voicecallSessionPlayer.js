@@ -1,38 +1,91 @@
 import { LightningElement, api, wire, track } from 'lwc';
-import getVoicecallSessions from '@salesforce/apex/VoicecallSessionController.getVoicecallSessions';
+import { CurrentPageReference } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getVoicecallSessionPage from '@salesforce/apex/VoicecallSessionController.getVoicecallSessionPage';
+import getVoicecallSessionCount from '@salesforce/apex/VoicecallSessionController.getVoicecallSessionCount';
+import searchCaseTranscripts from '@salesforce/apex/VoicecallSessionController.searchCaseTranscripts';
+import getRecordingPairingRules from '@salesforce/apex/VoicecallSessionController.getRecordingPairingRules';
+import logCallAccess from '@salesforce/apex/VoicecallSessionController.logCallAccess';
 import Logger from 'c/loggerService';
+import RecordingPairing from 'c/recordingPairing';
+import TranscriptSearch from 'c/transcriptSearch';
+import CallDeepLink from 'c/callDeepLink';
+import CallAccessAudit from 'c/callAccessAudit';
+import RecordingCache from 'c/recordingCache';
 
 // Initialize component logger
 const log = Logger.create('VoicecallSessionPlayer');
 
+// Sessions fetched per page; "Load more" fetches the next page
+const SESSION_PAGE_SIZE = 20;
+
 export default class VoicecallSessionPlayer extends LightningElement {
-    @api recordId; // Case record Id from the record page
+    @api recordId; // Record Id from the record page, e.g. a Case
 
     @track sessions = [];
     @track error;
     @track isLoading = true;
     @track activeSections = [];
+    @track searchQuery = '';
+    @track searchResults = [];
+    @track searchedQuery = '';
+    @track isSearchTruncated = false;
+    @track searchError;
+    @track isSearchingTranscripts = false;
+    @track hasMoreSessions = false;
+    @track isLoadingMore = false;
+    @track loadMoreError;
+    @track totalSessionCount = null;
+    @track playEveryCall = false;
+
+    searchRequestId = 0;
+    pairingRules = null;
+    pendingDeepLink = null;
+    pendingPlaySessionId = null;
+
+    // Logs the start of playback and listening milestones of every recording played
+    onPlaybackUpdate = CallAccessAudit.createPlaybackListener(({ sessionId, documentId, action }) => {
+        log.debug('Listening milestone', { sessionId, documentId, action });
+        logCallAccess({ sessionId, documentId, action, detail: null })
+            .catch(err => log.warn('Failed to log listening milestone', err));
+    });
 
     /**
-     * Wire adapter to fetch voicecall sessions for the current case
+     * Read a deep link to a moment in a call (c__session, c__recording, c__t)
      */
-    @wire(getVoicecallSessions, { caseId: '$recordId' })
+    @wire(CurrentPageReference)
+    wiredPageReference(pageReference) {
+        const link = CallDeepLink.parse(pageReference && pageReference.state);
+        if (link) {
+            log.debug('Deep link', link);
+            this.pendingDeepLink = link;
+            this.applyDeepLink();
+        }
+    }
+
+    /**
+     * Wire adapter to fetch the first page of voicecall sessions for the current record
+     */
+    @wire(getVoicecallSessionPage, { recordId: '$recordId', pageSize: SESSION_PAGE_SIZE, pageOffset: 0 })
     wiredSessions({ error, data }) {
         this.isLoading = false;
-        log.lifecycle('wire', { caseId: this.recordId });
+        log.lifecycle('wire', { recordId: this.recordId });
         
         if (data) {
-            log.apex('getVoicecallSessions', { caseId: this.recordId }, data);
+            log.apex('getVoicecallSessionPage', { recordId: this.recordId }, data);
             this.sessions = this.processSessionData(data);
+            this.hasMoreSessions = data.length === SESSION_PAGE_SIZE;
+            this.loadMoreError = undefined;
             this.error = undefined;
             
             log.success(`Loaded ${this.sessions.length} session(s)`);
             
             // Auto-expand first session if there's only one
-            if (this.sessions.length === 1) {
+            if (this.sessions.length === 1 && !this.hasMoreSessions) {
                 this.activeSections = [this.sessions[0].sessionId];
                 log.debug('Auto-expanded single session');
             }
+            this.applyDeepLink();
         } else if (error) {
             log.error('Failed to load sessions', error);
             this.error = error;
@@ -40,10 +93,129 @@ export default class VoicecallSessionPlayer extends LightningElement {
         }
     }
 
+    /**
+     * Wire adapter to count the sessions on the record, shown while paging
+     */
+    @wire(getVoicecallSessionCount, { recordId: '$recordId' })
+    wiredSessionCount({ error, data }) {
+        if (data !== undefined) {
+            this.totalSessionCount = data;
+        } else if (error) {
+            log.warn('Failed to count sessions', error);
+            this.totalSessionCount = null;
+        }
+    }
+
+    /**
+     * Fetch the next page of sessions and append it
+     * @returns {Promise<boolean>} True when the page loaded
+     */
+    async loadMoreSessions() {
+        if (this.isLoadingMore || !this.hasMoreSessions) {
+            return false;
+        }
+
+        this.isLoadingMore = true;
+        this.loadMoreError = undefined;
+        const pageOffset = this.sessions.length;
+        try {
+            const page = await getVoicecallSessionPage({ recordId: this.recordId, pageSize: SESSION_PAGE_SIZE, pageOffset });
+            log.apex('getVoicecallSessionPage', { recordId: this.recordId, pageOffset }, page);
+
+            // A call added since the first page shifts the pages; skip sessions already shown
+            const loadedIds = new Set(this.sessions.map((session) => session.sessionId));
+            const newSessions = (page || []).filter((session) => !loadedIds.has(session.sessionId));
+            this.sessions = [...this.sessions, ...this.processSessionData(newSessions, pageOffset)];
+            this.hasMoreSessions = (page || []).length === SESSION_PAGE_SIZE;
+            return true;
+        } catch (error) {
+            log.error('Failed to load more sessions', error);
+            this.loadMoreError = error;
+            return false;
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    /**
+     * Load pages until every given session is loaded or no pages are left
+     * @param {Set<string>} sessionIds - Session Ids to load
+     */
+    async loadSessions(sessionIds) {
+        const isMissing = () => {
+            const loadedIds = new Set(this.sessions.map((session) => session.sessionId));
+            return [...sessionIds].some((sessionId) => !loadedIds.has(sessionId));
+        };
+        while (isMissing() && this.hasMoreSessions) {
+            // eslint-disable-next-line no-await-in-loop
+            if (!(await this.loadMoreSessions())) {
+                return;
+            }
+        }
+    }
+
+    renderedCallback() {
+        if (this.pendingDeepLink) {
+            this.applyDeepLink();
+        }
+        if (this.pendingPlaySessionId) {
+            this.applyPendingPlay();
+        }
+    }
+
+    /**
+     * Open the linked call's section, then select the recording and seek.
+     * Waits until the sessions have loaded and the call's player has rendered.
+     */
+    applyDeepLink() {
+        const link = this.pendingDeepLink;
+        if (!link || this.sessions.length === 0) {
+            return;
+        }
+        if (!this.sessions.some((session) => session.sessionId === link.sessionId)) {
+            if (this.hasMoreSessions) {
+                // The call may be on a later page
+                if (!this.isLoadingMore) {
+                    this.loadSessions(new Set([link.sessionId])).then(() => {
+                        if (this.pendingDeepLink === link && !this.sessions.some((session) => session.sessionId === link.sessionId)) {
+                            log.warn('Linked session is not on this record', { sessionId: link.sessionId });
+                            this.pendingDeepLink = null;
+                        }
+                    });
+                }
+                return;
+            }
+            log.warn('Linked session is not on this record', { sessionId: link.sessionId });
+            this.pendingDeepLink = null;
+            return;
+        }
+
+        if (!this.activeSections.includes(link.sessionId)) {
+            this.activeSections = [...this.activeSections, link.sessionId];
+        }
+        const player = this.template.querySelector(`c-call-transcript-player[data-session-id="${link.sessionId}"]`);
+        if (player) {
+            this.pendingDeepLink = null;
+            player.showMoment(link.recordingId, link.seconds);
+        }
+    }
+
+    /**
+     * Start the call waiting to play once its player has rendered
+     */
+    applyPendingPlay() {
+        const sessionId = this.pendingPlaySessionId;
+        const player = this.template.querySelector(`c-call-transcript-player[data-session-id="${sessionId}"]`);
+        if (player) {
+            this.pendingPlaySessionId = null;
+            player.playFromStart();
+        }
+    }
+
     /**
      * Process and enrich session data for display
      */
-    processSessionData(rawSessions) {
+    processSessionData(rawSessions, startIndex = 0) {
         return rawSessions.map((session, index) => {
             const formattedDate = this.formatDate(session.createdDate);
             const formattedDuration = this.formatDuration(session.duration);
@@ -52,7 +224,7 @@ export default class VoicecallSessionPlayer extends LightningElement {
                 ...session,
                 formattedDate,
                 formattedDuration,
-                accordionLabel: `Call ${index + 1} • ${formattedDate} • ${formattedDuration}`,
+                accordionLabel: `Call ${startIndex + index + 1} • ${formattedDate} • ${formattedDuration}`,
                 agentName: session.agentName || 'Unknown Agent',
                 callType: session.callType || 'Voice Call'
             };
@@ -99,7 +271,57 @@ export default class VoicecallSessionPlayer extends LightningElement {
     }
 
     get sessionCount() {
-        return this.sessions.length;
+        return this.totalSessionCount !== null ? Math.max(this.totalSessionCount, this.sessions.length) : this.sessions.length;
+    }
+
+    /**
+     * Sessions with their players' loads deferred until their section is expanded
+     */
+    get displaySessions() {
+        return this.sessions.map((session) => ({
+            ...session,
+            deferLoad: !this.activeSections.includes(session.sessionId)
+        }));
+    }
+
+    get loadMoreLabel() {
+        if (this.isLoadingMore) {
+            return 'Loading...';
+        }
+        return this.totalSessionCount !== null
+            ? `Load more calls (${this.sessions.length} of ${this.sessionCount})`
+            : 'Load more calls';
+    }
+
+    get loadMoreErrorMessage() {
+        if (this.loadMoreError && this.loadMoreError.body && this.loadMoreError.body.message) {
+            return this.loadMoreError.body.message;
+        }
+        return 'More calls could not be loaded.';
+    }
+
+    get hasSearched() {
+        return !!this.searchedQuery && !this.isSearchingTranscripts;
+    }
+
+    get hasSearchResults() {
+        return this.searchResults.length > 0;
+    }
+
+    get searchSummary() {
+        const count = this.searchResults.reduce((total, group) => total + group.matchCount, 0);
+        const calls = this.searchResults.length;
+        const summary = count === 0
+            ? `No transcript lines match "${this.searchedQuery}"`
+            : `${count} ${count === 1 ? 'line' : 'lines'} in ${calls} ${calls === 1 ? 'call' : 'calls'}`;
+        return this.isSearchTruncated ? `${summary}. Not every transcript could be searched in full.` : summary;
+    }
+
+    get searchErrorMessage() {
+        if (this.searchError && this.searchError.body && this.searchError.body.message) {
+            return this.searchError.body.message;
+        }
+        return 'An error occurred while searching the transcripts.';
     }
 
     get errorMessage() {
@@ -112,11 +334,254 @@ export default class VoicecallSessionPlayer extends LightningElement {
     }
 
     /**
-     * Handle playback update events from child components
+     * Load the recording pairing rules once, falling back to the built-in defaults
      */
-    handlePlaybackUpdate(_event) {
-        // Placeholder for analytics or cross-component coordination
-        // Access event.detail.sessionId, currentTime, isPlaying as needed
+    async loadPairingRules() {
+        if (!this.pairingRules) {
+            try {
+                const rules = await getRecordingPairingRules();
+                this.pairingRules = RecordingPairing.normalizeRules(rules);
+            } catch (err) {
+                log.warn('Failed to load recording pairing rules, using defaults', err);
+                this.pairingRules = RecordingPairing.normalizeRules([]);
+            }
+        }
+        return this.pairingRules;
     }
-}
 
+    /**
+     * Search the transcripts of every session on the record.
+     * A newer search supersedes one still in flight.
+     */
+    async searchTranscripts() {
+        const query = this.searchQuery.trim();
+        const requestId = ++this.searchRequestId;
+        if (!TranscriptSearch.isSearchable(query)) {
+            this.clearSearch();
+            return;
+        }
+
+        this.isSearchingTranscripts = true;
+        this.searchError = undefined;
+        log.debug('Searching transcripts', { recordId: this.recordId, query });
+
+        try {
+            const [response, rules] = await Promise.all([
+                searchCaseTranscripts({ recordId: this.recordId, query }),
+                this.loadPairingRules()
+            ]);
+            if (requestId !== this.searchRequestId) {
+                return;
+            }
+
+            log.apex('searchCaseTranscripts', { recordId: this.recordId, query }, response);
+            const results = (response && response.results) || [];
+
+            // Matches can be in calls on pages not loaded yet
+            await this.loadSessions(new Set(results.map((result) => result.sessionId)));
+            if (requestId !== this.searchRequestId) {
+                return;
+            }
+            this.searchResults = this.groupSearchResults(results, query, rules);
+            this.isSearchTruncated = !!(response && response.isTruncated);
+            this.searchedQuery = query;
+        } catch (error) {
+            if (requestId === this.searchRequestId) {
+                log.error('Transcript search failed', error);
+                this.searchError = error;
+                this.searchResults = [];
+            }
+        } finally {
+            if (requestId === this.searchRequestId) {
+                this.isSearchingTranscripts = false;
+            }
+        }
+    }
+
+    /**
+     * Reset the search results
+     */
+    clearSearch() {
+        this.searchResults = [];
+        this.searchedQuery = '';
+        this.isSearchTruncated = false;
+        this.searchError = undefined;
+        this.isSearchingTranscripts = false;
+    }
+
+    /**
+     * Group search results by call, then by the recording each transcript is paired with
+     * @param {Array} results - Results from searchCaseTranscripts
+     * @param {string} query - The search text, highlighted in each line
+     * @param {Array} rules - Normalized recording pairing rules
+     * @returns {Array} Calls in accordion order, each with its recordings and lines
+     */
+    groupSearchResults(results, query, rules) {
+        return this.sessions
+            .map((session) => {
+                const sessionResults = results.filter((result) => result.sessionId === session.sessionId);
+                if (sessionResults.length === 0) {
+                    return null;
+                }
+
+                // Label recordings the way callTranscriptPlayer labels its pills
+                const recordings = RecordingPairing.pairRecordings(session.documents, rules);
+                const recordingGroups = new Map();
+                sessionResults.forEach((result) => {
+                    if (!recordingGroups.has(result.documentId)) {
+                        const index = recordings.findIndex(
+                            (rec) => rec.transcriptDoc && rec.transcriptDoc.documentId === result.documentId
+                        );
+                        const recording = recordings[index];
+                        let label = result.documentTitle;
+                        if (recording) {
+                            label = recordings.length > 1 ? `${index + 1}. ${recording.label}` : recording.label;
+                        }
+                        recordingGroups.set(result.documentId, {
+                            key: `${session.sessionId}-${result.documentId}`,
+                            recordingId: recording ? recording.audio.documentId : '',
+                            label,
+                            icon: recording ? recording.icon : '📄',
+                            results: []
+                        });
+                    }
+
+                    const group = recordingGroups.get(result.documentId);
+                    group.results.push({
+                        key: `${result.documentId}-${result.entryIndex}`,
+                        sessionId: session.sessionId,
+                        recordingId: group.recordingId,
+                        entryIndex: result.entryIndex,
+                        timestamp: result.timestamp,
+                        speaker: result.speaker,
+                        textSegments: TranscriptSearch.splitText(result.text, query).map((segment, segmentIndex) => ({
+                            key: `${result.entryIndex}-${segmentIndex}`,
+                            text: segment.text,
+                            className: segment.isMatch ? 'search-match' : 'search-result-segment'
+                        }))
+                    });
+                });
+
+                return {
+                    key: session.sessionId,
+                    label: session.accordionLabel,
+                    matchCount: sessionResults.length,
+                    recordings: Array.from(recordingGroups.values())
+                };
+            })
+            .filter((group) => group !== null);
+    }
+
+    handleSearchChange(event) {
+        this.searchQuery = event.detail.value || '';
+        if (!this.searchQuery.trim()) {
+            this.searchRequestId++;
+            this.clearSearch();
+        }
+    }
+
+    /**
+     * Run the search on Enter (lightning-input fires commit)
+     */
+    handleSearchCommit() {
+        this.searchTranscripts();
+    }
+
+    /**
+     * Keep activeSections in step when sections are opened or closed by hand
+     */
+    handleSectionToggle(event) {
+        this.activeSections = event.detail.openSections;
+    }
+
+    handleLoadMore() {
+        this.loadMoreSessions();
+    }
+
+    /**
+     * Open the call's accordion section, then select the recording and seek to the line
+     */
+    handleSearchResultClick(event) {
+        const { sessionId, recordingId, entryIndex } = event.currentTarget.dataset;
+        if (!this.activeSections.includes(sessionId)) {
+            this.activeSections = [...this.activeSections, sessionId];
+        }
+
+        const player = this.template.querySelector(`c-call-transcript-player[data-session-id="${sessionId}"]`);
+        if (player && recordingId) {
+            player.showEntry(recordingId, Number(entryIndex), this.searchedQuery);
+        }
+    }
+
+    /**
+     * Handle playback update events from child components: log the start of
+     * playback and each listening milestone to the Call Access Log
+     */
+    handlePlaybackUpdate(event) {
+        this.onPlaybackUpdate(event.detail);
+    }
+
+    /**
+     * Card menu: play every call in turn, or clear the cached recordings
+     */
+    handleOptionsSelect(event) {
+        const { value } = event.detail;
+        if (value === 'playEveryCall') {
+            this.playEveryCall = !this.playEveryCall;
+        } else if (value === 'clearCache') {
+            this.clearCachedRecordings();
+        }
+    }
+
+    /**
+     * While every call plays, open the next call in the list when one ends and
+     * play it from its first recording, loading the next page after the last call
+     */
+    async handleCallEnded(event) {
+        if (!this.playEveryCall) {
+            return;
+        }
+
+        const index = this.sessions.findIndex((session) => session.sessionId === event.detail.sessionId);
+        if (index < 0) {
+            return;
+        }
+        if (index === this.sessions.length - 1 && this.hasMoreSessions) {
+            await this.loadMoreSessions();
+        }
+        const next = this.sessions[index + 1];
+        if (!next) {
+            log.info('Played every call');
+            return;
+        }
+
+        log.info('Playing the next call', { sessionId: next.sessionId });
+        if (!this.activeSections.includes(next.sessionId)) {
+            this.activeSections = [...this.activeSections, next.sessionId];
+        }
+        this.pendingPlaySessionId = next.sessionId;
+        this.applyPendingPlay();
+    }
+
+    /**
+     * Clear the recordings and transcripts cached in this browser; they are
+     * downloaded again the next time they are opened
+     */
+    async clearCachedRecordings() {
+        try {
+            await RecordingCache.clear();
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Cached recordings cleared',
+                message: 'Recordings and transcripts are downloaded again the next time they are opened.',
+                variant: 'success'
+            }));
+        } catch (err) {
+            log.error('Failed to clear cached recordings', err);
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Could not clear cached recordings',
+                message: err && err.message ? err.message : 'Try again.',
+                variant: 'error'
+            }));
+        }
+    }
+}